@@ -0,0 +1,387 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PAINEL ADMINISTRATIVO
+ * Arquivo: admin.js
+ * Descrição: API HTTP local para operar o bot sem o terminal
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Guardar o estado da conexão, o QR Code atual e contadores
+ * - Servir, só em 127.0.0.1 e com token, o painel e a API:
+ *   estado, QR Code para parear, uptime, mensagens, erros da IA,
+ *   fila de envio e quantidade de registros por usuária (sem conteúdo)
+ * - Ações: forçar reconexão e apagar definitivamente uma usuária
+ *
+ * Rotas (token em "Authorization: Bearer <token>" ou ?token=):
+ *   GET  /                        Painel
+ *   GET  /qr                      Página do QR Code
+ *   GET  /qr.svg                  QR Code como imagem
+ *   GET  /api/status              Estado geral
+ *   GET  /api/users               Registros por usuária
+ *   GET  /api/outbox              Respostas aguardando entrega
+ *   POST /api/reconnect           Reconectar ao WhatsApp
+ *   POST /api/users/<id>/purge    Apagar todos os dados da usuária
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const QRCode = require('qrcode-terminal/vendor/QRCode');
+const QRErrorCorrectLevel = require('qrcode-terminal/vendor/QRCode/QRErrorCorrectLevel');
+const { listUsers, getAllRecords, deleteUserData, deleteTrashEntries } = require('./database');
+const { clearConversation } = require('./conversation');
+const { deleteUserReminders } = require('./scheduler');
+const { forgetTriageUser } = require('./triage');
+const { forgetPolls } = require('./polls');
+const { sessionManager } = require('./security');
+const { getLLMStats } = require('./llm');
+const { getRateLimitStats } = require('./ratelimit');
+const { enqueueForUser, getQueueStats } = require('./queue');
+const { getOutboxStats, listOutgoing, dropOutgoing } = require('./outbox');
+
+// Só aceita conexões do próprio aparelho
+const ADMIN_HOST = '127.0.0.1';
+
+// Tokens curtos demais são recusados
+const MIN_TOKEN_LENGTH = 16;
+
+// Estado exposto pelo painel (atualizado pelo index.js)
+const status = {
+  startedAt: Date.now(),
+  connection: 'starting',
+  connectedAt: null,
+  lastDisconnect: null,
+  qr: null,
+  qrAt: null,
+  messages: { received: 0, sent: 0, failed: 0, reminders: 0 }
+};
+
+/**
+ * Atualiza o estado da conexão com o WhatsApp
+ * @param {string} connection - 'connecting', 'open' ou 'close'
+ * @param {Object} details - { statusCode, retryInMs, attempt } ao desconectar
+ */
+function setConnectionState(connection, details = {}) {
+  status.connection = connection;
+
+  if (connection === 'open') {
+    status.connectedAt = Date.now();
+    status.qr = null;
+    status.qrAt = null;
+  }
+
+  if (connection === 'close') {
+    status.connectedAt = null;
+    status.lastDisconnect = {
+      at: new Date().toISOString(),
+      statusCode: details.statusCode ?? null,
+      retryAt: details.retryInMs !== undefined ? new Date(Date.now() + details.retryInMs).toISOString() : null,
+      attempt: details.attempt ?? null
+    };
+  }
+}
+
+/**
+ * Guarda o QR Code mais recente para pareamento
+ * @param {string} qr - Conteúdo do QR Code enviado pelo WhatsApp
+ */
+function setQRCode(qr) {
+  status.connection = 'waiting_qr';
+  status.qr = qr;
+  status.qrAt = Date.now();
+}
+
+/**
+ * Conta uma mensagem
+ * @param {string} kind - 'received', 'sent', 'failed' ou 'reminders'
+ */
+function countMessage(kind) {
+  status.messages[kind] = (status.messages[kind] || 0) + 1;
+}
+
+/**
+ * Inicia o servidor do painel, se habilitado em config.admin
+ * @param {Object} config - Configurações
+ * @param {Object} actions - { reconnect: async () => void }
+ * @returns {http.Server|null} Servidor ou null se desabilitado
+ */
+function startAdminServer(config, actions = {}) {
+  const settings = config.admin || {};
+
+  if (!settings.enabled) {
+    return null;
+  }
+
+  if (!settings.token || settings.token.length < MIN_TOKEN_LENGTH) {
+    console.error(`⚠️  Painel admin desativado: defina admin.token com pelo menos ${MIN_TOKEN_LENGTH} caracteres`);
+    return null;
+  }
+
+  const encrypted = config.security?.enableEncryption || false;
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, { token: settings.token, encrypted, actions }).catch(error => {
+      console.error('❌ Erro no painel admin:', error.message);
+      sendJSON(res, 500, { error: 'Erro interno' });
+    });
+  });
+
+  server.on('error', error => {
+    console.error('❌ Painel admin não iniciou:', error.message);
+  });
+
+  server.listen(settings.port || 8787, ADMIN_HOST, () => {
+    console.log(`🛠️  Painel admin em http://${ADMIN_HOST}:${server.address().port}/?token=...`);
+  });
+
+  return server;
+}
+
+/**
+ * Resumo do estado para /api/status
+ * @returns {Object} Estado, uptime, mensagens, IA e total de usuárias
+ */
+function getStatus() {
+  const now = Date.now();
+
+  return {
+    connection: status.connection,
+    connectedSince: status.connectedAt ? new Date(status.connectedAt).toISOString() : null,
+    lastDisconnect: status.lastDisconnect,
+    qrAvailable: !!status.qr,
+    uptimeSeconds: Math.round((now - status.startedAt) / 1000),
+    startedAt: new Date(status.startedAt).toISOString(),
+    messages: { ...status.messages },
+    llm: getLLMStats(),
+    rateLimit: getRateLimitStats(),
+    queue: getQueueStats(),
+    outbox: getOutboxStats(),
+    users: listUsers().length,
+    memoryMB: Math.round(process.memoryUsage().rss / 1048576)
+  };
+}
+
+/**
+ * Quantidade de registros por usuária, sem conteúdo
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Array} [{ userId, records, byCategory, lastRecordDate }]
+ */
+function getUserCounts(encrypted) {
+  return listUsers().map(userId => {
+    const records = getAllRecords(userId, encrypted);
+    const byCategory = {};
+    records.forEach(record => {
+      byCategory[record.category] = (byCategory[record.category] || 0) + 1;
+    });
+
+    return {
+      userId,
+      records: records.length,
+      byCategory,
+      lastRecordDate: records.reduce((last, record) => (record.date > last ? record.date : last), '') || null
+    };
+  });
+}
+
+/**
+ * Apaga definitivamente todos os dados de uma usuária
+ * (registros, lixeira, lembretes, conversa, enquetes, log de triagem e sessão de PIN)
+ * @param {string} userId - Número da usuária
+ * @returns {Object} O que foi apagado
+ */
+function purgeUser(userId) {
+  const jid = `${userId}@s.whatsapp.net`;
+
+  const result = {
+    records: deleteUserData(userId),
+    trashEntries: deleteTrashEntries(userId),
+    conversation: clearConversation(jid),
+    outgoing: dropOutgoing(jid),
+    polls: forgetPolls(jid)
+  };
+
+  deleteUserReminders(jid);
+  forgetTriageUser(jid);
+  sessionManager.destroySession(jid);
+
+  console.log(`🗑️  Painel admin: dados de ${userId.slice(0, 4)}*** apagados`);
+  return result;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+async function handleRequest(req, res, { token, encrypted, actions }) {
+  const url = new URL(req.url, `http://${ADMIN_HOST}`);
+
+  if (!isAuthorized(req, url, token)) {
+    sendJSON(res, 401, { error: 'Token inválido' });
+    return;
+  }
+
+  const route = `${req.method} ${url.pathname}`;
+  const purgeMatch = url.pathname.match(/^\/api\/users\/(\d{8,15})\/purge$/);
+
+  if (route === 'GET /') {
+    sendHTML(res, renderDashboard());
+  } else if (route === 'GET /qr') {
+    sendHTML(res, renderQRPage());
+  } else if (route === 'GET /qr.svg') {
+    if (!status.qr) {
+      sendJSON(res, 404, { error: 'Nenhum QR Code pendente' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'image/svg+xml', 'Cache-Control': 'no-store' });
+    res.end(renderQRSvg(status.qr));
+  } else if (route === 'GET /api/status') {
+    sendJSON(res, 200, getStatus());
+  } else if (route === 'GET /api/users') {
+    sendJSON(res, 200, { users: getUserCounts(encrypted) });
+  } else if (route === 'GET /api/outbox') {
+    sendJSON(res, 200, { stats: getOutboxStats(), pending: listOutgoing() });
+  } else if (route === 'POST /api/reconnect') {
+    if (!actions.reconnect) {
+      sendJSON(res, 503, { error: 'Reconexão indisponível' });
+      return;
+    }
+    await actions.reconnect();
+    sendJSON(res, 202, { ok: true });
+  } else if (req.method === 'POST' && purgeMatch) {
+    // Entra na fila da usuária para não colidir com uma mensagem em andamento
+    const userId = purgeMatch[1];
+    const deleted = await enqueueForUser(`${userId}@s.whatsapp.net`, () => purgeUser(userId));
+    sendJSON(res, 200, { ok: true, deleted });
+  } else {
+    sendJSON(res, 404, { error: 'Rota não encontrada' });
+  }
+}
+
+function isAuthorized(req, url, token) {
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : (url.searchParams.get('token') || '');
+
+  // Comparação em tempo constante (hashes têm o mesmo tamanho)
+  const expected = crypto.createHash('sha256').update(token).digest();
+  const received = crypto.createHash('sha256').update(given).digest();
+  return crypto.timingSafeEqual(expected, received);
+}
+
+function sendJSON(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+function sendHTML(res, html) {
+  res.writeHead(200, {
+    'Content-Type': 'text/html; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer'
+  });
+  res.end(html);
+}
+
+function renderQRSvg(text) {
+  const qr = new QRCode(-1, QRErrorCorrectLevel.L);
+  qr.addData(text);
+  qr.make();
+
+  const count = qr.getModuleCount();
+  const border = 4;
+  const size = count + border * 2;
+  const cells = [];
+
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) {
+        cells.push(`M${col + border} ${row + border}h1v1h-1z`);
+      }
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" width="320" height="320" shape-rendering="crispEdges">` +
+         `<rect width="${size}" height="${size}" fill="#fff"/><path d="${cells.join('')}" fill="#000"/></svg>`;
+}
+
+function renderQRPage() {
+  const body = status.qr
+    ? `<p>Abra o WhatsApp no celular da Gina → Aparelhos conectados → Conectar aparelho.</p>
+       <img id="qr" alt="QR Code" width="320" height="320">
+       <p><small>A página atualiza sozinha; o WhatsApp troca o código a cada ~20 segundos.</small></p>`
+    : `<p>Nenhum QR Code pendente (estado: <b>${status.connection}</b>).</p>`;
+
+  return page('Gina - Parear WhatsApp', `${body}
+    <script>
+      const token = new URLSearchParams(location.search).get('token') || '';
+      const img = document.getElementById('qr');
+      if (img) img.src = '/qr.svg?token=' + encodeURIComponent(token) + '&t=' + Date.now();
+      setTimeout(() => location.reload(), 15000);
+    </script>`);
+}
+
+function renderDashboard() {
+  return page('Gina - Painel', `
+    <p><a id="qr-link" href="/qr">QR Code</a> ·
+       <button onclick="post('/api/reconnect')">Forçar reconexão</button></p>
+    <h2>Estado</h2><pre id="status">...</pre>
+    <h2>Fila de envio</h2><pre id="outbox">...</pre>
+    <h2>Usuárias</h2>
+    <table id="users"><tr><th>Número</th><th>Registros</th><th>Último</th><th></th></tr></table>
+    <script>
+      const token = new URLSearchParams(location.search).get('token') || '';
+      const headers = { Authorization: 'Bearer ' + token };
+      document.getElementById('qr-link').href = '/qr?token=' + encodeURIComponent(token);
+
+      async function get(path) {
+        return (await fetch(path, { headers })).json();
+      }
+      async function post(path) {
+        const res = await fetch(path, { method: 'POST', headers });
+        alert(JSON.stringify(await res.json()));
+        load();
+      }
+      function purge(id) {
+        if (prompt('Apagar DEFINITIVAMENTE os dados de ' + id + '? Digite o número para confirmar:') === id) {
+          post('/api/users/' + id + '/purge');
+        }
+      }
+      async function load() {
+        document.getElementById('status').textContent = JSON.stringify(await get('/api/status'), null, 2);
+        document.getElementById('outbox').textContent = JSON.stringify((await get('/api/outbox')).pending, null, 2);
+        const { users } = await get('/api/users');
+        const table = document.getElementById('users');
+        table.querySelectorAll('tr.user').forEach(row => row.remove());
+        users.forEach(user => {
+          const row = table.insertRow();
+          row.className = 'user';
+          row.insertCell().textContent = user.userId;
+          row.insertCell().textContent = user.records;
+          row.insertCell().textContent = user.lastRecordDate || '-';
+          const button = document.createElement('button');
+          button.textContent = 'Apagar';
+          button.onclick = () => purge(user.userId);
+          row.insertCell().appendChild(button);
+        });
+      }
+      load();
+      setInterval(load, 10000);
+    </script>`);
+}
+
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="pt-BR"><head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${title}</title>
+<style>body{font-family:sans-serif;margin:1em;max-width:720px}pre{background:#f4f4f4;padding:.5em;overflow:auto}td,th{padding:.2em .6em;text-align:left}</style>
+</head><body><h1>${title}</h1>${body}</body></html>`;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  setConnectionState,
+  setQRCode,
+  countMessage,
+  startAdminServer,
+  getStatus,
+  getUserCounts,
+  purgeUser
+};
@@ -0,0 +1,268 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: RESUMO PARA CONSULTA
+ * Arquivo: appointment.js
+ * Descrição: Resumo clínico para levar à ginecologista (/consulta)
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Calcular, sem IA, os dados que a consulta costuma pedir:
+ *   DUM, ciclo médio e irregularidades, frequência de sintomas,
+ *   piores escores de dor, anticoncepcional e adesão, notas marcadas
+ * - Montar o PDF do resumo (com o parágrafo da IA, se houver)
+ *
+ * Todos os números vêm dos registros; a IA só reescreve em
+ * linguagem simples o que já foi calculado aqui.
+ */
+
+const { findPeriods, computeCycleStats, predictNextPeriod } = require('./cycle');
+const { formatDateBR, getTodayDate } = require('./database');
+const { addDays, daysBetween } = require('./utils');
+const { PDFDocument } = require('./pdf');
+
+// Janela de adesão ao anticoncepcional
+const ADHERENCE_DAYS = 90;
+
+// Quantidade de itens listados em cada seção
+const TOP_SYMPTOMS = 8;
+const TOP_PAIN = 3;
+const MAX_NOTES = 15;
+
+// Faixa de duração de ciclo considerada habitual (FIGO): fora dela, o ciclo é listado
+const NORMAL_CYCLE_MIN = 24;
+const NORMAL_CYCLE_MAX = 38;
+
+/**
+ * Calcula o resumo da consulta a partir dos registros
+ * @param {Array} records - Todos os registros da usuária
+ * @param {Object} options - { periodMonths, today }
+ * @returns {Object} Resumo (ver campos abaixo)
+ */
+function buildAppointmentSummary(records, options = {}) {
+  const today = options.today || getTodayDate();
+  const periodStart = addDays(today, -Math.round((options.periodMonths || 6) * 30.4));
+  const inWindow = records.filter(record => record.date >= periodStart && record.date <= today);
+
+  return {
+    today,
+    periodStart,
+    totalRecords: inWindow.length,
+    cycle: summarizeCycle(records, today),
+    symptoms: summarizeSymptoms(inWindow),
+    pain: summarizePain(inWindow),
+    contraceptive: summarizeContraceptive(records, today),
+    notes: inWindow
+      .filter(record => record.flagged || record.urgent)
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .slice(0, MAX_NOTES)
+      .map(record => ({ date: record.date, content: record.content, urgent: !!record.urgent }))
+  };
+}
+
+/**
+ * Converte o resumo em linhas de texto (PDF e prompt da IA)
+ * @param {Object} summary - Resultado de buildAppointmentSummary
+ * @returns {Object} { cycle, symptoms, pain, contraceptive, notes } com listas de linhas
+ */
+function describeSummary(summary) {
+  const { cycle, symptoms, pain, contraceptive, notes } = summary;
+  const sections = { cycle: [], symptoms: [], pain: [], contraceptive: [], notes: [] };
+
+  if (cycle.lastPeriod) {
+    sections.cycle.push(`DUM (início da última menstruação): ${formatDateBR(cycle.lastPeriod.start)}` +
+                        ` - dia ${cycle.currentCycleDay} do ciclo`);
+  } else {
+    sections.cycle.push('Nenhuma menstruação registrada.');
+  }
+
+  if (cycle.averageLength) {
+    sections.cycle.push(`Ciclo médio: ${cycle.averageLength} dias (±${cycle.stdDev}; de ${cycle.minLength} a ${cycle.maxLength} dias; ${cycle.validCount} ciclo(s))`);
+  } else if (cycle.lastPeriod) {
+    sections.cycle.push('Ainda não há ciclos completos para calcular a média.');
+  }
+  if (cycle.averagePeriodDays) {
+    sections.cycle.push(`Duração média da menstruação: ${cycle.averagePeriodDays} dia(s)`);
+  }
+  cycle.irregularCycles.forEach(item => {
+    sections.cycle.push(`Ciclo fora de ${NORMAL_CYCLE_MIN}-${NORMAL_CYCLE_MAX} dias: ${formatDateBR(item.start)} com ${item.length} dias`);
+  });
+  if (cycle.prediction && cycle.prediction.daysUntil < 0) {
+    sections.cycle.push(`Menstruação atrasada há ${-cycle.prediction.daysUntil} dia(s)` +
+                        ` (prevista para ${formatDateBR(cycle.prediction.expectedDate)})`);
+  } else if (cycle.prediction) {
+    sections.cycle.push(`Próxima menstruação prevista: ${formatDateBR(cycle.prediction.expectedDate)}` +
+                        ` (confiança ${cycle.prediction.confidence})`);
+  }
+
+  symptoms.forEach(item => {
+    sections.symptoms.push(`${item.name}: ${item.count} registro(s), último em ${formatDateBR(item.lastDate)}`);
+  });
+
+  if (pain.count > 0) {
+    sections.pain.push(`${pain.count} registro(s) com escala de dor; média ${pain.average}/10`);
+    pain.worst.forEach(item => {
+      sections.pain.push(`${item.value}/10 em ${formatDateBR(item.date)} - ${item.content}`);
+    });
+  }
+
+  if (contraceptive.last) {
+    sections.contraceptive.push(`Último registro: ${contraceptive.last.content} (${formatDateBR(contraceptive.last.date)})`);
+  }
+  if (contraceptive.taken + contraceptive.missed > 0) {
+    sections.contraceptive.push(`Últimos ${ADHERENCE_DAYS} dias: ${contraceptive.taken} tomada(s), ` +
+                                `${contraceptive.missed} esquecida(s) - adesão ${contraceptive.adherence}%`);
+  }
+  if (contraceptive.usualTime) {
+    sections.contraceptive.push(`Horário mais comum: ${contraceptive.usualTime}`);
+  }
+
+  notes.forEach(note => {
+    sections.notes.push(`${formatDateBR(note.date)}${note.urgent ? ' [ALERTA]' : ''} - ${note.content}`);
+  });
+
+  return sections;
+}
+
+/**
+ * Gera o PDF do resumo
+ * @param {Object} summary - Resultado de buildAppointmentSummary
+ * @param {string|null} plainLanguage - Parágrafo escrito pela IA (opcional)
+ * @returns {Buffer} PDF
+ */
+function buildAppointmentPDF(summary, plainLanguage = null) {
+  const sections = describeSummary(summary);
+  const doc = new PDFDocument({ title: 'Resumo para Consulta - Gina' });
+
+  doc.heading('Resumo para Consulta Ginecológica');
+  doc.paragraph(`Gerado em ${formatDateBR(summary.today)} · Período analisado: ` +
+                `${formatDateBR(summary.periodStart)} a ${formatDateBR(summary.today)} ` +
+                `(${summary.totalRecords} registro(s))`, { size: 9 });
+
+  if (plainLanguage) {
+    doc.subheading('Em poucas palavras');
+    doc.paragraph(plainLanguage);
+    doc.paragraph('Texto escrito por IA a partir dos dados abaixo. Não é diagnóstico.', { size: 8 });
+  }
+
+  const titles = {
+    cycle: 'Ciclo menstrual',
+    symptoms: 'Sintomas mais frequentes',
+    pain: 'Dor (escala 0 a 10)',
+    contraceptive: 'Anticoncepcional',
+    notes: 'Notas marcadas e alertas'
+  };
+
+  Object.keys(titles).forEach(key => {
+    doc.subheading(titles[key]);
+    if (sections[key].length === 0) {
+      doc.paragraph('Sem registros no período.', { indent: 12 });
+      return;
+    }
+    sections[key].forEach(line => doc.paragraph(`• ${line}`, { indent: 12 }));
+  });
+
+  doc.spacer(12);
+  doc.paragraph('Dados informados pela própria paciente no assistente Gina. ' +
+                'Não substitui anamnese nem avaliação clínica.', { size: 8 });
+
+  return doc.toBuffer();
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function summarizeCycle(records, today) {
+  const periods = findPeriods(records).filter(period => period.start <= today);
+  const stats = computeCycleStats(periods);
+  const lastPeriod = periods[periods.length - 1] || null;
+  const recentPeriods = periods.slice(-6);
+
+  return {
+    lastPeriod,
+    currentCycleDay: lastPeriod ? daysBetween(lastPeriod.start, today) + 1 : null,
+    averageLength: stats.averageLength,
+    stdDev: stats.stdDev,
+    minLength: stats.minLength,
+    maxLength: stats.maxLength,
+    validCount: stats.validCount,
+    averagePeriodDays: recentPeriods.length > 0
+      ? Math.round(recentPeriods.reduce((sum, period) => sum + period.days, 0) / recentPeriods.length * 10) / 10
+      : null,
+    irregularCycles: stats.cycles
+      .filter(cycle => cycle.length < NORMAL_CYCLE_MIN || cycle.length > NORMAL_CYCLE_MAX)
+      .slice(-6),
+    prediction: predictNextPeriod(periods, stats, today)
+  };
+}
+
+function summarizeSymptoms(records) {
+  const counts = {};
+
+  records
+    .filter(record => record.category === 'sintomas')
+    .forEach(record => {
+      const names = record.details?.symptoms?.length ? record.details.symptoms : [record.content.toLowerCase()];
+      names.forEach(name => {
+        const item = counts[name] || (counts[name] = { name, count: 0, lastDate: record.date });
+        item.count++;
+        if (record.date > item.lastDate) item.lastDate = record.date;
+      });
+    });
+
+  return Object.values(counts)
+    .sort((a, b) => b.count - a.count || b.lastDate.localeCompare(a.lastDate))
+    .slice(0, TOP_SYMPTOMS);
+}
+
+function summarizePain(records) {
+  const scored = records.filter(record => Number.isInteger(record.details?.painScale));
+
+  if (scored.length === 0) {
+    return { count: 0, average: null, worst: [] };
+  }
+
+  const total = scored.reduce((sum, record) => sum + record.details.painScale, 0);
+
+  return {
+    count: scored.length,
+    average: Math.round(total / scored.length * 10) / 10,
+    worst: [...scored]
+      .sort((a, b) => b.details.painScale - a.details.painScale || b.date.localeCompare(a.date))
+      .slice(0, TOP_PAIN)
+      .map(record => ({ value: record.details.painScale, date: record.date, content: record.content }))
+  };
+}
+
+function summarizeContraceptive(records, today) {
+  const all = records
+    .filter(record => record.category === 'anticoncepcional')
+    .sort((a, b) => b.date.localeCompare(a.date));
+  const recent = all.filter(record => record.date >= addDays(today, -ADHERENCE_DAYS));
+
+  const taken = recent.filter(record => record.details?.taken !== false).length;
+  const missed = recent.filter(record => record.details?.taken === false).length;
+
+  // Horário mais frequente entre as tomadas registradas
+  const times = {};
+  recent.forEach(record => {
+    const time = record.details?.pillTime;
+    if (time) times[time] = (times[time] || 0) + 1;
+  });
+  const usualTime = Object.keys(times).sort((a, b) => times[b] - times[a])[0] || null;
+
+  return {
+    last: all[0] ? { content: all[0].content, date: all[0].date } : null,
+    taken,
+    missed,
+    adherence: taken + missed > 0 ? Math.round(taken / (taken + missed) * 100) : null,
+    usualTime
+  };
+}
+
+// Exportar funções do módulo
+module.exports = {
+  buildAppointmentSummary,
+  describeSummary,
+  buildAppointmentPDF
+};
@@ -0,0 +1,696 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: CONFIGURAÇÃO
+ * Arquivo: config.js
+ * Descrição: Carrega, combina e valida as configurações
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Montar a configuração em camadas, cada uma sobrescrevendo a
+ *   anterior: padrões → config/config.json → variáveis de ambiente
+ *   → arquivo de segredos (config/secrets.enc, opcional)
+ * - Validar cada campo pelo esquema (tipo, faixa, opções) e as
+ *   regras entre campos, com mensagens que dizem o caminho, a
+ *   origem do valor e o que era esperado
+ * - Selar e abrir o arquivo de segredos, criptografado com uma
+ *   senha (GYNECO_SECRETS_PASSPHRASE)
+ *
+ * Chaves de API, token do painel e chave mestra não precisam (e não
+ * deveriam) ficar em texto puro no config.json: use variáveis de
+ * ambiente ou o arquivo de segredos.
+ *
+ * Uso como script:
+ *   node src/config.js selar config/secrets.json   (gera config/secrets.enc)
+ *   node src/config.js abrir                       (mostra o conteúdo)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CONFIG_PATH = path.join(__dirname, '../config/config.json');
+const SECRETS_PATH = path.join(__dirname, '../config/secrets.enc');
+
+const SECRETS_FORMAT = 'gyneco-secrets';
+const SECRETS_VERSION = 1;
+
+// Valores usados quando nenhuma camada define o campo
+const DEFAULTS = {
+  llm: {
+    provider: 'gemini',
+    timeoutMs: 30000,
+    maxAttempts: 2,
+    maxConcurrent: 2
+  },
+  gemini: {
+    model: 'gemini-1.5-flash'
+  },
+  security: {
+    enableEncryption: true,
+    enablePIN: false,
+    sessionTimeout: 1800000
+  },
+  reminders: {
+    quietHours: { start: '22:00', end: '07:00' },
+    catchUpWindowHours: 12,
+    checkIntervalMs: 30000
+  },
+  trash: {
+    retentionDays: 7,
+    purgeIntervalMs: 3600000
+  },
+  conversation: {
+    maxTurns: 10,
+    ttlHours: 6,
+    summaryMaxChars: 1500
+  },
+  rateLimit: {
+    userPerMinute: 6,
+    userBurst: 5,
+    globalPerMinute: 20,
+    globalBurst: 10,
+    floodWindowMs: 10000,
+    floodMaxMessages: 8,
+    maxStrikes: 3,
+    strikeWindowMinutes: 60,
+    blockMinutes: 30,
+    maxMessageLength: 2000
+  },
+  debounce: {
+    windowMs: 2500,
+    maxWaitMs: 10000,
+    maxFragments: 10
+  },
+  whatsapp: {
+    transport: 'baileys'
+  },
+  outbox: {
+    ttlHours: 24,
+    retryBaseMs: 5000,
+    retryMaxMs: 300000,
+    checkIntervalMs: 15000
+  },
+  connection: {
+    backoffBaseMs: 2000,
+    backoffMaxMs: 300000,
+    connectTimeoutMs: 120000,
+    watchdogIntervalMs: 30000,
+    versionCacheHours: 24,
+    shutdownTimeoutMs: 15000
+  },
+  admin: {
+    enabled: false,
+    port: 8787,
+    token: ''
+  },
+  appointment: {
+    periodMonths: 6,
+    includeAISummary: true
+  },
+  bot: {
+    botName: 'Gina',
+    language: 'pt-BR'
+  }
+};
+
+// Esquema: seção -> campo -> { type, min, max, enum, minLength, secret, nullable, fields }
+// type: string, integer, number, boolean, url, time (HH:MM) ou object
+// secret: o valor nunca aparece em mensagens de erro
+const SCHEMA = {
+  llm: {
+    provider: { type: 'string', enum: ['gemini', 'openai', 'mock'] },
+    timeoutMs: { type: 'integer', min: 1000 },
+    maxAttempts: { type: 'integer', min: 1, max: 10 },
+    maxConcurrent: { type: 'integer', min: 1 }
+  },
+  gemini: {
+    apiKey: { type: 'string', secret: true },
+    model: { type: 'string', minLength: 1 }
+  },
+  openai: {
+    baseUrl: { type: 'url' },
+    model: { type: 'string', minLength: 1 },
+    apiKey: { type: 'string', secret: true },
+    timeoutMs: { type: 'integer', min: 1000 },
+    temperature: { type: 'number', min: 0, max: 2 },
+    maxTokens: { type: 'integer', min: 1 }
+  },
+  mock: {
+    model: { type: 'string' },
+    script: { type: 'object' },
+    scriptFile: { type: 'string', minLength: 1 }
+  },
+  security: {
+    enableEncryption: { type: 'boolean' },
+    enablePIN: { type: 'boolean' },
+    sessionTimeout: { type: 'integer', min: 60000 },
+    masterKey: { type: 'string', minLength: 16, secret: true }
+  },
+  reminders: {
+    quietHours: {
+      type: 'object',
+      nullable: true,
+      fields: {
+        start: { type: 'time' },
+        end: { type: 'time' }
+      }
+    },
+    catchUpWindowHours: { type: 'number', min: 0 },
+    checkIntervalMs: { type: 'integer', min: 1000 }
+  },
+  trash: {
+    retentionDays: { type: 'integer', min: 0 },
+    purgeIntervalMs: { type: 'integer', min: 60000 }
+  },
+  conversation: {
+    maxTurns: { type: 'integer', min: 1 },
+    ttlHours: { type: 'number', min: 0 },
+    summaryMaxChars: { type: 'integer', min: 0 }
+  },
+  rateLimit: {
+    userPerMinute: { type: 'integer', min: 1 },
+    userBurst: { type: 'integer', min: 1 },
+    globalPerMinute: { type: 'integer', min: 1 },
+    globalBurst: { type: 'integer', min: 1 },
+    floodWindowMs: { type: 'integer', min: 1000 },
+    floodMaxMessages: { type: 'integer', min: 1 },
+    maxStrikes: { type: 'integer', min: 1 },
+    strikeWindowMinutes: { type: 'integer', min: 1 },
+    blockMinutes: { type: 'integer', min: 1 },
+    maxMessageLength: { type: 'integer', min: 1 }
+  },
+  debounce: {
+    windowMs: { type: 'integer', min: 0 },
+    maxWaitMs: { type: 'integer', min: 0 },
+    maxFragments: { type: 'integer', min: 1 }
+  },
+  whatsapp: {
+    transport: { type: 'string', enum: ['baileys', 'mock'] }
+  },
+  outbox: {
+    ttlHours: { type: 'number', min: 1 },
+    retryBaseMs: { type: 'integer', min: 100 },
+    retryMaxMs: { type: 'integer', min: 100 },
+    checkIntervalMs: { type: 'integer', min: 1000 }
+  },
+  connection: {
+    backoffBaseMs: { type: 'integer', min: 100 },
+    backoffMaxMs: { type: 'integer', min: 100 },
+    connectTimeoutMs: { type: 'integer', min: 10000 },
+    watchdogIntervalMs: { type: 'integer', min: 1000 },
+    versionCacheHours: { type: 'number', min: 0 },
+    shutdownTimeoutMs: { type: 'integer', min: 0 }
+  },
+  admin: {
+    enabled: { type: 'boolean' },
+    port: { type: 'integer', min: 1, max: 65535 },
+    token: { type: 'string', secret: true }
+  },
+  appointment: {
+    periodMonths: { type: 'integer', min: 1, max: 60 },
+    includeAISummary: { type: 'boolean' }
+  },
+  bot: {
+    botName: { type: 'string', minLength: 1 },
+    language: { type: 'string', minLength: 1 }
+  }
+};
+
+// Variáveis de ambiente -> campo (na ordem: a última definida vale)
+const ENV_VARS = [
+  ['GYNECO_LLM_PROVIDER', 'llm.provider'],
+  ['GYNECO_GEMINI_API_KEY', 'gemini.apiKey'],
+  ['GYNECO_GEMINI_MODEL', 'gemini.model'],
+  ['GYNECO_OPENAI_BASE_URL', 'openai.baseUrl'],
+  ['GYNECO_OPENAI_MODEL', 'openai.model'],
+  ['GYNECO_OPENAI_API_KEY', 'openai.apiKey'],
+  ['GYNECO_ENABLE_ENCRYPTION', 'security.enableEncryption'],
+  ['GYNECO_ENABLE_PIN', 'security.enablePIN'],
+  ['DEVICE_ID', 'security.masterKey'], // nome antigo, mesma derivação da chave
+  ['GYNECO_MASTER_KEY', 'security.masterKey'],
+  ['GYNECO_WHATSAPP_TRANSPORT', 'whatsapp.transport'],
+  ['GYNECO_ADMIN_ENABLED', 'admin.enabled'],
+  ['GYNECO_ADMIN_PORT', 'admin.port'],
+  ['GYNECO_ADMIN_TOKEN', 'admin.token']
+];
+
+/**
+ * Monta a configuração a partir de todas as camadas e valida
+ * @param {Object} env - Variáveis de ambiente (padrão: process.env)
+ * @returns {Object} { config, errors, warnings } (config só é válida sem errors)
+ */
+function loadConfig(env = process.env) {
+  const configPath = env.GYNECO_CONFIG_PATH || CONFIG_PATH;
+  const secretsPath = env.GYNECO_SECRETS_PATH || SECRETS_PATH;
+  const configName = displayPath(configPath);
+  const secretsName = displayPath(secretsPath);
+
+  const config = clone(DEFAULTS);
+  const origins = new Map();
+  const errors = [];
+  const warnings = [];
+
+  // 1. Arquivo de configuração
+  if (fs.existsSync(configPath)) {
+    try {
+      const fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (!isPlainObject(fileConfig)) {
+        throw new Error('o conteúdo deve ser um objeto JSON');
+      }
+
+      mergeLayer(config, fileConfig, configName, origins);
+      findSecrets(fileConfig).forEach(keyPath => {
+        warnings.push(`${keyPath} está em texto puro em ${configName}; prefira variável de ambiente ou ${secretsName}`);
+      });
+    } catch (error) {
+      errors.push(`${configName}: não foi possível ler (${error.message})`);
+    }
+  } else {
+    warnings.push(`${configName} não encontrado; usando padrões e variáveis de ambiente`);
+  }
+
+  // 2. Variáveis de ambiente
+  ENV_VARS.forEach(([name, keyPath]) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return;
+
+    const layer = {};
+    setPath(layer, keyPath, coerceEnvValue(raw, getSpec(keyPath)));
+    mergeLayer(config, layer, `variável ${name}`, origins);
+  });
+
+  // 3. Arquivo de segredos
+  if (fs.existsSync(secretsPath)) {
+    const passphrase = env.GYNECO_SECRETS_PASSPHRASE;
+
+    if (!passphrase) {
+      errors.push(`${secretsName}: encontrado, mas GYNECO_SECRETS_PASSPHRASE não foi definida`);
+    } else {
+      try {
+        const secrets = openSecrets(JSON.parse(fs.readFileSync(secretsPath, 'utf8')), passphrase);
+        mergeLayer(config, secrets, secretsName, origins);
+      } catch (error) {
+        errors.push(`${secretsName}: ${error.message}`);
+      }
+    }
+  }
+
+  const result = checkConfig(config, origins);
+
+  return {
+    config,
+    errors: [...errors, ...result.errors],
+    warnings: [...warnings, ...result.warnings]
+  };
+}
+
+/**
+ * Completa um objeto de configuração com os padrões e valida
+ * (para configurações montadas em código, como em testes)
+ * @param {Object} config - Objeto de configuração (alterado no lugar)
+ * @returns {boolean} true se configuração válida
+ */
+function validateConfig(config) {
+  if (!isPlainObject(config)) {
+    console.error('❌ Config deve ser um objeto');
+    return false;
+  }
+
+  const merged = clone(DEFAULTS);
+  mergeLayer(merged, config, null, new Map());
+  Object.assign(config, merged);
+
+  const { errors, warnings } = checkConfig(config, new Map());
+  warnings.forEach(warning => console.log(`⚠️  ${warning}`));
+  errors.forEach(error => console.error(`❌ ${error}`));
+
+  return errors.length === 0;
+}
+
+/**
+ * Criptografa segredos com uma senha (conteúdo de config/secrets.enc)
+ * @param {Object} secrets - Parte da configuração (ex.: { gemini: { apiKey } })
+ * @param {string} passphrase - Senha
+ * @returns {Object} { format, version, salt, iv, authTag, data }
+ */
+function sealSecrets(secrets, passphrase) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveSecretsKey(passphrase, salt), iv);
+
+  const data = Buffer.concat([cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final()]);
+
+  return {
+    format: SECRETS_FORMAT,
+    version: SECRETS_VERSION,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Abre um arquivo de segredos
+ * @param {Object} sealed - Conteúdo gerado por sealSecrets
+ * @param {string} passphrase - Senha
+ * @returns {Object} Segredos
+ */
+function openSecrets(sealed, passphrase) {
+  if (!sealed || sealed.format !== SECRETS_FORMAT) {
+    throw new Error('não é um arquivo de segredos');
+  }
+
+  if (sealed.version !== SECRETS_VERSION) {
+    throw new Error(`versão ${sealed.version} não suportada`);
+  }
+
+  let plaintext;
+  try {
+    const decipher = crypto.createDecipheriv(
+      'aes-256-gcm',
+      deriveSecretsKey(passphrase, Buffer.from(sealed.salt, 'base64')),
+      Buffer.from(sealed.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(sealed.authTag, 'base64'));
+    plaintext = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+  } catch (error) {
+    throw new Error('senha incorreta ou arquivo corrompido');
+  }
+
+  const secrets = JSON.parse(plaintext);
+  if (!isPlainObject(secrets)) {
+    throw new Error('o conteúdo deve ser um objeto JSON');
+  }
+
+  return secrets;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+/**
+ * Valida a configuração já combinada
+ * @param {Object} config - Configuração
+ * @param {Map} origins - Caminho -> origem do valor (arquivo, variável)
+ * @returns {Object} { errors, warnings }
+ */
+function checkConfig(config, origins) {
+  const errors = [];
+  const warnings = [];
+
+  const report = (keyPath, message, withOrigin = true) => {
+    const origin = withOrigin ? findOrigin(origins, keyPath) : null;
+    errors.push(`${keyPath}${origin ? ` (${origin})` : ''}: ${message}`);
+  };
+
+  Object.keys(config).forEach(section => {
+    if (!SCHEMA[section]) {
+      warnings.push(`seção desconhecida ignorada: ${section}`);
+      return;
+    }
+
+    if (!isPlainObject(config[section])) {
+      report(section, `esperado objeto, recebido ${describeValue(config[section])}`);
+      return;
+    }
+
+    checkFields(config[section], SCHEMA[section], section, report, warnings);
+  });
+
+  checkRules(config, report);
+
+  return { errors, warnings };
+}
+
+function checkFields(values, fields, prefix, report, warnings) {
+  Object.keys(values).forEach(key => {
+    const keyPath = `${prefix}.${key}`;
+    const spec = fields[key];
+
+    if (!spec) {
+      warnings.push(`campo desconhecido ignorado: ${keyPath}`);
+      return;
+    }
+
+    const problem = checkValue(values[key], spec);
+    if (problem) {
+      report(keyPath, problem);
+      return;
+    }
+
+    if (spec.fields && values[key] !== null) {
+      checkFields(values[key], spec.fields, keyPath, report, warnings);
+    }
+  });
+}
+
+/**
+ * Confere um valor contra o esquema do campo
+ * @returns {string|null} Descrição do problema ou null se válido
+ */
+function checkValue(value, spec) {
+  const received = `recebido ${spec.secret ? 'valor oculto' : describeValue(value)}`;
+
+  if (value === null && spec.nullable) return null;
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return `esperado texto, ${received}`;
+      if (spec.enum && !spec.enum.includes(value)) return `esperado um de: ${spec.enum.join(', ')}; ${received}`;
+      if (spec.minLength && value.length < spec.minLength) {
+        return spec.minLength === 1
+          ? 'não pode ficar vazio'
+          : `esperado texto com pelo menos ${spec.minLength} caracteres, ${received}`;
+      }
+      return null;
+
+    case 'integer':
+    case 'number': {
+      const expected = `esperado ${spec.type === 'integer' ? 'número inteiro' : 'número'}${describeRange(spec)}`;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return `${expected}, ${received}`;
+      if (spec.type === 'integer' && !Number.isInteger(value)) return `${expected}, ${received}`;
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return `${expected}, ${received}`;
+      }
+      return null;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `esperado true ou false, ${received}`;
+
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value)
+        ? null
+        : `esperado endereço http:// ou https://, ${received}`;
+
+    case 'time':
+      return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value)
+        ? null
+        : `esperado horário HH:MM (00:00 a 23:59), ${received}`;
+
+    case 'object':
+      return isPlainObject(value)
+        ? null
+        : `esperado objeto${spec.nullable ? ' ou null' : ''}, ${received}`;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Regras que envolvem mais de um campo
+ * Campos ausentes não têm origem; seções inválidas já foram apontadas
+ */
+function checkRules(config, report) {
+  const { llm, gemini, openai, security, debounce, outbox, connection } = config;
+
+  if (llm?.provider === 'gemini' && (!gemini?.apiKey || gemini.apiKey === 'SUA_API_KEY_AQUI')) {
+    report('gemini.apiKey', 'obrigatória com llm.provider = "gemini" (use GYNECO_GEMINI_API_KEY ou o arquivo de segredos)', false);
+  }
+
+  if (llm?.provider === 'openai') {
+    if (!openai?.baseUrl) report('openai.baseUrl', 'obrigatório com llm.provider = "openai"', false);
+    if (!openai?.model) report('openai.model', 'obrigatório com llm.provider = "openai"', false);
+  }
+
+  if (security?.enableEncryption === true && !security.masterKey) {
+    report('security.masterKey', 'obrigatória com security.enableEncryption = true (use GYNECO_MASTER_KEY ou o arquivo de segredos)', false);
+  }
+
+  if (debounce?.maxWaitMs < debounce?.windowMs) {
+    report('debounce.maxWaitMs', `deve ser maior ou igual a debounce.windowMs (${debounce.windowMs})`);
+  }
+
+  if (outbox?.retryMaxMs < outbox?.retryBaseMs) {
+    report('outbox.retryMaxMs', `deve ser maior ou igual a outbox.retryBaseMs (${outbox.retryBaseMs})`);
+  }
+
+  if (connection?.backoffMaxMs < connection?.backoffBaseMs) {
+    report('connection.backoffMaxMs', `deve ser maior ou igual a connection.backoffBaseMs (${connection.backoffBaseMs})`);
+  }
+}
+
+/**
+ * Aplica uma camada sobre a configuração, anotando a origem de cada valor
+ * Objetos são combinados campo a campo; os demais valores substituem
+ */
+function mergeLayer(target, layer, origin, origins, prefix = '') {
+  Object.keys(layer).forEach(key => {
+    const keyPath = prefix ? `${prefix}.${key}` : key;
+    const value = layer[key];
+
+    if (origin) {
+      origins.set(keyPath, origin);
+    }
+
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeLayer(target[key], value, origin, origins, keyPath);
+    } else {
+      target[key] = isPlainObject(value) ? clone(value) : value;
+    }
+  });
+}
+
+// Caminhos de campos secretos presentes em um objeto de configuração
+function findSecrets(layer) {
+  const found = [];
+
+  Object.keys(SCHEMA).forEach(section => {
+    Object.keys(SCHEMA[section]).forEach(key => {
+      if (SCHEMA[section][key].secret && layer[section]?.[key]) {
+        found.push(`${section}.${key}`);
+      }
+    });
+  });
+
+  return found;
+}
+
+function findOrigin(origins, keyPath) {
+  const parts = keyPath.split('.');
+  while (parts.length > 0) {
+    const origin = origins.get(parts.join('.'));
+    if (origin) return origin;
+    parts.pop();
+  }
+  return null;
+}
+
+function getSpec(keyPath) {
+  const [section, key] = keyPath.split('.');
+  return SCHEMA[section][key];
+}
+
+// Variáveis de ambiente são texto: converte para o tipo do campo
+// (se não der, o texto segue e a validação aponta o erro)
+function coerceEnvValue(raw, spec) {
+  const value = raw.trim();
+
+  if (spec.type === 'integer' || spec.type === 'number') {
+    return /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : value;
+  }
+
+  if (spec.type === 'boolean') {
+    if (['true', '1', 'sim'].includes(value.toLowerCase())) return true;
+    if (['false', '0', 'nao', 'não'].includes(value.toLowerCase())) return false;
+  }
+
+  return value;
+}
+
+function describeRange(spec) {
+  if (spec.min !== undefined && spec.max !== undefined) return ` entre ${spec.min} e ${spec.max}`;
+  if (spec.min !== undefined) return ` maior ou igual a ${spec.min}`;
+  if (spec.max !== undefined) return ` menor ou igual a ${spec.max}`;
+  return '';
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (value === undefined) return 'nada';
+  if (Array.isArray(value)) return 'uma lista';
+  if (typeof value === 'object') return 'um objeto';
+  if (typeof value === 'string') return `"${value.length > 40 ? `${value.slice(0, 37)}...` : value}" (texto)`;
+  return String(value);
+}
+
+function setPath(target, keyPath, value) {
+  const parts = keyPath.split('.');
+  const last = parts.pop();
+  const parent = parts.reduce((node, part) => (node[part] = node[part] || {}), target);
+  parent[last] = value;
+}
+
+// Caminho relativo à raiz do projeto, quando estiver dentro dela
+function displayPath(filePath) {
+  const relative = path.relative(path.join(__dirname, '..'), filePath);
+  return relative.startsWith('..') ? filePath : relative;
+}
+
+function deriveSecretsKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, salt, 32);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Script: selar ou abrir o arquivo de segredos
+ * A senha vem de GYNECO_SECRETS_PASSPHRASE
+ */
+function runCli(args) {
+  const [command, file] = args;
+  const passphrase = process.env.GYNECO_SECRETS_PASSPHRASE;
+  const secretsPath = process.env.GYNECO_SECRETS_PATH || SECRETS_PATH;
+
+  if (!passphrase) {
+    console.error('❌ Defina a senha em GYNECO_SECRETS_PASSPHRASE');
+    return 1;
+  }
+
+  try {
+    if (command === 'selar' && file) {
+      const secrets = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!isPlainObject(secrets)) {
+        throw new Error('o conteúdo deve ser um objeto JSON');
+      }
+
+      fs.writeFileSync(secretsPath, JSON.stringify(sealSecrets(secrets, passphrase), null, 2), { mode: 0o600 });
+      console.log(`🔐 Segredos gravados em ${secretsPath}`);
+      console.log(`   Apague ${file}: o original em texto puro não é mais necessário`);
+      return 0;
+    }
+
+    if (command === 'abrir') {
+      const secrets = openSecrets(JSON.parse(fs.readFileSync(secretsPath, 'utf8')), passphrase);
+      console.log(JSON.stringify(secrets, null, 2));
+      return 0;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    return 1;
+  }
+
+  console.error('Uso: node src/config.js selar <segredos.json> | abrir');
+  return 1;
+}
+
+if (require.main === module) {
+  process.exit(runCli(process.argv.slice(2)));
+}
+
+// Exportar funções do módulo
+module.exports = {
+  loadConfig,
+  validateConfig,
+  sealSecrets,
+  openSecrets
+};
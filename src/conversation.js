@@ -0,0 +1,221 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: MEMÓRIA DE CONVERSA
+ * Arquivo: conversation.js
+ * Descrição: Últimas trocas de mensagens de cada usuária
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Guardar as últimas N trocas (usuária ↔ Gina) por usuária
+ * - Resumir as trocas mais antigas numa janela de texto curta
+ * - Expirar a conversa após um período sem mensagens (TTL)
+ * - Apagar a conversa sem tocar nos registros (/esquecer)
+ *
+ * O conteúdo fica sempre criptografado em data/conversations,
+ * independente de security.enableEncryption. Apenas as datas de
+ * atualização e expiração ficam abertas, para a purga periódica.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encryptData, decryptData } = require('./security');
+const { writeFileAtomic } = require('./utils');
+
+const CONVERSATIONS_DIR = path.join(__dirname, '../data/conversations');
+
+// Tamanho máximo de cada fala ao entrar no resumo
+const SUMMARY_EXCERPT_CHARS = 160;
+
+let settings = {
+  maxTurns: 10,
+  ttlMs: 6 * 3600000,
+  summaryMaxChars: 1500
+};
+
+/**
+ * Aplica as configurações da memória de conversa
+ * @param {Object} config - Configurações da aplicação
+ */
+function initializeConversations(config) {
+  const options = config.conversation || {};
+
+  settings = {
+    maxTurns: options.maxTurns || settings.maxTurns,
+    ttlMs: (options.ttlHours || 6) * 3600000,
+    summaryMaxChars: options.summaryMaxChars || settings.summaryMaxChars
+  };
+
+  if (!fs.existsSync(CONVERSATIONS_DIR)) {
+    fs.mkdirSync(CONVERSATIONS_DIR, { recursive: true });
+  }
+}
+
+/**
+ * Carrega a conversa atual de uma usuária
+ * Conversas expiradas são apagadas e voltam vazias
+ * @param {string} userId - ID do usuário
+ * @returns {Object} { summary, turns: [{ role: 'user'|'model', text, at }] }
+ */
+function getConversation(userId) {
+  const empty = { summary: '', turns: [] };
+  const filePath = getConversationPath(userId);
+
+  try {
+    if (!fs.existsSync(filePath)) {
+      return empty;
+    }
+
+    const wrapper = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (new Date(wrapper.expiresAt).getTime() <= Date.now()) {
+      fs.unlinkSync(filePath);
+      return empty;
+    }
+
+    return { ...empty, ...JSON.parse(decryptData(wrapper.payload)) };
+
+  } catch (error) {
+    console.error('❌ Erro ao carregar conversa:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * Acrescenta uma troca (mensagem da usuária + resposta da Gina)
+ * Trocas além de maxTurns saem da lista e entram no resumo
+ * @param {string} userId - ID do usuário
+ * @param {string} userText - Mensagem da usuária
+ * @param {string} modelText - Resposta enviada
+ * @returns {boolean} Sucesso da operação
+ */
+function appendTurn(userId, userText, modelText) {
+  try {
+    const conversation = getConversation(userId);
+    const at = new Date().toISOString();
+
+    conversation.turns.push(
+      { role: 'user', text: userText, at },
+      { role: 'model', text: modelText, at }
+    );
+
+    // Cada troca são duas falas; as mais antigas vão para o resumo
+    const overflow = conversation.turns.length - settings.maxTurns * 2;
+    if (overflow > 0) {
+      const oldest = conversation.turns.splice(0, overflow);
+      conversation.summary = summarizeTurns(conversation.summary, oldest);
+    }
+
+    return saveConversation(userId, conversation);
+
+  } catch (error) {
+    console.error('❌ Erro ao salvar conversa:', error.message);
+    return false;
+  }
+}
+
+/**
+ * Apaga a conversa de uma usuária (registros não são afetados)
+ * @param {string} userId - ID do usuário
+ * @returns {boolean} true se havia conversa
+ */
+function clearConversation(userId) {
+  const filePath = getConversationPath(userId);
+
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * Apaga conversas expiradas
+ * @returns {number} Quantidade de conversas apagadas
+ */
+function purgeExpiredConversations() {
+  try {
+    if (!fs.existsSync(CONVERSATIONS_DIR)) return 0;
+
+    const now = Date.now();
+    let purged = 0;
+
+    fs.readdirSync(CONVERSATIONS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const filePath = path.join(CONVERSATIONS_DIR, file);
+        try {
+          const wrapper = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+          if (new Date(wrapper.expiresAt).getTime() <= now) {
+            fs.unlinkSync(filePath);
+            purged++;
+          }
+        } catch (error) {
+          console.error(`❌ Erro ao verificar conversa ${file}:`, error.message);
+        }
+      });
+
+    return purged;
+
+  } catch (error) {
+    console.error('❌ Erro ao purgar conversas:', error.message);
+    return 0;
+  }
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function getConversationPath(userId) {
+  const userKey = userId.split('@')[0].replace(/[^0-9]/g, '');
+  return path.join(CONVERSATIONS_DIR, `${userKey}.json`);
+}
+
+function saveConversation(userId, conversation) {
+  const now = Date.now();
+
+  const wrapper = {
+    updatedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + settings.ttlMs).toISOString(),
+    payload: encryptData(JSON.stringify(conversation))
+  };
+
+  writeFileAtomic(getConversationPath(userId), JSON.stringify(wrapper));
+  return true;
+}
+
+/**
+ * Condensa falas antigas no resumo, mantendo o trecho mais recente
+ * @param {string} summary - Resumo atual
+ * @param {Array} turns - Falas que saíram da janela
+ * @returns {string} Novo resumo
+ */
+function summarizeTurns(summary, turns) {
+  const lines = turns.map(turn => {
+    const speaker = turn.role === 'user' ? 'Usuária' : 'Gina';
+    const text = turn.text.replace(/\s+/g, ' ').trim();
+    const excerpt = text.length > SUMMARY_EXCERPT_CHARS
+      ? text.substring(0, SUMMARY_EXCERPT_CHARS) + '...'
+      : text;
+    return `${speaker}: ${excerpt}`;
+  });
+
+  const combined = [summary, ...lines].filter(Boolean).join('\n');
+  if (combined.length <= settings.summaryMaxChars) {
+    return combined;
+  }
+
+  // Corta no início de uma linha para não deixar fala pela metade
+  const tail = combined.slice(-settings.summaryMaxChars);
+  const firstBreak = tail.indexOf('\n');
+  return firstBreak >= 0 ? tail.slice(firstBreak + 1) : tail;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  initializeConversations,
+  getConversation,
+  appendTurn,
+  clearConversation,
+  purgeExpiredConversations
+};
@@ -0,0 +1,200 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: MOTOR DE CICLO MENSTRUAL
+ * Arquivo: cycle.js
+ * Descrição: Cálculo determinístico de ciclos e previsões
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Identificar dias de início da menstruação a partir dos registros
+ * - Calcular duração dos ciclos, média e variabilidade
+ * - Prever a próxima menstruação com faixa de confiança
+ * - Fornecer um resumo do ciclo para comandos e para a IA
+ */
+
+const { getAllRecords, getTodayDate } = require('./database');
+const { daysBetween, addDays } = require('./utils');
+
+// Dias sem registro de menstruação que separam dois períodos distintos
+const PERIOD_GAP_DAYS = 10;
+
+// Faixa de duração considerada plausível para um ciclo
+const MIN_CYCLE_DAYS = 15;
+const MAX_CYCLE_DAYS = 60;
+
+// Duração usada quando ainda não há ciclos completos registrados
+const DEFAULT_CYCLE_LENGTH = 28;
+
+/**
+ * Agrupa os registros de menstruação em períodos
+ * Dias de menstruação próximos entre si pertencem ao mesmo período
+ * @param {Array} records - Registros da usuária
+ * @returns {Array} Períodos em ordem cronológica [{ start, end, days }]
+ */
+function findPeriods(records) {
+  const dates = [...new Set(
+    records
+      .filter(record => record.category === 'menstruacao')
+      .map(record => record.date)
+      .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
+  )].sort();
+
+  const periods = [];
+
+  dates.forEach(date => {
+    const current = periods[periods.length - 1];
+
+    if (current && daysBetween(current.end, date) <= PERIOD_GAP_DAYS) {
+      current.end = date;
+      current.days = daysBetween(current.start, date) + 1;
+    } else {
+      periods.push({ start: date, end: date, days: 1 });
+    }
+  });
+
+  return periods;
+}
+
+/**
+ * Calcula estatísticas dos ciclos a partir dos períodos
+ * Ciclos fora da faixa plausível são marcados como irregulares
+ * e não entram na média
+ * @param {Array} periods - Períodos retornados por findPeriods
+ * @returns {Object} Estatísticas { cycles, averageLength, stdDev, minLength, maxLength, validCount }
+ */
+function computeCycleStats(periods) {
+  const cycles = [];
+
+  for (let i = 1; i < periods.length; i++) {
+    const length = daysBetween(periods[i - 1].start, periods[i].start);
+    cycles.push({
+      start: periods[i - 1].start,
+      end: addDays(periods[i].start, -1),
+      length,
+      periodDays: periods[i - 1].days,
+      irregular: length < MIN_CYCLE_DAYS || length > MAX_CYCLE_DAYS
+    });
+  }
+
+  const lengths = cycles.filter(cycle => !cycle.irregular).map(cycle => cycle.length);
+
+  if (lengths.length === 0) {
+    return {
+      cycles,
+      averageLength: null,
+      stdDev: null,
+      minLength: null,
+      maxLength: null,
+      validCount: 0
+    };
+  }
+
+  const average = lengths.reduce((sum, length) => sum + length, 0) / lengths.length;
+  const variance = lengths.reduce((sum, length) => sum + Math.pow(length - average, 2), 0) / lengths.length;
+
+  return {
+    cycles,
+    averageLength: Math.round(average * 10) / 10,
+    stdDev: Math.round(Math.sqrt(variance) * 10) / 10,
+    minLength: Math.min(...lengths),
+    maxLength: Math.max(...lengths),
+    validCount: lengths.length
+  };
+}
+
+/**
+ * Prevê a próxima menstruação
+ * A margem da previsão cresce com a variabilidade dos ciclos
+ * @param {Array} periods - Períodos em ordem cronológica
+ * @param {Object} stats - Estatísticas de computeCycleStats
+ * @param {string} today - Data de referência (YYYY-MM-DD)
+ * @returns {Object|null} Previsão ou null se não há períodos
+ */
+function predictNextPeriod(periods, stats, today = getTodayDate()) {
+  if (periods.length === 0) return null;
+
+  const lastStart = periods[periods.length - 1].start;
+  const usedDefault = stats.validCount === 0;
+  const cycleLength = usedDefault ? DEFAULT_CYCLE_LENGTH : Math.round(stats.averageLength);
+  const margin = usedDefault ? 5 : Math.max(2, Math.ceil(stats.stdDev));
+
+  let confidence = 'baixa';
+  if (stats.validCount >= 6 && stats.stdDev <= 2) {
+    confidence = 'alta';
+  } else if (stats.validCount >= 3 && stats.stdDev <= 4) {
+    confidence = 'media';
+  }
+
+  const expectedDate = addDays(lastStart, cycleLength);
+
+  return {
+    expectedDate,
+    earliestDate: addDays(expectedDate, -margin),
+    latestDate: addDays(expectedDate, margin),
+    cycleLength,
+    margin,
+    confidence,
+    usedDefault,
+    basedOnCycles: stats.validCount,
+    daysUntil: today <= expectedDate ? daysBetween(today, expectedDate) : -daysBetween(expectedDate, today)
+  };
+}
+
+/**
+ * Monta a visão completa do ciclo de uma usuária
+ * @param {string} userId - ID do usuário
+ * @param {boolean} encrypted - Se usa criptografia
+ * @param {number} lastN - Quantidade de ciclos recentes a retornar
+ * @returns {Object} { periods, stats, lastCycles, currentCycleDay, prediction }
+ */
+function getCycleOverview(userId, encrypted = false, lastN = 6) {
+  const today = getTodayDate();
+  const periods = findPeriods(getAllRecords(userId, encrypted))
+    .filter(period => period.start <= today);
+  const stats = computeCycleStats(periods);
+
+  const lastPeriod = periods[periods.length - 1];
+  const currentCycleDay = lastPeriod ? daysBetween(lastPeriod.start, today) + 1 : null;
+
+  return {
+    periods,
+    stats,
+    lastCycles: stats.cycles.slice(-lastN).reverse(),
+    currentCycleDay,
+    prediction: predictNextPeriod(periods, stats, today)
+  };
+}
+
+/**
+ * Resume o ciclo em texto curto para compor o prompt da IA
+ * Assim a IA usa o cálculo em vez de estimar sozinha
+ * @param {Object} overview - Resultado de getCycleOverview
+ * @returns {string|null} Resumo ou null se não há dados
+ */
+function summarizeCycleForPrompt(overview) {
+  if (!overview || !overview.prediction) return null;
+
+  const { stats, prediction, currentCycleDay, periods } = overview;
+  let summary = `Última menstruação: ${periods[periods.length - 1].start}. `;
+  summary += `Dia ${currentCycleDay} do ciclo. `;
+
+  if (stats.validCount > 0) {
+    summary += `Ciclo médio: ${stats.averageLength} dias (±${stats.stdDev}, ${stats.validCount} ciclos). `;
+  } else {
+    summary += `Sem ciclos completos; usando ${DEFAULT_CYCLE_LENGTH} dias como referência. `;
+  }
+
+  summary += `Próxima prevista: ${prediction.expectedDate} ` +
+             `(entre ${prediction.earliestDate} e ${prediction.latestDate}, confiança ${prediction.confidence}).`;
+
+  return summary;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  findPeriods,
+  computeCycleStats,
+  predictNextPeriod,
+  getCycleOverview,
+  summarizeCycleForPrompt
+};
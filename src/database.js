@@ -11,16 +11,38 @@
  * - Salvar/carregar dados de forma segura
  * - Gerenciar operações CRUD (Create, Read, Update, Delete)
  * - Manter integridade dos dados
- * - Suportar criptografia opcional (via security.js)
+ * - Suportar criptografia opcional (via security.js): o arquivo
+ *   cifrado leva um cabeçalho com o ID da chave mestra e a chave de
+ *   dados do arquivo, embrulhada por ela
+ * - Detectar o formato de cada arquivo pelo cabeçalho (aberto ou
+ *   cifrado, versão do esquema) e migrar todos para o modo configurado
+ * - Nunca gravar por cima de um arquivo que não pôde ser lido
+ *
+ * Formato dos arquivos em data/users/:
+ *   { "header": { "format": "plain", "schemaVersion": 1 }, "data": { ... } }
+ *   { "header": { "format": "encrypted", "schemaVersion": 1, "kid", "wrappedKey" }, "iv", "authTag", "data" }
+ * Arquivos sem cabeçalho (versão 0: JSON aberto ou texto cifrado em
+ * base64) continuam legíveis e são convertidos na migração.
  */
 
 const fs = require('fs');
 const path = require('path');
-const { encryptData, decryptData } = require('./security');
+const { encryptData, decryptData, sealEnvelope, openEnvelope, rewrapEnvelope } = require('./security');
+const { writeFileAtomic } = require('./utils');
 
 // Diretório base para dados dos usuários
 const DATA_DIR = path.join(__dirname, '../data/users');
 
+// Lixeira: dados apagados ficam aqui (sempre criptografados) até a purga
+const TRASH_DIR = path.join(__dirname, '../data/trash');
+
+// Versão atual do esquema dos dados (header.schemaVersion)
+const SCHEMA_VERSION = 1;
+
+// Usuárias cujo arquivo existe mas não abriu: não gravamos por cima
+// (a estrutura vazia devolvida apagaria o histórico no próximo salvamento)
+const unreadableUsers = new Set();
+
 /**
  * Inicializa o sistema de banco de dados
  * Cria diretórios necessários se não existirem
@@ -31,6 +53,9 @@ function initializeDatabase() {
       fs.mkdirSync(DATA_DIR, { recursive: true });
       console.log('   Diretório de dados criado:', DATA_DIR);
     }
+    if (!fs.existsSync(TRASH_DIR)) {
+      fs.mkdirSync(TRASH_DIR, { recursive: true });
+    }
     return true;
   } catch (error) {
     console.error('❌ Erro ao inicializar banco de dados:', error.message);
@@ -60,8 +85,9 @@ function getUserDataPath(userId) {
 
 /**
  * Carrega dados de um usuário específico
+ * O formato (aberto ou cifrado) vem do cabeçalho do arquivo, não da configuração
  * @param {string} userId - ID do usuário
- * @param {boolean} encrypted - Se os dados estão criptografados
+ * @param {boolean} encrypted - Mantido por compatibilidade (a leitura detecta o formato)
  * @returns {Object} Dados do usuário { records: [], metadata: {} }
  */
 function loadUserData(userId, encrypted = false) {
@@ -81,21 +107,16 @@ function loadUserData(userId, encrypted = false) {
       };
     }
 
-    // Ler arquivo
-    let fileContent = fs.readFileSync(filePath, 'utf8');
-
-    // Descriptografar se necessário
-    if (encrypted) {
-      fileContent = decryptData(fileContent);
-    }
-
-    const data = JSON.parse(fileContent);
+    // Ler arquivo (descriptografando se necessário)
+    const data = upgradeUserData(decodeUserFile(fs.readFileSync(filePath, 'utf8')));
+    unreadableUsers.delete(sanitizePhoneNumber(userId));
     return data;
 
   } catch (error) {
     console.error(`❌ Erro ao carregar dados do usuário ${userId}:`, error.message);
-    
-    // Retornar estrutura vazia em caso de erro
+    unreadableUsers.add(sanitizePhoneNumber(userId));
+
+    // Retornar estrutura vazia em caso de erro (saveUserData recusa gravá-la)
     return {
       userId: sanitizePhoneNumber(userId),
       records: [],
@@ -111,6 +132,7 @@ function loadUserData(userId, encrypted = false) {
 
 /**
  * Salva dados de um usuário
+ * Recusa gravar se o arquivo existente não pôde ser lido
  * @param {string} userId - ID do usuário
  * @param {Object} data - Dados a serem salvos
  * @param {boolean} encrypted - Se deve criptografar os dados
@@ -120,22 +142,19 @@ function saveUserData(userId, data, encrypted = false) {
   try {
     const filePath = getUserDataPath(userId);
 
+    if (unreadableUsers.has(sanitizePhoneNumber(userId)) && fs.existsSync(filePath)) {
+      console.error(`❌ Dados de ${userId} não foram lidos; gravação recusada para não apagar o histórico`);
+      return false;
+    }
+
     // Atualizar metadata
     data.metadata = data.metadata || {};
     data.metadata.lastUpdate = new Date().toISOString();
     data.metadata.totalRecords = data.records.length;
 
-    // Converter para JSON
-    let jsonData = JSON.stringify(data, null, 2);
-
-    // Criptografar se necessário
-    if (encrypted) {
-      jsonData = encryptData(jsonData);
-    }
+    // Salvar arquivo (com cabeçalho; cifrado com nova chave de dados a cada gravação)
+    writeFileAtomic(filePath, encodeUserFile(data, encrypted));
 
-    // Salvar arquivo
-    fs.writeFileSync(filePath, jsonData, 'utf8');
-    
     return true;
 
   } catch (error) {
@@ -181,6 +200,175 @@ function addRecord(userId, record, encrypted = false) {
   }
 }
 
+/**
+ * Adiciona vários registros de uma vez (importação)
+ * Registros com id preservam o id e o timestamp originais
+ * @param {string} userId - ID do usuário
+ * @param {Array} records - Registros { date, category, content, details, ... }
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {boolean} Sucesso da operação
+ */
+function addRecords(userId, records, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    const existingIds = new Set(userData.records.map(record => record.id));
+
+    records.forEach(({ id, timestamp, ...fields }) => {
+      userData.records.push({
+        id: id && !existingIds.has(id) ? id : generateRecordId(),
+        timestamp: timestamp || new Date().toISOString(),
+        ...fields,
+        category: fields.category || 'observacao'
+      });
+    });
+
+    userData.records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return saveUserData(userId, userData, encrypted);
+
+  } catch (error) {
+    console.error(`❌ Erro ao adicionar registros:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Atualiza campos de um registro existente
+ * @param {string} userId - ID do usuário
+ * @param {string} recordId - ID completo do registro
+ * @param {Object} changes - Campos a alterar (category, date, content...)
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object|null} Registro atualizado ou null se não encontrado
+ */
+function updateRecord(userId, recordId, changes, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    const record = userData.records.find(r => r.id === recordId);
+
+    if (!record) return null;
+
+    // id e timestamp identificam o registro e não podem mudar
+    const { id, timestamp, ...allowedChanges } = changes;
+    Object.assign(record, allowedChanges, { editedAt: new Date().toISOString() });
+
+    return saveUserData(userId, userData, encrypted) ? record : null;
+
+  } catch (error) {
+    console.error(`❌ Erro ao atualizar registro:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Remove um registro específico
+ * @param {string} userId - ID do usuário
+ * @param {string} recordId - ID completo do registro
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object|null} Registro removido ou null se não encontrado
+ */
+function deleteRecord(userId, recordId, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    const index = userData.records.findIndex(r => r.id === recordId);
+
+    if (index === -1) return null;
+
+    const [removed] = userData.records.splice(index, 1);
+
+    return saveUserData(userId, userData, encrypted) ? removed : null;
+
+  } catch (error) {
+    console.error(`❌ Erro ao remover registro:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Busca os registros salvos a partir de uma mensagem do WhatsApp
+ * @param {string} userId - ID do usuário
+ * @param {string} messageId - ID da mensagem (key.id do Baileys)
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Array} Registros cuja origem inclui a mensagem
+ */
+function findRecordsByMessageId(userId, messageId, encrypted = false) {
+  if (!messageId) return [];
+
+  return getAllRecords(userId, encrypted)
+    .filter(record => (record.messageKeys || []).some(key => key.id === messageId));
+}
+
+/**
+ * Substitui os registros de uma mensagem pelos extraídos de novo
+ * (mensagem editada ou apagada). Os primeiros registros são atualizados
+ * no lugar, mantendo id, timestamp e marcações; os que sobram são
+ * removidos e os novos, adicionados. Tudo em uma única gravação.
+ * @param {string} userId - ID do usuário
+ * @param {Array<string>} recordIds - IDs dos registros atuais
+ * @param {Array} replacements - Novos registros { date, category, content, ... }
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object|null} { updated, added, removed } ou null em caso de erro
+ */
+function replaceSourceRecords(userId, recordIds, replacements, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    const current = recordIds
+      .map(recordId => userData.records.find(r => r.id === recordId))
+      .filter(Boolean);
+
+    const result = { updated: [], added: [], removed: [] };
+    const editedAt = new Date().toISOString();
+
+    replacements.forEach(({ id, timestamp, ...fields }, index) => {
+      const record = current[index];
+      if (record) {
+        Object.assign(record, fields, { editedAt });
+        result.updated.push(record);
+        return;
+      }
+
+      const newRecord = {
+        id: generateRecordId(),
+        timestamp: new Date().toISOString(),
+        ...fields,
+        category: fields.category || 'observacao'
+      };
+      userData.records.push(newRecord);
+      result.added.push(newRecord);
+    });
+
+    current.slice(replacements.length).forEach(record => {
+      userData.records.splice(userData.records.indexOf(record), 1);
+      result.removed.push(record);
+    });
+
+    userData.records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    return saveUserData(userId, userData, encrypted) ? result : null;
+
+  } catch (error) {
+    console.error(`❌ Erro ao substituir registros:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Busca registros pelo ID curto exibido nas listagens
+ * @param {string} userId - ID do usuário
+ * @param {string} shortId - ID curto (ou ID completo)
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Array} Registros compatíveis (mais de um indica ambiguidade)
+ */
+function findRecordsByShortId(userId, shortId, encrypted = false) {
+  const wanted = String(shortId || '').toLowerCase();
+  if (!wanted) return [];
+
+  const records = getAllRecords(userId, encrypted);
+  const exact = records.filter(record => record.id === wanted);
+  if (exact.length > 0) return exact;
+
+  return records.filter(record => getRecordSuffix(record).startsWith(wanted));
+}
+
 /**
  * Obtém registros de uma data específica
  * @param {string} userId - ID do usuário
@@ -241,6 +429,40 @@ function getAllRecords(userId, encrypted = false) {
   }
 }
 
+/**
+ * Obtém as configurações de segurança da usuária (hash do PIN, tentativas)
+ * @param {string} userId - ID do usuário
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object} Seção de segurança (vazia se não configurada)
+ */
+function getUserSecurity(userId, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    return userData.security || {};
+  } catch (error) {
+    console.error(`❌ Erro ao buscar dados de segurança:`, error.message);
+    return {};
+  }
+}
+
+/**
+ * Atualiza as configurações de segurança da usuária
+ * @param {string} userId - ID do usuário
+ * @param {Object} changes - Campos a alterar
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {boolean} true se salvou com sucesso
+ */
+function updateUserSecurity(userId, changes, encrypted = false) {
+  try {
+    const userData = loadUserData(userId, encrypted);
+    userData.security = { ...(userData.security || {}), ...changes };
+    return saveUserData(userId, userData, encrypted);
+  } catch (error) {
+    console.error(`❌ Erro ao salvar dados de segurança:`, error.message);
+    return false;
+  }
+}
+
 /**
  * Deleta todos os dados de um usuário
  * @param {string} userId - ID do usuário
@@ -263,6 +485,266 @@ function deleteUserData(userId) {
   }
 }
 
+/**
+ * Lista os usuários com arquivo de dados
+ * @returns {Array<string>} IDs (números sanitizados)
+ */
+function listUsers() {
+  try {
+    if (!fs.existsSync(DATA_DIR)) return [];
+
+    return fs.readdirSync(DATA_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => file.replace(/\.json$/, ''));
+
+  } catch (error) {
+    console.error(`❌ Erro ao listar usuários:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Move os dados de um usuário para a lixeira
+ * O conteúdo é sempre criptografado na lixeira, independente da configuração
+ * @param {string} userId - ID do usuário
+ * @param {boolean} encrypted - Mantido por compatibilidade (a leitura detecta o formato)
+ * @param {number} retentionDays - Dias até a purga definitiva
+ * @returns {Object|null|false} { deletedAt, purgeAfter }, null se não havia dados
+ *   ou false se não foi possível mover (ex.: arquivo ilegível, que fica intocado)
+ */
+function moveUserDataToTrash(userId, encrypted = false, retentionDays = 7) {
+  try {
+    const filePath = getUserDataPath(userId);
+
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + retentionDays * 86400000);
+    const { data } = decodeUserFile(fs.readFileSync(filePath, 'utf8'));
+
+    // O payload guarda o JSON aberto (cifrado só pela lixeira); entradas
+    // antigas têm wasEncrypted e o arquivo ainda cifrado dentro do payload
+    const trashEntry = {
+      userId: sanitizePhoneNumber(userId),
+      deletedAt: now.toISOString(),
+      purgeAfter: purgeAfter.toISOString(),
+      payload: encryptData(JSON.stringify(data))
+    };
+
+    // A cópia precisa estar inteira antes de apagar o arquivo da usuária
+    const trashPath = path.join(TRASH_DIR, `${trashEntry.userId}-${now.getTime()}.json`);
+    writeFileAtomic(trashPath, JSON.stringify(trashEntry));
+    fs.unlinkSync(filePath);
+
+    return { deletedAt: trashEntry.deletedAt, purgeAfter: trashEntry.purgeAfter };
+
+  } catch (error) {
+    console.error(`❌ Erro ao mover dados para a lixeira:`, error.message);
+    return false;
+  }
+}
+
+/**
+ * Lista entradas da lixeira de um usuário (mais recente primeiro)
+ * @param {string} userId - ID do usuário
+ * @returns {Array} Entradas { file, deletedAt, purgeAfter }
+ */
+function getTrashEntries(userId) {
+  try {
+    if (!fs.existsSync(TRASH_DIR)) return [];
+
+    const prefix = `${sanitizePhoneNumber(userId)}-`;
+    const now = Date.now();
+
+    return fs.readdirSync(TRASH_DIR)
+      .filter(file => file.startsWith(prefix) && file.endsWith('.json'))
+      .map(file => {
+        const entry = JSON.parse(fs.readFileSync(path.join(TRASH_DIR, file), 'utf8'));
+        return { file, deletedAt: entry.deletedAt, purgeAfter: entry.purgeAfter };
+      })
+      .filter(entry => new Date(entry.purgeAfter).getTime() > now)
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+
+  } catch (error) {
+    console.error(`❌ Erro ao ler lixeira:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Restaura os dados apagados mais recentes de um usuário
+ * Registros criados após a exclusão são mantidos junto aos restaurados
+ * @param {string} userId - ID do usuário
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {number|null} Quantidade de registros restaurados ou null
+ */
+function restoreUserDataFromTrash(userId, encrypted = false) {
+  try {
+    const [latest] = getTrashEntries(userId);
+    if (!latest) return null;
+
+    const trashPath = path.join(TRASH_DIR, latest.file);
+    const trashEntry = JSON.parse(fs.readFileSync(trashPath, 'utf8'));
+
+    let content = decryptData(trashEntry.payload);
+    if (trashEntry.wasEncrypted) {
+      content = decryptData(content);
+    }
+
+    const restored = upgradeUserData({ data: JSON.parse(content) });
+    const current = loadUserData(userId, encrypted);
+    const restoredIds = new Set(restored.records.map(record => record.id));
+
+    const merged = {
+      ...restored,
+      records: [
+        ...restored.records,
+        ...current.records.filter(record => !restoredIds.has(record.id))
+      ],
+      security: current.security?.pinHash ? current.security : restored.security
+    };
+
+    merged.records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    if (!saveUserData(userId, merged, encrypted)) {
+      return null;
+    }
+
+    fs.unlinkSync(trashPath);
+    return restored.records.length;
+
+  } catch (error) {
+    console.error(`❌ Erro ao restaurar dados da lixeira:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Apaga definitivamente todas as entradas da lixeira de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {number} Quantidade de entradas apagadas
+ */
+function deleteTrashEntries(userId) {
+  try {
+    if (!fs.existsSync(TRASH_DIR)) return 0;
+
+    const prefix = `${sanitizePhoneNumber(userId)}-`;
+    const files = fs.readdirSync(TRASH_DIR)
+      .filter(file => file.startsWith(prefix) && file.endsWith('.json'));
+
+    files.forEach(file => fs.unlinkSync(path.join(TRASH_DIR, file)));
+    return files.length;
+
+  } catch (error) {
+    console.error(`❌ Erro ao apagar lixeira do usuário:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Apaga definitivamente entradas da lixeira com prazo vencido
+ * @returns {number} Quantidade de entradas apagadas
+ */
+function purgeExpiredTrash() {
+  try {
+    if (!fs.existsSync(TRASH_DIR)) return 0;
+
+    const now = Date.now();
+    let purged = 0;
+
+    fs.readdirSync(TRASH_DIR)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const trashPath = path.join(TRASH_DIR, file);
+        try {
+          const entry = JSON.parse(fs.readFileSync(trashPath, 'utf8'));
+          if (new Date(entry.purgeAfter).getTime() <= now) {
+            fs.unlinkSync(trashPath);
+            purged++;
+          }
+        } catch (error) {
+          console.error(`❌ Erro ao verificar lixeira ${file}:`, error.message);
+        }
+      });
+
+    return purged;
+
+  } catch (error) {
+    console.error(`❌ Erro ao purgar lixeira:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Descreve a proteção de um arquivo de usuária (rotação de chaves)
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Object} { encrypted, keyId } (keyId null no formato antigo, sem ID)
+ */
+function inspectUserFile(content) {
+  const { format, header } = detectUserFile(content);
+
+  return format === 'encrypted'
+    ? { encrypted: true, keyId: header ? header.kid : null }
+    : { encrypted: false, keyId: null };
+}
+
+/**
+ * Passa um arquivo de usuária para outra chave mestra (rotação de chaves)
+ * Só a chave de dados do cabeçalho é reembrulhada; arquivos no formato
+ * antigo são convertidos para o cabeçalho com envelope
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} keyId - Chave mestra de destino
+ * @returns {Object|null} { content, converted } ou null se nada mudou (já na chave ou sem criptografia)
+ */
+function rewrapUserFile(content, keyId) {
+  const { format, header, parsed } = detectUserFile(content);
+  if (format !== 'encrypted') return null;
+
+  if (!header) {
+    return { content: encodeUserFile(upgradeUserData(decodeUserFile(content)), true, keyId), converted: true };
+  }
+
+  const envelope = rewrapEnvelope(fromEncryptedFile(parsed), keyId);
+  return envelope ? { content: serializeEncryptedFile(envelope, header.schemaVersion), converted: false } : null;
+}
+
+/**
+ * Converte todos os arquivos de usuária para o modo configurado
+ * (aberto ou cifrado) e para a versão atual do esquema
+ * Arquivos que não abrem ficam como estão e bloqueados para gravação
+ * @param {boolean} encrypted - Modo configurado (config.security.enableEncryption)
+ * @returns {Object} { total, converted, failed: ['arquivo: erro'] }
+ */
+function migrateUserFiles(encrypted = false) {
+  const report = { total: 0, converted: 0, failed: [] };
+  if (!fs.existsSync(DATA_DIR)) return report;
+
+  fs.readdirSync(DATA_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const filePath = path.join(DATA_DIR, file);
+      report.total++;
+
+      try {
+        const decoded = decodeUserFile(fs.readFileSync(filePath, 'utf8'));
+        if (decoded.format === (encrypted ? 'encrypted' : 'plain') && decoded.schemaVersion === SCHEMA_VERSION) {
+          return;
+        }
+
+        writeFileAtomic(filePath, encodeUserFile(upgradeUserData(decoded), encrypted));
+        report.converted++;
+
+      } catch (error) {
+        unreadableUsers.add(file.replace('.json', ''));
+        report.failed.push(`${file}: ${error.message}`);
+      }
+    });
+
+  return report;
+}
+
 /**
  * Exporta dados de um usuário em formato legível
  * @param {string} userId - ID do usuário
@@ -330,6 +812,100 @@ function exportUserData(userId, encrypted = false) {
 // FUNÇÕES AUXILIARES
 // ═══════════════════════════════════════
 
+/**
+ * Identifica o formato de um arquivo de usuária sem abri-lo
+ * Sem cabeçalho: texto em base64 é o formato cifrado antigo, JSON é aberto
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Object} { format: 'plain' | 'encrypted', header, parsed }
+ */
+function detectUserFile(content) {
+  const trimmed = content.trim();
+
+  if (!trimmed.startsWith('{')) {
+    return { format: 'encrypted', header: null, parsed: null };
+  }
+
+  const parsed = JSON.parse(trimmed);
+  if (!parsed.header) {
+    return { format: 'plain', header: null, parsed };
+  }
+
+  if (parsed.header.format !== 'plain' && parsed.header.format !== 'encrypted') {
+    throw new Error(`formato desconhecido no cabeçalho: ${parsed.header.format}`);
+  }
+
+  return { format: parsed.header.format, header: parsed.header, parsed };
+}
+
+/**
+ * Abre um arquivo de usuária em qualquer formato
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Object} { data, format, schemaVersion } (versão 0 = sem cabeçalho)
+ */
+function decodeUserFile(content) {
+  const { format, header, parsed } = detectUserFile(content);
+
+  // Arquivos cifrados gravados antes da versão no cabeçalho são da versão 1
+  const schemaVersion = header ? (header.schemaVersion || 1) : 0;
+  if (schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`versão do esquema ${schemaVersion} é mais nova que a suportada (${SCHEMA_VERSION})`);
+  }
+
+  let data;
+  if (!header) {
+    data = format === 'plain' ? parsed : JSON.parse(decryptData(content.trim()));
+  } else {
+    data = format === 'plain' ? parsed.data : JSON.parse(openEnvelope(fromEncryptedFile(parsed)));
+  }
+
+  if (!data || !Array.isArray(data.records)) {
+    throw new Error('conteúdo sem a lista de registros');
+  }
+
+  return { data, format, schemaVersion };
+}
+
+/**
+ * Traz os dados de versões anteriores do esquema para a atual
+ * @param {Object} decoded - Resultado de decodeUserFile
+ * @returns {Object} Dados do usuário
+ */
+function upgradeUserData({ data }) {
+  // Versão 0 -> 1: metadata passou a ser obrigatória
+  data.metadata = {
+    createdAt: new Date().toISOString(),
+    lastUpdate: new Date().toISOString(),
+    totalRecords: data.records.length,
+    ...(data.metadata || {})
+  };
+
+  return data;
+}
+
+/**
+ * Monta o conteúdo do arquivo de usuária, sempre com cabeçalho
+ * @param {Object} data - Dados do usuário
+ * @param {boolean} encrypted - Cifrar (nova chave de dados a cada gravação)
+ * @param {string} keyId - Chave mestra (padrão: a atual)
+ * @returns {string} Conteúdo do arquivo
+ */
+function encodeUserFile(data, encrypted, keyId) {
+  const json = JSON.stringify(data, null, 2);
+
+  return encrypted
+    ? serializeEncryptedFile(sealEnvelope(json, keyId), SCHEMA_VERSION)
+    : JSON.stringify({ header: { format: 'plain', schemaVersion: SCHEMA_VERSION }, data }, null, 2);
+}
+
+// Envelope -> arquivo: ID da chave mestra e chave de dados no cabeçalho
+function serializeEncryptedFile({ kid, wrappedKey, ...content }, schemaVersion) {
+  return JSON.stringify({ header: { format: 'encrypted', schemaVersion, kid, wrappedKey }, ...content }, null, 2);
+}
+
+function fromEncryptedFile({ header, ...content }) {
+  return { kid: header.kid, wrappedKey: header.wrappedKey, ...content };
+}
+
 /**
  * Gera ID único para registro
  * @returns {string} ID no formato: timestamp-random
@@ -338,6 +914,24 @@ function generateRecordId() {
   return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 }
 
+/**
+ * Retorna o ID curto de um registro, usado pela usuária nos comandos
+ * @param {Object} record - Registro
+ * @returns {string} Primeiros 5 caracteres da parte aleatória do ID
+ */
+function getShortRecordId(record) {
+  return getRecordSuffix(record).substring(0, 5);
+}
+
+/**
+ * Retorna a parte aleatória do ID (após o timestamp)
+ * @param {Object} record - Registro
+ * @returns {string} Sufixo do ID
+ */
+function getRecordSuffix(record) {
+  return String(record.id || '').split('-').pop().toLowerCase();
+}
+
 /**
  * Retorna data de hoje no formato YYYY-MM-DD
  * @returns {string} Data formatada
@@ -390,11 +984,29 @@ module.exports = {
   loadUserData,
   saveUserData,
   addRecord,
+  addRecords,
+  updateRecord,
+  deleteRecord,
+  findRecordsByShortId,
+  findRecordsByMessageId,
+  replaceSourceRecords,
+  getShortRecordId,
   getRecordsByDate,
   getRecentRecords,
   getAllRecords,
+  getUserSecurity,
+  updateUserSecurity,
   deleteUserData,
+  listUsers,
+  moveUserDataToTrash,
+  getTrashEntries,
+  restoreUserDataFromTrash,
+  deleteTrashEntries,
+  purgeExpiredTrash,
   exportUserData,
+  inspectUserFile,
+  rewrapUserFile,
+  migrateUserFiles,
   getTodayDate,
   formatDate,
   formatDateBR
@@ -0,0 +1,169 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: JUNÇÃO DE MENSAGENS PICADAS
+ * Arquivo: debounce.js
+ * Descrição: Junta mensagens enviadas em sequência rápida
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Segurar por alguns segundos as mensagens de texto de cada
+ *   usuária e juntá-las em uma só ("menstruação" / "desceu hoje"
+ *   / "com muita cólica" viram um único registro e uma resposta)
+ * - Entregar na hora comandos (/...), CONFIRMAR e sinais de
+ *   alerta, depois do que já estava guardado, sem mudar a ordem
+ * - Aplicar edições e exclusões de mensagens que ainda estão
+ *   guardadas (ainda não viraram registro)
+ *
+ * O tempo de espera recomeça a cada fragmento, até o limite de
+ * maxWaitMs desde o primeiro ou maxFragments fragmentos.
+ */
+
+const { detectRedFlag } = require('./triage');
+
+/**
+ * Cria o agrupador de mensagens
+ * @param {Object} options - { windowMs, maxWaitMs, maxFragments }
+ * @param {Function} onFlush - (userId, text, sources) chamado com o texto final;
+ *   sources = [{ key, text }], uma por mensagem juntada
+ * @returns {Object} { push, edit, remove, flush, flushAll, pendingCount }
+ */
+function createDebouncer(options, onFlush) {
+  const windowMs = options.windowMs ?? 2500;
+  const maxWaitMs = options.maxWaitMs ?? 10000;
+  const maxFragments = options.maxFragments ?? 10;
+
+  // Mensagens guardadas: userId -> { fragments, firstAt, timer }
+  const buffers = new Map();
+
+  const flush = userId => {
+    const buffer = buffers.get(userId);
+    if (!buffer) return;
+
+    clearTimeout(buffer.timer);
+    buffers.delete(userId);
+    onFlush(userId, mergeFragments(buffer.fragments.map(fragment => fragment.text)), buffer.fragments);
+  };
+
+  return {
+    /**
+     * Recebe uma mensagem de texto
+     * @param {string} userId - ID do usuário
+     * @param {string} text - Texto recebido
+     * @param {Object} key - Chave da mensagem no WhatsApp (opcional)
+     */
+    push(userId, text, key = null) {
+      if (windowMs <= 0 || shouldBypass(text)) {
+        // Sinal de alerta completa o que estava guardado (o contexto importa);
+        // comandos e CONFIRMAR vão separados, depois do que estava guardado
+        const buffer = buffers.get(userId);
+        if (buffer && detectRedFlag(text)) {
+          buffer.fragments.push({ text, key });
+          flush(userId);
+          return;
+        }
+        flush(userId);
+        onFlush(userId, text, [{ text, key }]);
+        return;
+      }
+
+      const now = Date.now();
+      const buffer = buffers.get(userId) || { fragments: [], firstAt: now, timer: null };
+      buffer.fragments.push({ text, key });
+      buffers.set(userId, buffer);
+      clearTimeout(buffer.timer);
+
+      const remaining = maxWaitMs - (now - buffer.firstAt);
+      if (buffer.fragments.length >= maxFragments || remaining <= 0) {
+        flush(userId);
+        return;
+      }
+
+      buffer.timer = setTimeout(() => flush(userId), Math.min(windowMs, remaining));
+    },
+
+    /**
+     * Troca o texto de uma mensagem ainda guardada (editada no WhatsApp)
+     * @param {string} userId - ID do usuário
+     * @param {string} messageId - ID da mensagem
+     * @param {string} text - Novo texto
+     * @returns {boolean} true se a mensagem estava guardada
+     */
+    edit(userId, messageId, text) {
+      const fragment = findFragment(buffers.get(userId), messageId);
+      if (!fragment) return false;
+
+      fragment.text = text;
+      return true;
+    },
+
+    /**
+     * Descarta uma mensagem ainda guardada (apagada no WhatsApp)
+     * @param {string} userId - ID do usuário
+     * @param {string} messageId - ID da mensagem
+     * @returns {boolean} true se a mensagem estava guardada
+     */
+    remove(userId, messageId) {
+      const buffer = buffers.get(userId);
+      const fragment = findFragment(buffer, messageId);
+      if (!fragment) return false;
+
+      buffer.fragments.splice(buffer.fragments.indexOf(fragment), 1);
+      if (buffer.fragments.length === 0) {
+        clearTimeout(buffer.timer);
+        buffers.delete(userId);
+      }
+      return true;
+    },
+
+    /**
+     * Entrega na hora o que estiver guardado de uma usuária
+     * (ex.: antes de processar um documento)
+     * @param {string} userId - ID do usuário
+     */
+    flush,
+
+    /**
+     * Entrega tudo o que estiver guardado (ex.: ao encerrar o bot)
+     */
+    flushAll() {
+      [...buffers.keys()].forEach(flush);
+    },
+
+    /**
+     * Quantidade de usuárias com mensagens guardadas
+     * @returns {number} Usuárias
+     */
+    pendingCount() {
+      return buffers.size;
+    }
+  };
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function findFragment(buffer, messageId) {
+  if (!buffer || !messageId) return null;
+  return buffer.fragments.find(fragment => fragment.key?.id === messageId) || null;
+}
+
+function shouldBypass(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith('/') || trimmed.toUpperCase() === 'CONFIRMAR' || !!detectRedFlag(trimmed);
+}
+
+/**
+ * Junta os fragmentos em uma mensagem, uma linha por fragmento
+ * @param {Array<string>} fragments - Textos na ordem de chegada
+ * @returns {string} Texto único
+ */
+function mergeFragments(fragments) {
+  return fragments.map(fragment => fragment.trim()).filter(Boolean).join('\n');
+}
+
+// Exportar funções do módulo
+module.exports = {
+  createDebouncer,
+  mergeFragments
+};
@@ -0,0 +1,252 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: ESQUEMA DE REGISTROS
+ * Arquivo: entries.js
+ * Descrição: Validação das entradas extraídas pela IA
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Definir os campos específicos de cada categoria
+ * - Validar e normalizar as entradas retornadas pelo classificador
+ * - Aplicar fallback previsível quando a resposta é inválida
+ * - Formatar os campos extraídos para exibição
+ *
+ * Regras de fallback:
+ * - Resposta ilegível → uma entrada "observacao" com o texto original
+ * - Lista vazia → nada é salvo (pergunta ou conversa)
+ * - Categoria desconhecida → "observacao"
+ * - Campo inválido → descartado; o restante da entrada é mantido
+ * - Conteúdo vazio → texto original da mensagem
+ */
+
+const { removeAccents } = require('./utils');
+
+// Campos aceitos por categoria
+const ENTRY_SCHEMAS = {
+  menstruacao: {
+    flow: {
+      type: 'enum',
+      values: ['leve', 'moderado', 'intenso'],
+      aliases: { fraco: 'leve', medio: 'moderado', media: 'moderado', forte: 'intenso' }
+    }
+  },
+  anticoncepcional: {
+    pillTime: { type: 'time' },
+    taken: { type: 'boolean' }
+  },
+  sintomas: {
+    symptoms: { type: 'stringList', maxItems: 10 },
+    painScale: { type: 'integer', min: 0, max: 10 }
+  },
+  sexual: {
+    protection: { type: 'enum', values: ['camisinha', 'anticoncepcional', 'nenhuma', 'outro'] }
+  },
+  observacao: {
+    mood: {
+      type: 'enum',
+      values: ['bem', 'normal', 'triste', 'ansiosa', 'irritada', 'cansada'],
+      aliases: { feliz: 'bem', ansioso: 'ansiosa', irritado: 'irritada', cansado: 'cansada' }
+    }
+  }
+};
+
+// Máximo de entradas aproveitadas de uma única mensagem
+const MAX_ENTRIES = 5;
+
+const CATEGORIES = Object.keys(ENTRY_SCHEMAS);
+
+/**
+ * Interpreta o texto retornado pelo classificador
+ * Aceita uma lista de entradas ou um objeto { entries: [...] }
+ * @param {string} responseText - Texto bruto da IA
+ * @param {string} message - Mensagem original da usuária
+ * @returns {Array} Entradas validadas
+ */
+function parseClassification(responseText, message) {
+  const cleanText = String(responseText || '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+  const jsonMatch = cleanText.match(/[[{][\s\S]*[\]}]/);
+  if (!jsonMatch) {
+    return [fallbackEntry(message)];
+  }
+
+  try {
+    return normalizeEntries(JSON.parse(jsonMatch[0]), message);
+  } catch (error) {
+    return [fallbackEntry(message)];
+  }
+}
+
+/**
+ * Normaliza o resultado do classificador em uma lista de entradas válidas
+ * @param {Array|Object} raw - JSON retornado pela IA
+ * @param {string} message - Mensagem original
+ * @returns {Array} Entradas { category, content, date, details }
+ */
+function normalizeEntries(raw, message) {
+  let list;
+
+  if (Array.isArray(raw)) {
+    list = raw;
+  } else if (raw && Array.isArray(raw.entries)) {
+    list = raw.entries;
+  } else if (raw && typeof raw === 'object' && raw.category) {
+    // Formato antigo: um único objeto
+    list = [raw];
+  } else {
+    return [fallbackEntry(message)];
+  }
+
+  return list
+    .filter(item => item && typeof item === 'object' && item.category !== 'pergunta')
+    .slice(0, MAX_ENTRIES)
+    .map(item => validateEntry(item, message));
+}
+
+/**
+ * Valida uma entrada contra o esquema da categoria
+ * @param {Object} item - Entrada bruta
+ * @param {string} message - Mensagem original (fallback de conteúdo)
+ * @returns {Object} Entrada { category, content, date, details }
+ */
+function validateEntry(item, message) {
+  const rawCategory = removeAccents(String(item.category || '').toLowerCase().trim());
+  const category = CATEGORIES.includes(rawCategory) ? rawCategory : 'observacao';
+  const content = typeof item.content === 'string' && item.content.trim()
+    ? item.content.trim().substring(0, 500)
+    : message;
+
+  const schema = ENTRY_SCHEMAS[category];
+  const source = item.details && typeof item.details === 'object' ? { ...item, ...item.details } : item;
+  const details = {};
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const value = validateField(source[field], rule);
+    if (value !== undefined) {
+      details[field] = value;
+    }
+  });
+
+  return {
+    category,
+    content,
+    date: validateDateExpression(item.date),
+    details
+  };
+}
+
+/**
+ * Valida um campo de acordo com a regra
+ * @param {*} value - Valor recebido
+ * @param {Object} rule - Regra do esquema
+ * @returns {*} Valor normalizado ou undefined se inválido
+ */
+function validateField(value, rule) {
+  if (value === undefined || value === null || value === '') return undefined;
+
+  switch (rule.type) {
+    case 'enum': {
+      let normalized = removeAccents(String(value).toLowerCase().trim());
+      normalized = (rule.aliases && rule.aliases[normalized]) || normalized;
+      return rule.values.includes(normalized) ? normalized : undefined;
+    }
+
+    case 'integer': {
+      const number = typeof value === 'number' ? value : parseFloat(String(value).replace(',', '.'));
+      if (!Number.isFinite(number)) return undefined;
+      const rounded = Math.round(number);
+      return rounded >= rule.min && rounded <= rule.max ? rounded : undefined;
+    }
+
+    case 'boolean':
+      return typeof value === 'boolean' ? value : undefined;
+
+    case 'time': {
+      const match = String(value).match(/^(\d{1,2})[:h](\d{2})?$/i);
+      if (!match) return undefined;
+      const hour = parseInt(match[1]);
+      const minute = parseInt(match[2] || '0');
+      if (hour > 23 || minute > 59) return undefined;
+      return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+    }
+
+    case 'stringList': {
+      const list = Array.isArray(value) ? value : [value];
+      const items = list
+        .filter(item => typeof item === 'string' && item.trim())
+        .map(item => item.trim().toLowerCase().substring(0, 60))
+        .slice(0, rule.maxItems);
+      return items.length > 0 ? items : undefined;
+    }
+
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Aceita apenas expressões de data que o parser conhece
+ * @param {*} date - Data retornada pela IA
+ * @returns {string} Expressão válida (padrão: "today")
+ */
+function validateDateExpression(date) {
+  if (typeof date !== 'string') return 'today';
+
+  const expr = date.toLowerCase().trim();
+  const known = ['today', 'hoje', 'yesterday', 'ontem', 'anteontem'];
+
+  if (known.includes(expr)) return expr;
+  if (/^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(expr)) return expr;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expr)) return expr;
+
+  return 'today';
+}
+
+/**
+ * Entrada usada quando a resposta da IA não pode ser aproveitada
+ * @param {string} message - Mensagem original
+ * @returns {Object} Entrada de observação
+ */
+function fallbackEntry(message) {
+  return {
+    category: 'observacao',
+    content: message,
+    date: 'today',
+    details: {}
+  };
+}
+
+/**
+ * Formata os campos extraídos de um registro em uma linha
+ * @param {Object} record - Registro com "details"
+ * @returns {string} Ex.: "Fluxo: intenso · Dor: 7/10" (vazio se não houver)
+ */
+function formatRecordDetails(record) {
+  const details = record.details || {};
+  const parts = [];
+
+  if (record.urgent) parts.push('🚨 Urgente');
+  if (record.flagged) parts.push('🩺 Marcado para consulta');
+  if (details.flow) parts.push(`Fluxo: ${details.flow}`);
+  if (details.painScale !== undefined) parts.push(`Dor: ${details.painScale}/10`);
+  if (details.symptoms) parts.push(`Sintomas: ${details.symptoms.join(', ')}`);
+  if (details.pillTime) parts.push(`Horário: ${details.pillTime}`);
+  if (details.taken === false) parts.push('Pílula esquecida');
+  if (details.protection) parts.push(`Proteção: ${details.protection}`);
+  if (details.mood) parts.push(`Humor: ${details.mood}`);
+
+  return parts.join(' · ');
+}
+
+// Exportar funções do módulo
+module.exports = {
+  ENTRY_SCHEMAS,
+  CATEGORIES,
+  parseClassification,
+  normalizeEntries,
+  validateEntry,
+  formatRecordDetails
+};
@@ -0,0 +1,203 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: EXPORTAÇÃO EM ARQUIVO
+ * Arquivo: export.js
+ * Descrição: Gera os arquivos CSV, JSON e PDF de /exportar
+ *            e guarda os temporários enviados como documento
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Montar o arquivo com todos os campos de cada registro
+ * - Gravar em data/tmp até o envio pelo WhatsApp
+ * - Apagar o arquivo temporário depois do envio
+ *
+ * O JSON usa o formato "gina-export", que /importar reconhece.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getAllRecords, formatDateBR } = require('./database');
+const { ENTRY_SCHEMAS, formatRecordDetails } = require('./entries');
+const { PDFDocument } = require('./pdf');
+
+const TMP_DIR = path.join(__dirname, '../data/tmp');
+
+const EXPORT_FORMAT = 'gina-export';
+const EXPORT_VERSION = 1;
+
+// Arquivos temporários esquecidos (ex.: queda no meio do envio)
+const STALE_TMP_MS = 3600000;
+
+const FORMATS = {
+  csv: { mimetype: 'text/csv', build: buildCSV },
+  json: { mimetype: 'application/json', build: buildJSON },
+  pdf: { mimetype: 'application/pdf', build: buildPDF }
+};
+
+// Campos extraídos de todas as categorias, na ordem do esquema
+const DETAIL_FIELDS = [...new Set(
+  Object.values(ENTRY_SCHEMAS).flatMap(schema => Object.keys(schema))
+)];
+
+const CSV_COLUMNS = [
+  'id', 'timestamp', 'date', 'category', 'content',
+  ...DETAIL_FIELDS,
+  'urgent', 'flagged', 'editedAt', 'originalMessage'
+];
+
+/**
+ * Gera o arquivo de exportação de uma usuária
+ * @param {string} userId - ID do usuário
+ * @param {string} format - 'csv', 'json' ou 'pdf'
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object|null} { path, fileName, mimetype, count } ou null se não há registros
+ */
+function createExportFile(userId, format, encrypted = false) {
+  const handler = FORMATS[format];
+  if (!handler) {
+    throw new Error(`Formato de exportação desconhecido: ${format}`);
+  }
+
+  const records = getAllRecords(userId, encrypted);
+  if (records.length === 0) {
+    return null;
+  }
+
+  const today = new Date().toISOString().split('T')[0];
+
+  return {
+    path: createTempFile(handler.build(records), format),
+    fileName: `gina-registros-${today}.${format}`,
+    mimetype: handler.mimetype,
+    count: records.length
+  };
+}
+
+/**
+ * Grava um arquivo temporário para envio pelo WhatsApp
+ * @param {string|Buffer} content - Conteúdo
+ * @param {string} extension - Extensão (csv, json, pdf)
+ * @returns {string} Caminho do arquivo
+ */
+function createTempFile(content, extension) {
+  if (!fs.existsSync(TMP_DIR)) {
+    fs.mkdirSync(TMP_DIR, { recursive: true });
+  }
+
+  const filePath = path.join(TMP_DIR, `${crypto.randomBytes(8).toString('hex')}.${extension}`);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Apaga um arquivo temporário gerado para envio
+ * @param {string} filePath - Caminho do arquivo
+ */
+function removeTempFile(filePath) {
+  try {
+    if (filePath && filePath.startsWith(TMP_DIR) && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (error) {
+    console.error('❌ Erro ao apagar arquivo temporário:', error.message);
+  }
+}
+
+/**
+ * Apaga arquivos temporários antigos que ficaram para trás
+ * @returns {number} Quantidade de arquivos apagados
+ */
+function purgeTempFiles() {
+  if (!fs.existsSync(TMP_DIR)) return 0;
+
+  const now = Date.now();
+  let purged = 0;
+
+  fs.readdirSync(TMP_DIR).forEach(file => {
+    const filePath = path.join(TMP_DIR, file);
+    try {
+      if (now - fs.statSync(filePath).mtimeMs > STALE_TMP_MS) {
+        fs.unlinkSync(filePath);
+        purged++;
+      }
+    } catch (error) {
+      console.error(`❌ Erro ao apagar temporário ${file}:`, error.message);
+    }
+  });
+
+  return purged;
+}
+
+// ═══════════════════════════════════════
+// FORMATOS
+// ═══════════════════════════════════════
+
+function buildCSV(records) {
+  const rows = records.map(record => CSV_COLUMNS.map(column => {
+    const value = DETAIL_FIELDS.includes(column) ? record.details?.[column] : record[column];
+    return csvCell(Array.isArray(value) ? value.join('; ') : value);
+  }).join(','));
+
+  // BOM para o Excel/Planilhas reconhecerem UTF-8 (acentos)
+  return '\uFEFF' + [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+function buildJSON(records) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    records
+  }, null, 2);
+}
+
+function buildPDF(records) {
+  const doc = new PDFDocument({ title: 'Registros - Gina' });
+
+  doc.heading('Registros de Saúde - Gina');
+  doc.paragraph(`Total de registros: ${records.length}`);
+  doc.paragraph(`Exportado em: ${new Date().toLocaleString('pt-BR')}`);
+
+  // Agrupar por data (mais recente primeiro)
+  const byDate = {};
+  records.forEach(record => {
+    (byDate[record.date] = byDate[record.date] || []).push(record);
+  });
+
+  Object.keys(byDate).sort().reverse().forEach(date => {
+    doc.subheading(formatDateBR(date));
+
+    byDate[date].forEach(record => {
+      const time = new Date(record.timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' });
+      doc.paragraph(`${record.category.toUpperCase()} - ${record.content}`, { bold: true });
+
+      const details = formatRecordDetails(record);
+      if (details) {
+        doc.paragraph(details, { indent: 12 });
+      }
+      doc.paragraph(`${time} · ID ${record.id}`, { indent: 12, size: 8 });
+      doc.spacer(4);
+    });
+  });
+
+  return doc.toBuffer();
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  EXPORT_FORMAT,
+  EXPORT_FORMATS: Object.keys(FORMATS),
+  CSV_COLUMNS,
+  createExportFile,
+  createTempFile,
+  removeTempFile,
+  purgeTempFiles
+};
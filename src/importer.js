@@ -0,0 +1,517 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: IMPORTAÇÃO DE HISTÓRICO
+ * Arquivo: importer.js
+ * Descrição: Converte arquivos de outros apps em registros da Gina
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Formatos aceitos:
+ * - JSON exportado pela própria Gina (/exportar json)
+ * - CSV exportado pela Gina (/exportar csv)
+ * - CSV genérico com colunas de data, categoria e notas
+ *   (cabeçalhos em português ou inglês, separador , ou ;)
+ * - Backup JSON do Clue (formato "data"/"day" e formato "type"/"date")
+ * - Exportação de dados do Flo (operationalData: ciclos e eventos)
+ *
+ * Os apps de terceiros mudam seus formatos sem aviso: campos
+ * desconhecidos são ignorados e linhas sem data válida são
+ * contadas como inválidas, nunca importadas com a data de hoje.
+ */
+
+const { CATEGORIES, validateEntry } = require('./entries');
+const { classifyOffline } = require('./offline');
+const { removeAccents, formatDate, addDays } = require('./utils');
+
+const MAX_IMPORT_ENTRIES = 5000;
+
+// Duração máxima de uma menstruação importada como intervalo
+const MAX_PERIOD_DAYS = 10;
+
+const COLUMN_ALIASES = {
+  date: ['date', 'data', 'day', 'dia'],
+  category: ['category', 'categoria', 'tipo', 'type'],
+  content: ['content', 'conteudo', 'notes', 'note', 'notas', 'nota', 'observacao', 'observacoes', 'descricao', 'description', 'texto', 'text']
+};
+
+const CATEGORY_ALIASES = {
+  menstruacao: ['menstruacao', 'menstruation', 'period', 'periodo', 'menstrual', 'fluxo', 'sangramento', 'bleeding'],
+  anticoncepcional: ['anticoncepcional', 'pilula', 'pill', 'contraceptive', 'birth control', 'contraception'],
+  sintomas: ['sintomas', 'sintoma', 'symptoms', 'symptom', 'dor', 'pain'],
+  sexual: ['sexual', 'sexo', 'sex', 'relacao'],
+  observacao: ['observacao', 'nota', 'note', 'notes', 'outro', 'other']
+};
+
+const FLOW_MAP = { spotting: 'leve', light: 'leve', medium: 'moderado', heavy: 'intenso' };
+
+const SYMPTOM_MAP = {
+  cramps: 'colica', headache: 'dor de cabeca', tender_breasts: 'dor nos seios',
+  breast_tenderness: 'dor nos seios', tenderbreasts: 'dor nos seios', bloating: 'inchaco',
+  nausea: 'enjoo', fatigue: 'cansaco', tired: 'cansaco', exhausted: 'cansaco', acne: 'acne',
+  backache: 'dor nas costas', back_pain: 'dor nas costas', backpain: 'dor nas costas',
+  insomnia: 'insonia', dizziness: 'tontura', ovulation: 'dor da ovulacao', ovulation_pain: 'dor da ovulacao',
+  abdominal_pain: 'dor abdominal', abdominalpain: 'dor abdominal', migraine: 'dor de cabeca'
+};
+
+/**
+ * Lê um arquivo enviado pela usuária
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {string} fileName - Nome do arquivo (usado para detectar o tipo)
+ * @returns {Object} { source, entries: [{ date, category, content, details, ... }], invalid }
+ * @throws {Error} Se o formato não for reconhecido
+ */
+function parseImportFile(buffer, fileName = '') {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trim();
+
+  let result;
+  if (text.startsWith('{') || text.startsWith('[')) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Arquivo JSON inválido');
+    }
+    result = parseJSON(data);
+  } else if (/\.(csv|txt)$/i.test(fileName) || text.includes(',') || text.includes(';')) {
+    result = parseCSVFile(text);
+  } else {
+    throw new Error('Formato de arquivo não reconhecido');
+  }
+
+  if (result.entries.length > MAX_IMPORT_ENTRIES) {
+    throw new Error(`O arquivo tem mais de ${MAX_IMPORT_ENTRIES} registros`);
+  }
+
+  return result;
+}
+
+/**
+ * Separa as entradas novas das que já existem
+ * Duplicado = mesmo id, ou mesma data + categoria + conteúdo
+ * @param {Array} existingRecords - Registros atuais da usuária
+ * @param {Array} entries - Entradas lidas do arquivo
+ * @returns {Object} { newEntries, duplicates }
+ */
+function findNewEntries(existingRecords, entries) {
+  const ids = new Set(existingRecords.map(record => record.id));
+  const keys = new Set(existingRecords.map(dedupKey));
+  const newEntries = [];
+  let duplicates = 0;
+
+  entries.forEach(entry => {
+    const key = dedupKey(entry);
+    if ((entry.id && ids.has(entry.id)) || keys.has(key)) {
+      duplicates++;
+      return;
+    }
+    keys.add(key);
+    newEntries.push(entry);
+  });
+
+  return { newEntries, duplicates };
+}
+
+// ═══════════════════════════════════════
+// JSON (Gina, Clue, Flo)
+// ═══════════════════════════════════════
+
+function parseJSON(data) {
+  if (data && data.format === 'gina-export' && Array.isArray(data.records)) {
+    return parseGinaRecords(data.records);
+  }
+
+  if (data && data.operationalData) {
+    return parseFlo(data.operationalData);
+  }
+
+  if (data && Array.isArray(data.data) && data.data.some(item => item && item.day)) {
+    return parseClueDays(data.data);
+  }
+
+  if (Array.isArray(data) && data.some(item => item && item.type && item.date)) {
+    return parseClueEvents(data);
+  }
+
+  throw new Error('Formato JSON não reconhecido');
+}
+
+function parseGinaRecords(records) {
+  const collector = createCollector('gina');
+
+  records.forEach(record => {
+    collector.add(record.date, record, {
+      id: typeof record.id === 'string' ? record.id : undefined,
+      timestamp: isValidTimestamp(record.timestamp) ? record.timestamp : undefined,
+      urgent: record.urgent === true ? true : undefined,
+      flagged: record.flagged === true ? true : undefined,
+      originalMessage: typeof record.originalMessage === 'string' ? record.originalMessage : undefined
+    });
+  });
+
+  return collector.result();
+}
+
+/**
+ * Clue (backup antigo): { data: [{ day, period, pain: [...], sex: [...], pill_hbc: [...] }] }
+ */
+function parseClueDays(days) {
+  const collector = createCollector('clue');
+
+  days.forEach(day => {
+    Object.entries(day).forEach(([type, value]) => {
+      if (type !== 'day') {
+        addClueEvent(collector, day.day, type, clueOptions(value));
+      }
+    });
+  });
+
+  return collector.result();
+}
+
+/**
+ * Clue (exportação atual): [{ type, date, value: { option } | [{ option }] }]
+ */
+function parseClueEvents(events) {
+  const collector = createCollector('clue');
+
+  events.forEach(event => {
+    addClueEvent(collector, event.date, event.type, clueOptions(event.value));
+  });
+
+  return collector.result();
+}
+
+function addClueEvent(collector, date, type, options) {
+  if (options.length === 0) return;
+
+  switch (type) {
+    case 'period':
+      collector.add(date, {
+        category: 'menstruacao',
+        content: options[0] === 'spotting' ? 'Escape' : 'Menstruação',
+        flow: FLOW_MAP[options[0]]
+      });
+      break;
+
+    case 'pain':
+    case 'symptoms':
+      collector.add(date, {
+        category: 'sintomas',
+        content: capitalize(options.map(translateSymptom).join(', ')),
+        symptoms: options.map(translateSymptom)
+      });
+      break;
+
+    case 'sex':
+      collector.add(date, {
+        category: 'sexual',
+        content: 'Relação sexual',
+        protection: options.includes('unprotected') ? 'nenhuma' : (options.includes('protected') ? 'camisinha' : undefined)
+      });
+      break;
+
+    case 'pill':
+    case 'pill_hbc':
+    case 'birth_control_pill':
+      collector.add(date, {
+        category: 'anticoncepcional',
+        content: options.includes('missed') ? 'Esqueceu o anticoncepcional' : 'Tomou o anticoncepcional',
+        taken: !options.includes('missed')
+      });
+      break;
+
+    case 'notes':
+    case 'tags':
+      collector.add(date, { category: 'observacao', content: options.join(', ') });
+      break;
+
+    default:
+      // Humor, energia, sono etc. não têm categoria na Gina
+      break;
+  }
+}
+
+function clueOptions(value) {
+  const list = Array.isArray(value) ? value : [value];
+
+  return list
+    .map(item => (item && typeof item === 'object') ? (item.option || item.value || item.text) : item)
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim().toLowerCase());
+}
+
+/**
+ * Flo: operationalData.cycles (início/fim da menstruação) e
+ * operationalData.point_events_manual_v2 (sintomas, sexo, pílula)
+ */
+function parseFlo(operationalData) {
+  const collector = createCollector('flo');
+
+  (operationalData.cycles || []).forEach(cycle => {
+    const start = parseImportDate(cycle.period_start_date);
+    if (!start) {
+      collector.invalid++;
+      return;
+    }
+
+    const end = parseImportDate(cycle.period_end_date) || start;
+    for (let day = 0, date = start; day < MAX_PERIOD_DAYS && date <= end; day++, date = addDays(start, day)) {
+      collector.add(date, { category: 'menstruacao', content: 'Menstruação' });
+    }
+  });
+
+  (operationalData.point_events_manual_v2 || []).forEach(event => {
+    const category = normalizeKey(event.category);
+    const subcategory = normalizeKey(event.subcategory);
+
+    if (category === 'symptom') {
+      const symptom = translateSymptom(subcategory);
+      collector.add(event.date, { category: 'sintomas', content: capitalize(symptom), symptoms: [symptom] });
+    } else if (category === 'sex') {
+      collector.add(event.date, {
+        category: 'sexual',
+        content: 'Relação sexual',
+        protection: subcategory.includes('unprotected') ? 'nenhuma' : (subcategory.includes('protected') ? 'camisinha' : undefined)
+      });
+    } else if (category === 'pill' || category === 'oralcontraceptives') {
+      const missed = subcategory.includes('missed');
+      collector.add(event.date, {
+        category: 'anticoncepcional',
+        content: missed ? 'Esqueceu o anticoncepcional' : 'Tomou o anticoncepcional',
+        taken: !missed
+      });
+    }
+  });
+
+  return collector.result();
+}
+
+// ═══════════════════════════════════════
+// CSV (Gina ou genérico)
+// ═══════════════════════════════════════
+
+function parseCSVFile(text) {
+  const firstLine = text.split(/\r?\n/)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = parseCSV(text, delimiter);
+
+  if (rows.length < 2) {
+    throw new Error('O CSV precisa de um cabeçalho e pelo menos uma linha');
+  }
+
+  const header = rows[0].map(normalizeKey);
+  const column = name => header.findIndex(cell => COLUMN_ALIASES[name].includes(cell));
+  const dateIndex = column('date');
+  const categoryIndex = column('category');
+  const contentIndex = column('content');
+
+  if (dateIndex < 0 || (categoryIndex < 0 && contentIndex < 0)) {
+    throw new Error('O CSV precisa das colunas de data e de categoria ou notas');
+  }
+
+  // Export da Gina: as colunas extras são os campos extraídos
+  const isGina = header.includes('id') && header.includes('timestamp');
+  const collector = createCollector(isGina ? 'gina' : 'csv');
+
+  rows.slice(1).forEach(row => {
+    if (row.every(cell => !cell.trim())) return;
+
+    const date = row[dateIndex];
+    const content = contentIndex >= 0 ? (row[contentIndex] || '').trim() : '';
+    const category = categoryIndex >= 0 ? matchCategory(row[categoryIndex]) : null;
+
+    if (isGina) {
+      const record = {};
+      rows[0].forEach((name, index) => {
+        record[name.trim()] = row[index];
+      });
+      collector.add(date, csvRecordFields(record), {
+        id: record.id || undefined,
+        timestamp: isValidTimestamp(record.timestamp) ? record.timestamp : undefined,
+        urgent: record.urgent === 'true' ? true : undefined,
+        flagged: record.flagged === 'true' ? true : undefined,
+        originalMessage: record.originalMessage || undefined
+      });
+      return;
+    }
+
+    if (category) {
+      collector.add(date, { category, content: content || categoryLabel(category) });
+      return;
+    }
+
+    // Sem categoria reconhecida: classificar o texto da nota por regras
+    if (!content) {
+      collector.invalid++;
+      return;
+    }
+    const entries = classifyOffline(content);
+    (entries.length > 0 ? entries : [{ category: 'observacao', content }])
+      .forEach(entry => collector.add(date, { ...entry, ...entry.details }));
+  });
+
+  return collector.result();
+}
+
+function csvRecordFields(record) {
+  const fields = { ...record };
+
+  if (fields.symptoms) fields.symptoms = fields.symptoms.split(';').map(item => item.trim());
+  if (fields.taken === 'true') fields.taken = true;
+  if (fields.taken === 'false') fields.taken = false;
+
+  return fields;
+}
+
+/**
+ * Lê CSV com aspas, aspas duplicadas e quebras de linha dentro de campos
+ * @param {string} text - Conteúdo
+ * @param {string} delimiter - , ou ;
+ * @returns {Array<Array<string>>} Linhas
+ */
+function parseCSV(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+/**
+ * Acumula entradas validadas e conta as inválidas
+ * @param {string} source - Origem do arquivo
+ */
+function createCollector(source) {
+  const today = formatDate(new Date());
+  const collector = {
+    entries: [],
+    invalid: 0,
+
+    add(rawDate, item, extra = {}) {
+      const date = parseImportDate(rawDate);
+      if (!date || date > today) {
+        collector.invalid++;
+        return;
+      }
+
+      const entry = validateEntry({ ...item, date }, item.content || categoryLabel(item.category));
+      const cleanExtra = Object.fromEntries(Object.entries(extra).filter(([, value]) => value !== undefined));
+      collector.entries.push({ ...entry, date, ...cleanExtra });
+    },
+
+    result() {
+      return { source, entries: collector.entries, invalid: collector.invalid };
+    }
+  };
+
+  return collector;
+}
+
+/**
+ * Converte datas de arquivos para YYYY-MM-DD
+ * Aceita YYYY-MM-DD, ISO com horário e DD/MM/AAAA
+ * @param {*} value - Data bruta
+ * @returns {string|null} Data ou null se inválida
+ */
+function parseImportDate(value) {
+  const text = String(value || '').trim();
+  let year, month, day;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) {
+    [, year, month, day] = match;
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    [, day, month, year] = match;
+  } else {
+    return null;
+  }
+
+  const date = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const check = new Date(`${date}T00:00:00Z`);
+  return !isNaN(check) && check.toISOString().startsWith(date) ? date : null;
+}
+
+function isValidTimestamp(value) {
+  return typeof value === 'string' && !isNaN(new Date(value));
+}
+
+function matchCategory(value) {
+  const key = removeAccents(String(value || '').toLowerCase().trim());
+  if (!key) return null;
+  if (CATEGORIES.includes(key)) return key;
+
+  return Object.keys(CATEGORY_ALIASES).find(category => CATEGORY_ALIASES[category].includes(key)) || null;
+}
+
+function categoryLabel(category) {
+  const labels = {
+    menstruacao: 'Menstruação',
+    anticoncepcional: 'Anticoncepcional',
+    sintomas: 'Sintoma',
+    sexual: 'Relação sexual',
+    observacao: 'Observação'
+  };
+  return labels[category] || 'Registro importado';
+}
+
+function translateSymptom(option) {
+  const key = normalizeKey(option).replace(/\s+/g, '_');
+  return SYMPTOM_MAP[key] || key.replace(/_/g, ' ');
+}
+
+function normalizeKey(value) {
+  return removeAccents(String(value || '').toLowerCase().trim());
+}
+
+function dedupKey(entry) {
+  const content = removeAccents(String(entry.content || '').toLowerCase()).replace(/\s+/g, ' ').trim();
+  return `${entry.date}|${entry.category}|${content}`;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Exportar funções do módulo
+module.exports = {
+  MAX_IMPORT_ENTRIES,
+  parseImportFile,
+  findNewEntries
+};
@@ -1,12 +1,27 @@
 const fs = require('fs');
 const path = require('path');
-const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion } = require('@whiskeysockets/baileys');
+const { default: makeWASocket, useMultiFileAuthState, DisconnectReason, fetchLatestBaileysVersion, downloadMediaMessage, WAMessageStubType, decryptPollVote, jidNormalizedUser } = require('@whiskeysockets/baileys');
 const pino = require('pino');
 const qrcode = require('qrcode-terminal'); // Adicionado para exibir o QR
-const { initializeGemini } = require('./gemini');
-const { initializeDatabase } = require('./database');
-const { processMessage } = require('./processor');
-const { validateConfig, ensureDirectories } = require('./utils');
+const { initializeLLM } = require('./llm');
+const { initializeDatabase, migrateUserFiles, purgeExpiredTrash } = require('./database');
+const { initializeConversations, purgeExpiredConversations } = require('./conversation');
+const { removeTempFile, purgeTempFiles } = require('./export');
+const { detectRedFlag, anonymizeTriageLog } = require('./triage');
+const { processMessage, processMessageEdit, processMessageRevoke, processPollVote, processDocument } = require('./processor');
+const { initializeScheduler, startScheduler, stopScheduler } = require('./scheduler');
+const { ensureDirectories } = require('./utils');
+const { loadConfig: loadLayeredConfig } = require('./config');
+const { getPendingRotation, findUnknownKeyIds } = require('./keys');
+const { sessionManager, redactSensitive, configureMasterKey, isDefaultMasterKey } = require('./security');
+const { startAdminServer, setConnectionState, setQRCode, countMessage } = require('./admin');
+const { createMockSocket } = require('./mock-socket');
+const { initializeRateLimit, checkIncoming } = require('./ratelimit');
+const { enqueueForUser, getQueueStats, waitForIdle } = require('./queue');
+const { createConnectionSupervisor } = require('./supervisor');
+const { createDebouncer } = require('./debounce');
+const { initializePolls, getPoll, isNewVote } = require('./polls');
+const { initializeOutbox, enqueueOutgoing, startOutbox, stopOutbox, flushOutbox, getOutboxStats } = require('./outbox');
 
 // Criar pasta de logs
 const logsDir = path.join(__dirname, '../logs');
@@ -19,6 +34,24 @@ if (!fs.existsSync(logFile)) {
   fs.writeFileSync(logFile, '', 'utf8');
 }
 
+// Tamanho máximo de documentos recebidos (importação)
+const MAX_DOCUMENT_BYTES = 5 * 1024 * 1024;
+
+// Erros de rede que, sem tratamento, indicam um socket com problema
+const SOCKET_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN'];
+
+// Supervisor da conexão: mantém um único socket ativo (criado em main)
+let supervisor = null;
+
+// Versão do WhatsApp Web já buscada: { version, fetchedAt }
+let versionCache = null;
+
+// Encerramento em andamento (novas mensagens são ignoradas)
+let shuttingDown = false;
+
+// Junta mensagens picadas antes de processar (criado em main)
+let debouncer = null;
+
 const logger = pino({ 
   level: 'info',
   transport: {
@@ -27,35 +60,90 @@ const logger = pino({
   }
 });
 
+/**
+ * Carrega as configurações em camadas (ver config.js) e a chave mestra
+ * Encerra o processo se algo estiver inválido
+ * @returns {Object} Configurações
+ */
 function loadConfig() {
-  try {
-    const configPath = path.join(__dirname, '../config/config.json');
-    
-    if (!fs.existsSync(configPath)) {
-      console.error('❌ Arquivo config/config.json não encontrado!');
-      process.exit(1);
-    }
+  const { config, errors, warnings } = loadLayeredConfig();
 
-    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    
-    if (!validateConfig(config)) {
-      console.error('❌ Configuração inválida!');
-      process.exit(1);
-    }
+  warnings.forEach(warning => console.log(`⚠️  ${warning}`));
 
-    return config;
-  } catch (error) {
-    console.error('❌ Erro ao carregar configurações:', error.message);
+  if (errors.length > 0) {
+    console.error('❌ Configuração inválida:');
+    errors.forEach(error => console.error(`   • ${error}`));
+    process.exit(1);
+  }
+
+  configureMasterKey(config.security.masterKey);
+
+  // Com a chave padrão (pública), "criptografado" não protege nada
+  if (config.security.enableEncryption && isDefaultMasterKey()) {
+    console.error('❌ Criptografia ativada com a chave mestra padrão. Defina security.masterKey (GYNECO_MASTER_KEY ou arquivo de segredos)');
     process.exit(1);
   }
+
+  return config;
 }
 
-async function startWhatsAppBot(config) {
-  ensureDirectories();
+/**
+ * Confere se a chave mestra abre os dados antes de começar
+ * Encerra o processo com rotação interrompida ou dados em outra chave
+ * (gravar por cima com a chave errada deixaria tudo misturado)
+ */
+function checkEncryptionKeys() {
+  const pending = getPendingRotation();
+  if (pending) {
+    console.error(`❌ Rotação da chave mestra interrompida (${pending.mode}, iniciada em ${pending.startedAt}).`);
+    console.error('   Rode "npm run keys -- rotacionar" de novo para concluir ou "npm run keys -- desfazer" para voltar');
+    process.exit(1);
+  }
+
+  const unknownKeyIds = findUnknownKeyIds();
+  if (unknownKeyIds.length > 0) {
+    console.error(`❌ Há dados cifrados com outra chave mestra (${unknownKeyIds.join(', ')}).`);
+    console.error('   Confira GYNECO_MASTER_KEY; "npm run keys -- status" mostra os arquivos por chave');
+    process.exit(1);
+  }
+}
+
+/**
+ * Versão do WhatsApp Web usada pelo Baileys
+ * Buscada na rede uma vez e reaproveitada nas reconexões por
+ * connection.versionCacheHours; se a busca falhar, a anterior continua valendo
+ * @param {Object} config - Configurações
+ * @returns {Promise<Array<number>>} Versão
+ */
+async function getWhatsAppVersion(config) {
+  const maxAgeMs = config.connection.versionCacheHours * 3600000;
+  if (versionCache && Date.now() - versionCache.fetchedAt < maxAgeMs) {
+    return versionCache.version;
+  }
+
+  const latest = await fetchLatestBaileysVersion();
+  if (!latest.error || !versionCache) {
+    versionCache = { version: latest.version };
+  }
+  versionCache.fetchedAt = Date.now();
+
+  return versionCache.version;
+}
+
+/**
+ * Cria o socket do WhatsApp: Baileys ou o simulado (whatsapp.transport = 'mock')
+ * @param {Object} config - Configurações
+ * @returns {Promise<Object>} Socket
+ */
+async function createSocket(config) {
+  if (config.whatsapp.transport === 'mock') {
+    console.log('🧪 Usando WhatsApp simulado (sem conexão real)');
+    return createMockSocket({ interactive: true });
+  }
 
   const authPath = path.join(__dirname, '../data/sessions');
   const { state, saveCreds } = await useMultiFileAuthState(authPath);
-  const { version } = await fetchLatestBaileysVersion();
+  const version = await getWhatsAppVersion(config);
 
   const sock = makeWASocket({
     version,
@@ -68,84 +156,464 @@ async function startWhatsAppBot(config) {
   });
 
   sock.ev.on('creds.update', saveCreds);
+  return sock;
+}
 
-  sock.ev.on('connection.update', async (update) => {
-    const { connection, lastDisconnect, qr } = update;
+/**
+ * Registra os ouvintes de um socket novo
+ * Chamado pelo supervisor a cada conexão; os ouvintes do socket
+ * anterior já foram removidos
+ * @param {Object} sock - Socket do Baileys
+ * @param {Function} listen - (evento, handler) registra um ouvinte
+ * @param {Object} config - Configurações
+ */
+function attachSocketHandlers(sock, listen, config) {
+  listen('connection.update', (update) => {
+    const { qr } = update;
 
     // GERADOR DE QR CODE MANUAL (Resolve o erro de Deprecated)
     if (qr) {
+      setQRCode(qr);
       console.log('\n✨ GINA: NOVO QR CODE GERADO ✨');
       console.log('📱 Escaneie o código abaixo com o WhatsApp do seu celular:\n');
       qrcode.generate(qr, { small: true });
       console.log('\n💡 Aguardando leitura...');
     }
+  });
+
+  listen('messages.upsert', async ({ messages, type }) => {
+    if (type !== 'notify') return;
+
+    // Encerrando: só terminam as mensagens que já estavam em andamento
+    if (shuttingDown) return;
+
+    for (const message of messages) {
+      if (message.key.fromMe) continue;
+      if (message.key.remoteJid.endsWith('@g.us')) continue;
 
-    if (connection === 'close') {
-      const statusCode = lastDisconnect?.error?.output?.statusCode;
-      const shouldReconnect = statusCode !== DisconnectReason.loggedOut;
-      
-      console.log(`📡 Conexão encerrada (Status: ${statusCode})`);
-
-      if (shouldReconnect) {
-        console.log('🔄 Tentando reconectar em 5 segundos...');
-        setTimeout(() => startWhatsAppBot(config), 5000);
-      } else {
-        console.log('❌ Você foi desconectado. Apague a pasta data/sessions e tente novamente.');
-        process.exit(0);
+      const from = message.key.remoteJid;
+
+      // Documentos (ex.: arquivo para /importar)
+      const document = message.message?.documentMessage ||
+                       message.message?.documentWithCaptionMessage?.message?.documentMessage;
+
+      const messageText = message.message?.conversation || 
+                         message.message?.extendedTextMessage?.text || '';
+
+      // Voto em enquete do /registrar (chega cifrado)
+      const pollUpdate = message.message?.pollUpdateMessage;
+
+      if (!document && !pollUpdate && !messageText.trim()) continue;
+      countMessage('received');
+
+      // Textos passam pelo agrupador; o limite de rajadas conta a mensagem
+      // já juntada (dispatchText), para não barrar um pedido de ajuda picado
+      if (!document && !pollUpdate) {
+        debouncer.push(from, messageText, message.key);
+        continue;
       }
+
+      // Bloqueio temporário e rajadas, antes de baixar ou processar qualquer coisa
+      if (!allowIncoming(from)) continue;
+
+      if (pollUpdate) {
+        // Enquete desconhecida (vencida): o processador avisa a usuária
+        const pollMsgId = pollUpdate.pollCreationMessageKey?.id;
+        const vote = decryptVote(sock, message, pollUpdate);
+        if (vote || (pollMsgId && !getPoll(pollMsgId))) {
+          dispatchPollVote(from, pollMsgId, message.key.id, vote?.selectedOptions, config);
+        }
+        continue;
+      }
+
+      // Documentos vão depois do que estava guardado
+      debouncer.flush(from);
+      enqueueForUser(from, () => handleIncomingDocument(sock, message, document, config))
+        .catch(reportProcessingError);
     }
+  });
+
+  // Mensagens editadas ou apagadas para todos: os registros acompanham
+  listen('messages.update', async (updates) => {
+    if (shuttingDown) return;
+
+    for (const { key, update } of updates) {
+      // Votos já decifrados pelo Baileys (a enquete é nossa: key.fromMe)
+      if (update.pollUpdates) {
+        if (!key.remoteJid || key.remoteJid.endsWith('@g.us')) continue;
+        for (const pollUpdate of update.pollUpdates) {
+          dispatchPollVote(key.remoteJid, key.id, pollUpdate.pollUpdateMessageKey?.id, pollUpdate.vote?.selectedOptions, config);
+        }
+        continue;
+      }
+
+      if (key.fromMe) continue;
+      if (!key.remoteJid || key.remoteJid.endsWith('@g.us')) continue;
+
+      const change = getMessageChange(update);
+      if (!change) continue;
+
+      const from = key.remoteJid;
+
+      // Ainda no agrupador: basta trocar ou descartar o fragmento
+      const buffered = change.type === 'revoke'
+        ? debouncer.remove(from, key.id)
+        : debouncer.edit(from, key.id, change.text);
+      if (buffered) continue;
 
-    if (connection === 'open') {
-      console.log('\n✅ Bot conectado ao WhatsApp!');
-      console.log('💗 Gina está pronta para ajudar!\n');
-      logger.info('Bot conectado');
+      enqueueForUser(from, () => handleMessageChange(from, key.id, change, config))
+        .catch(reportProcessingError);
     }
   });
+}
 
-  sock.ev.on('messages.upsert', async ({ messages, type }) => {
-    if (type !== 'notify') return;
+/**
+ * Decide o que fazer quando a conexão cai
+ * @param {Object} lastDisconnect - { error } do evento connection.update
+ * @returns {string} 'stop' (desconectado do celular), 'now' (reinício pedido pelo WhatsApp) ou 'retry'
+ */
+function classifyDisconnect(lastDisconnect) {
+  const statusCode = lastDisconnect?.error?.output?.statusCode;
+
+  if (statusCode === DisconnectReason.loggedOut) return 'stop';
+  if (statusCode === DisconnectReason.restartRequired) return 'now';
+  return 'retry';
+}
 
-    for (const message of messages) {
-      try {
-        if (message.key.fromMe) continue;
-        if (message.key.remoteJid.endsWith('@g.us')) continue;
+/**
+ * Reage às mudanças de estado do supervisor da conexão
+ * @param {string} state - connecting, open, waiting, stopping ou stopped
+ * @param {Object} details - { statusCode, attempt, retryInMs }
+ * @param {Object} config - Configurações
+ */
+function handleConnectionState(state, details, config) {
+  if (state === 'connecting') {
+    setConnectionState('connecting');
+  }
 
-        const from = message.key.remoteJid;
-        const messageText = message.message?.conversation || 
-                           message.message?.extendedTextMessage?.text || '';
+  if (state === 'open') {
+    setConnectionState('open');
+    startOutbox(deliverOutgoing);
+    console.log('\n✅ Bot conectado ao WhatsApp!');
+    console.log('💗 Gina está pronta para ajudar!\n');
+    logger.info('Bot conectado');
+
+    // Lembretes também vão pela fila de envio: gravados antes de enviar,
+    // sobrevivem a uma queda no meio e esperam a conexão voltar
+    startScheduler(async (jid, text) => {
+      await sendResponse(jid, text);
+      countMessage('reminders');
+      logger.info({ to: jid.split('@')[0] }, 'Lembrete na fila de envio');
+    });
+  }
 
-        if (!messageText.trim()) continue;
+  if (state === 'waiting') {
+    stopScheduler();
+    stopOutbox();
+    setConnectionState('close', details);
 
-        const userPhone = from.split('@')[0];
-        console.log(`📩 ${userPhone}: ${messageText.substring(0, 40)}...`);
+    if (details.statusCode !== undefined) {
+      console.log(`📡 Conexão encerrada (Status: ${details.statusCode})`);
+    }
+    console.log(`🔄 Tentando reconectar em ${Math.ceil(details.retryInMs / 1000)} segundos (tentativa ${details.attempt})...`);
+    logger.info({ statusCode: details.statusCode, attempt: details.attempt }, 'Reconexão agendada');
+  }
 
-        const response = await processMessage(from, messageText, config);
+  if (state === 'stopped') {
+    stopScheduler();
+    stopOutbox();
+    setConnectionState('close', details);
 
-        if (response) {
-          await sock.sendMessage(from, { text: response });
-          console.log(`📤 Resposta enviada para ${userPhone}`);
-          
-          logger.info({
-            from: userPhone,
-            message: messageText.substring(0, 100)
-          }, 'Mensagem processada');
-        }
+    if (!shuttingDown) {
+      console.log('❌ Você foi desconectado. Apague a pasta data/sessions e tente novamente.');
+      shutdown('logout', config);
+    }
+  }
+}
 
-      } catch (error) {
-        console.error('❌ Erro no Processador:', error.message);
-        logger.error(error, 'Erro no processamento');
-      }
+/**
+ * Encerra o bot sem perder mensagens em andamento
+ * Novas mensagens deixam de ser aceitas; o que estava no agrupador e
+ * nas filas termina (incluindo gravações e respostas) antes de sair,
+ * até o limite de connection.shutdownTimeoutMs
+ * @param {string} reason - Sinal ou motivo do encerramento
+ * @param {Object} config - Configurações
+ */
+async function shutdown(reason, config) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+
+  console.log(`\n\n👋 Encerrando GINA (${reason})...`);
+  stopScheduler();
+
+  if (debouncer) debouncer.flushAll();
+
+  const { pending } = getQueueStats();
+  if (pending > 0) {
+    console.log(`⏳ Aguardando ${pending} mensagem(ns) em andamento...`);
+  }
+
+  const drained = await waitForIdle(config.connection.shutdownTimeoutMs);
+  if (!drained) {
+    console.log('⚠️  Tempo esgotado: encerrando com mensagens ainda em andamento');
+  }
+
+  // O que não foi entregue continua gravado e sai na próxima conexão
+  const unsent = getOutboxStats().pending;
+  if (unsent > 0) {
+    console.log(`📬 ${unsent} resposta(s) ficam na fila de envio para a próxima conexão`);
+  }
+
+  if (supervisor) supervisor.stop();
+
+  logger.info({ reason, drained, unsent }, 'Bot encerrado');
+  process.exit(0);
+}
+
+/**
+ * Identifica edição ou exclusão em um evento messages.update
+ * (outros eventos, como confirmações de leitura, são ignorados)
+ * @param {Object} update - Campo update do evento
+ * @returns {Object|null} { type: 'edit', text }, { type: 'revoke' } ou null
+ */
+function getMessageChange(update) {
+  if (update.messageStubType === WAMessageStubType.REVOKE && !update.message) {
+    return { type: 'revoke' };
+  }
+
+  const edited = update.message?.editedMessage?.message;
+  if (!edited) return null;
+
+  const content = edited.protocolMessage?.editedMessage || edited;
+  const text = content.conversation || content.extendedTextMessage?.text || '';
+
+  return text.trim() ? { type: 'edit', text } : null;
+}
+
+/**
+ * Decifra o voto de uma enquete enviada pelo bot
+ * A chave é o messageSecret guardado quando a enquete foi enviada
+ * @param {Object} sock - Socket do Baileys
+ * @param {Object} message - Mensagem com pollUpdateMessage
+ * @param {Object} pollUpdate - pollUpdateMessage
+ * @returns {Object|null} Voto ({ selectedOptions }) ou null se a enquete não é conhecida
+ */
+function decryptVote(sock, message, pollUpdate) {
+  const pollMsgId = pollUpdate.pollCreationMessageKey?.id;
+  const poll = pollMsgId ? getPoll(pollMsgId) : null;
+  if (!poll || !pollUpdate.vote) return null;
+
+  try {
+    return decryptPollVote(pollUpdate.vote, {
+      pollCreatorJid: jidNormalizedUser(sock.user.id),
+      pollMsgId,
+      pollEncKey: poll.secret,
+      voterJid: jidNormalizedUser(message.key.participant || message.key.remoteJid)
+    });
+  } catch (error) {
+    console.error('❌ Não consegui decifrar o voto da enquete:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Coloca um voto de enquete na fila da usuária
+ * O mesmo voto pode chegar duas vezes (cifrado e já decifrado pelo Baileys)
+ * @param {string} from - JID da votante
+ * @param {string} pollMsgId - ID da enquete
+ * @param {string} voteId - ID da mensagem do voto
+ * @param {Array<Buffer>} selectedOptions - Hashes das opções marcadas
+ * @param {Object} config - Configurações
+ */
+function dispatchPollVote(from, pollMsgId, voteId, selectedOptions, config) {
+  if (!isNewVote(voteId)) return;
+
+  // Mensagens guardadas no agrupador vêm antes do voto
+  debouncer.flush(from);
+  enqueueForUser(from, async () => {
+    const response = await processPollVote(from, pollMsgId, selectedOptions || [], config);
+    if (response) {
+      await sendResponse(from, response);
+      logger.info({ from: from.split('@')[0] }, 'Voto registrado');
     }
+  }).catch(reportProcessingError);
+}
+
+/**
+ * Entrega ao processador um texto liberado pelo agrupador
+ * Uma mensagem por vez para cada usuária, na ordem de chegada;
+ * usuárias diferentes são atendidas em paralelo
+ * @param {string} from - JID da remetente
+ * @param {string} text - Texto (fragmentos já juntados)
+ * @param {Array} sources - Mensagens juntadas [{ key, text }]
+ * @param {Object} config - Configurações
+ */
+function dispatchText(from, text, sources, config) {
+  if (sources.length > 1) {
+    console.log(`🧩 ${from.split('@')[0]}: ${sources.length} mensagens juntadas em uma`);
+  }
+
+  // Sinal de alerta sempre é respondido (192/UPA e registro urgente),
+  // mesmo de quem está em rajada ou bloqueada; ainda conta para a rajada
+  if (detectRedFlag(text)) {
+    checkIncoming(from);
+  } else if (!allowIncoming(from)) {
+    return;
+  }
+
+  enqueueForUser(from, () => handleIncomingText(from, text, config, sources))
+    .catch(reportProcessingError);
+}
+
+/**
+ * Verifica bloqueio e rajada de uma mensagem recebida
+ * Quando barrada, envia o aviso de espera (no máximo um por período)
+ * @param {string} from - JID da remetente
+ * @returns {boolean} true se a mensagem pode ser processada
+ */
+function allowIncoming(from) {
+  const incoming = checkIncoming(from);
+  if (incoming.allowed) return true;
+
+  if (incoming.reply) {
+    sendResponse(from, incoming.reply).catch(error => {
+      console.error('❌ Erro ao enviar aviso de limite:', error.message);
+    });
+  }
+  return false;
+}
+
+function reportProcessingError(error) {
+  countMessage('failed');
+  console.error('❌ Erro no Processador:', error.message);
+  logger.error(error, 'Erro no processamento');
+}
+
+/**
+ * Processa uma mensagem de texto e envia a resposta
+ * @param {string} from - JID da remetente
+ * @param {string} messageText - Texto recebido
+ * @param {Object} config - Configurações
+ * @param {Array} sources - Mensagens de origem [{ key, text }]
+ */
+async function handleIncomingText(from, messageText, config, sources = []) {
+  const userPhone = from.split('@')[0];
+  const safeText = redactSensitive(messageText);
+  console.log(`📩 ${userPhone}: ${safeText.substring(0, 40)}...`);
+
+  const response = await processMessage(from, messageText, config, sources);
+
+  if (response) {
+    await sendResponse(from, response);
+    
+    logger.info({
+      from: userPhone,
+      message: safeText.substring(0, 100)
+    }, 'Mensagem processada');
+  }
+}
+
+/**
+ * Atualiza os registros de uma mensagem editada ou apagada
+ * e envia a confirmação do que mudou
+ * @param {string} from - JID da remetente
+ * @param {string} messageId - ID da mensagem alterada
+ * @param {Object} change - { type: 'edit', text } ou { type: 'revoke' }
+ * @param {Object} config - Configurações
+ */
+async function handleMessageChange(from, messageId, change, config) {
+  const userPhone = from.split('@')[0];
+  console.log(change.type === 'revoke'
+    ? `🗑️  ${userPhone}: mensagem apagada`
+    : `✏️  ${userPhone}: mensagem editada`);
+
+  const response = change.type === 'revoke'
+    ? await processMessageRevoke(from, messageId, config)
+    : await processMessageEdit(from, messageId, change.text, config);
+
+  if (response) {
+    await sendResponse(from, response);
+    logger.info({ from: userPhone, change: change.type }, 'Registro sincronizado');
+  }
+}
+
+/**
+ * Baixa um documento recebido e entrega ao processador
+ * Arquivos acima de MAX_DOCUMENT_BYTES são recusados sem download
+ * @param {Object} sock - Socket do Baileys
+ * @param {Object} message - Mensagem recebida
+ * @param {Object} document - documentMessage
+ * @param {Object} config - Configurações
+ */
+async function handleIncomingDocument(sock, message, document, config) {
+  const from = message.key.remoteJid;
+  const userPhone = from.split('@')[0];
+  console.log(`📎 ${userPhone}: documento ${document.fileName || ''}`);
+
+  if (Number(document.fileLength || 0) > MAX_DOCUMENT_BYTES) {
+    await sendResponse(from, '😔 Arquivo muito grande. O limite é de 5 MB.');
+    return;
+  }
+
+  const buffer = await downloadMediaMessage(message, 'buffer', {}, {
+    logger,
+    reuploadRequest: sock.updateMediaMessage
   });
 
-  return sock;
+  const response = await processDocument(from, {
+    buffer,
+    fileName: document.fileName || '',
+    caption: document.caption || ''
+  }, config);
+
+  if (response) {
+    await sendResponse(from, response);
+    logger.info({ from: userPhone }, 'Documento processado');
+  }
+}
+
+/**
+ * Envia a resposta do processador: texto, documento e/ou enquetes
+ * A resposta é gravada na fila de envio antes, então uma queda da
+ * conexão não a perde: a entrega é repetida quando a conexão voltar.
+ * O arquivo temporário do documento é apagado depois de copiado para a fila
+ * @param {string} jid - Destinatário
+ * @param {string|Object} response - Texto ou { text, document: { path, fileName, mimetype }, polls: [nomes] }
+ */
+async function sendResponse(jid, response) {
+  try {
+    enqueueOutgoing(jid, response);
+  } finally {
+    if (response.document) {
+      removeTempFile(response.document.path);
+    }
+  }
+
+  await flushOutbox();
+}
+
+/**
+ * Entrega uma mensagem da fila de envio pelo socket atual
+ * @param {string} jid - Destinatário
+ * @param {Object} content - Conteúdo para o sock.sendMessage
+ * @param {Object} options - { messageId } (o mesmo em todas as tentativas)
+ */
+async function deliverOutgoing(jid, content, options) {
+  const sock = supervisor.getSocket();
+  if (!sock) {
+    throw new Error('Sem conexão com o WhatsApp');
+  }
+
+  await sock.sendMessage(jid, content, options);
+  countMessage('sent');
+  console.log(`📤 Resposta enviada para ${jid.split('@')[0]}`);
 }
 
 async function main() {
   console.clear();
   console.log('═══════════════════════════════════════');
   console.log('💗   BOT GINECOLÓGICO - GINA');
-  console.log('     WhatsApp + Gemini AI');
+  console.log('     WhatsApp + IA');
   console.log('═══════════════════════════════════════\n');
 
   try {
@@ -153,19 +621,87 @@ async function main() {
     const config = loadConfig();
     console.log('✅ Configurações carregadas\n');
 
+    checkEncryptionKeys();
+
+    sessionManager.setTimeoutMs(config.security.sessionTimeout);
+
     console.log('💾 Inicializando banco de dados...');
     initializeDatabase();
+
+    const migration = migrateUserFiles(config.security.enableEncryption);
+    if (migration.converted > 0) {
+      console.log(`   ${migration.converted} arquivo(s) convertido(s) para o modo ${config.security.enableEncryption ? 'criptografado' : 'aberto'}`);
+    }
+    migration.failed.forEach(failure => {
+      console.error(`   ⚠️  Ilegível (não será alterado): ${failure}`);
+    });
+    const anonymized = anonymizeTriageLog();
+    if (anonymized > 0) {
+      console.log(`   ${anonymized} linha(s) do log de triagem passaram a usar hash no lugar do número`);
+    }
     console.log('✅ Banco de dados pronto\n');
 
-    console.log('🤖 Conectando ao Gemini AI...');
-    
-    // Usando o modelo que testamos e funcionou (Gemini 2.0 Flash)
-    const modelName = config.gemini.model || 'gemini-2.0-flash';
-    await initializeGemini(config.gemini.apiKey, modelName);
-    console.log(`✅ Gemini [${modelName}] conectado\n`);
+    initializeConversations(config);
+    initializeRateLimit(config);
+
+    initializePolls();
+
+    const pendingOutgoing = initializeOutbox(config);
+    if (pendingOutgoing > 0) {
+      console.log(`📬 ${pendingOutgoing} resposta(s) pendente(s) serão enviadas ao conectar\n`);
+    }
+
+    debouncer = createDebouncer(config.debounce, (from, text, sources) => {
+      dispatchText(from, text, sources, config);
+    });
+
+    // Purga da lixeira, das conversas expiradas e de temporários: na inicialização e depois periodicamente
+    const runTrashPurge = () => {
+      const purged = purgeExpiredTrash();
+      if (purged > 0) {
+        console.log(`🗑️  ${purged} item(ns) da lixeira apagado(s) definitivamente`);
+        logger.info({ purged }, 'Lixeira purgada');
+      }
+
+      const expired = purgeExpiredConversations();
+      if (expired > 0) {
+        logger.info({ expired }, 'Conversas expiradas apagadas');
+      }
+
+      purgeTempFiles();
+    };
+    runTrashPurge();
+    setInterval(runTrashPurge, config.trash.purgeIntervalMs);
+
+    console.log('⏰ Carregando lembretes...');
+    const activeReminders = initializeScheduler(config);
+    console.log(`✅ ${activeReminders} lembrete(s) ativo(s)\n`);
+
+    console.log(`🤖 Conectando à IA (${config.llm.provider})...`);
+    const llm = await initializeLLM(config);
+    console.log(`✅ IA [${llm.provider}/${llm.model}] conectada\n`);
+
+    startAdminServer(config, {
+      reconnect: async () => {
+        console.log('🛠️  Reconexão pedida pelo painel admin');
+        supervisor.restart();
+      }
+    });
+
+    process.on('SIGINT', () => shutdown('SIGINT', config));
+    process.on('SIGTERM', () => shutdown('SIGTERM', config));
 
     console.log('📱 Iniciando bot WhatsApp...');
-    await startWhatsAppBot(config);
+    ensureDirectories();
+    supervisor = createConnectionSupervisor({
+      createSocket: () => createSocket(config),
+      attach: (sock, listen) => attachSocketHandlers(sock, listen, config),
+      classifyClose: classifyDisconnect,
+      isAlive: sock => !sock.ws || !sock.ws.isClosed,
+      onStateChange: (state, details) => handleConnectionState(state, details, config),
+      settings: config.connection
+    });
+    supervisor.start();
 
   } catch (error) {
     console.error('\n❌ Erro fatal:', error.message);
@@ -173,15 +709,37 @@ async function main() {
   }
 }
 
+/**
+ * Indica se um erro não tratado veio da conexão com o WhatsApp
+ * (Baileys, WebSocket ou rede); erros do nosso código não derrubam o socket
+ * @param {Error} error - Erro não tratado
+ * @returns {boolean} true se vale reconectar
+ */
+function isSocketError(error) {
+  if (!error) return false;
+  if (error.isBoom) return true;
+  if (SOCKET_ERROR_CODES.includes(error.code)) return true;
+  return /node_modules[\\/](@whiskeysockets[\\/]baileys|ws|libsignal)[\\/]/.test(error.stack || '');
+}
+
 // Tratamento de erros globais para evitar que o bot feche do nada
 process.on('uncaughtException', (error) => {
   if (error.message.includes('EPIPE')) return; // Ignora erro de pipe quebrado comum no Windows
   console.error('\n❌ Erro crítico:', error.message);
+  logger.error(error, 'Erro não tratado');
+
+  // Só erros do socket pedem uma conexão nova; um erro do processador
+  // ou do agendador não tem por que derrubar uma conexão saudável
+  if (supervisor && !shuttingDown && isSocketError(error)) {
+    supervisor.restart();
+  }
 });
 
-process.on('SIGINT', () => {
-  console.log('\n\n👋 Encerrando GINA...');
-  process.exit(0);
+// Promessas rejeitadas sem catch: só registrar, sem reconectar
+process.on('unhandledRejection', (reason) => {
+  const error = reason instanceof Error ? reason : new Error(String(reason));
+  console.error('\n❌ Promessa rejeitada sem tratamento:', error.message);
+  logger.error(error, 'Promessa rejeitada sem tratamento');
 });
 
 main();
\ No newline at end of file
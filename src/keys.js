@@ -0,0 +1,306 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: ROTAÇÃO DA CHAVE MESTRA
+ * Arquivo: keys.js
+ * Descrição: Troca a chave mestra sem recifrar os dados
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Reembrulhar com a chave nova a chave de dados de cada arquivo
+ *   cifrado (usuárias, lembretes, conversas, fila de envio, enquetes,
+ *   lixeira); o conteúdo cifrado não muda. Arquivos no formato antigo, sem
+ *   envelope, são convertidos
+ * - Modo simulação: abre tudo na memória e conta o que mudaria,
+ *   sem gravar nada
+ * - Recuperação: cada arquivo é trocado de uma vez (arquivo
+ *   temporário + rename) e a rotação deixa um diário em
+ *   data/keys/rotation.json até terminar. Se for interrompida, rodar
+ *   de novo continua de onde parou (arquivos já na chave de destino
+ *   são pulados), ou "desfazer" volta tudo para a chave configurada.
+ *   O bot não inicia com o diário presente
+ *
+ * Uso como script (com o bot parado; a chave nova vem de GYNECO_NEW_MASTER_KEY):
+ *   node src/keys.js status
+ *   node src/keys.js rotacionar [--simular]
+ *   node src/keys.js desfazer [--simular]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const {
+  configureMasterKey,
+  registerMasterKey,
+  getMasterKeyId,
+  hasMasterKey,
+  encryptData,
+  decryptData,
+  rewrapData,
+  getDataKeyId
+} = require('./security');
+const { inspectUserFile, rewrapUserFile } = require('./database');
+const { writeFileAtomic } = require('./utils');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const JOURNAL_PATH = path.join(DATA_DIR, 'keys/rotation.json');
+
+const MIN_SECRET_LENGTH = 16;
+
+// Pastas com dados cifrados e como ler/reembrulhar cada formato de arquivo
+const STORES = [
+  { name: 'usuárias', dir: 'users', inspect: inspectUserFile, rewrap: rewrapUserFile },
+  { name: 'lembretes', dir: 'reminders', inspect: inspectDataFile, rewrap: rewrapDataFile },
+  { name: 'conversas', dir: 'conversations', inspect: inspectPayloadFile, rewrap: rewrapPayloadFile },
+  { name: 'fila de envio', dir: 'outbox', inspect: inspectPayloadFile, rewrap: rewrapPayloadFile },
+  { name: 'enquetes', dir: 'polls', inspect: inspectPayloadFile, rewrap: rewrapPayloadFile },
+  { name: 'lixeira', dir: 'trash', inspect: inspectPayloadFile, rewrap: rewrapPayloadFile }
+];
+
+/**
+ * Passa todos os dados cifrados para a chave mestra de destino
+ * @param {string} targetKeyId - Chave de destino (já no chaveiro)
+ * @param {Object} options - { dryRun: só contar, mode: 'rotacionar' | 'desfazer' }
+ * @returns {Object} { completed, stores: [{ name, total, rewrapped, converted, unchanged, failed }] }
+ */
+function rotateMasterKey(targetKeyId, options = {}) {
+  const { dryRun = false, mode = 'rotacionar' } = options;
+
+  if (!dryRun) {
+    writeFileAtomic(JOURNAL_PATH, JSON.stringify({
+      mode,
+      targetKeyId,
+      startedAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  const stores = STORES.map(store => {
+    const report = { name: store.name, total: 0, rewrapped: 0, converted: 0, unchanged: 0, failed: [] };
+
+    listFiles(store.dir).forEach(filePath => {
+      report.total++;
+
+      try {
+        const result = store.rewrap(fs.readFileSync(filePath, 'utf8'), targetKeyId);
+        if (!result) {
+          report.unchanged++;
+          return;
+        }
+
+        if (!dryRun) {
+          writeFileAtomic(filePath, result.content);
+        }
+        report[result.converted ? 'converted' : 'rewrapped']++;
+
+      } catch (error) {
+        report.failed.push(`${path.basename(filePath)}: ${error.message}`);
+      }
+    });
+
+    return report;
+  });
+
+  const completed = stores.every(store => store.failed.length === 0);
+  if (completed && !dryRun) {
+    fs.unlinkSync(JOURNAL_PATH);
+  }
+
+  return { completed, stores };
+}
+
+/**
+ * Rotação interrompida (diário ainda presente)
+ * @returns {Object|null} { mode, targetKeyId, startedAt } ou null
+ */
+function getPendingRotation() {
+  if (!fs.existsSync(JOURNAL_PATH)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(JOURNAL_PATH, 'utf8'));
+  } catch (error) {
+    return { mode: 'desconhecido', targetKeyId: null, startedAt: null };
+  }
+}
+
+/**
+ * Conta os arquivos por chave mestra
+ * @returns {Object} { keys: { keyId: quantidade }, legacy, plain, unreadable }
+ */
+function summarizeKeys() {
+  const summary = { keys: {}, legacy: 0, plain: 0, unreadable: 0 };
+
+  STORES.forEach(store => {
+    listFiles(store.dir).forEach(filePath => {
+      try {
+        const { encrypted, keyId } = store.inspect(fs.readFileSync(filePath, 'utf8'));
+
+        if (!encrypted) {
+          summary.plain++;
+        } else if (!keyId) {
+          summary.legacy++;
+        } else {
+          summary.keys[keyId] = (summary.keys[keyId] || 0) + 1;
+        }
+      } catch (error) {
+        summary.unreadable++;
+      }
+    });
+  });
+
+  return summary;
+}
+
+/**
+ * Chaves mestras usadas nos dados e ausentes do chaveiro
+ * (ex.: rotação concluída, mas GYNECO_MASTER_KEY não foi trocada)
+ * @returns {Array<string>} IDs desconhecidos
+ */
+function findUnknownKeyIds() {
+  return Object.keys(summarizeKeys().keys).filter(keyId => !hasMasterKey(keyId));
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+// Arquivo inteiro cifrado, ou JSON aberto (lembretes sem criptografia)
+function inspectDataFile(content) {
+  const trimmed = content.trim();
+  return trimmed.startsWith('{')
+    ? { encrypted: false, keyId: null }
+    : { encrypted: true, keyId: getDataKeyId(trimmed) };
+}
+
+function rewrapDataFile(content, keyId) {
+  if (!inspectDataFile(content).encrypted) return null;
+
+  const result = rewrapData(content.trim(), keyId);
+  return result && { content: result.ciphertext, converted: result.converted };
+}
+
+// JSON com o conteúdo cifrado em payload (conversas, fila, enquetes, lixeira)
+// Entradas antigas da lixeira (wasEncrypted) têm dentro o arquivo ainda cifrado
+function inspectPayloadFile(content) {
+  const entry = JSON.parse(content);
+  return { encrypted: true, keyId: entry.wasEncrypted ? null : getDataKeyId(entry.payload) };
+}
+
+function rewrapPayloadFile(content, keyId) {
+  const { wasEncrypted, ...entry } = JSON.parse(content);
+
+  if (wasEncrypted) {
+    const plaintext = decryptData(decryptData(entry.payload));
+    return { content: JSON.stringify({ ...entry, payload: encryptData(plaintext, keyId) }), converted: true };
+  }
+
+  const result = rewrapData(entry.payload, keyId);
+  return result && { content: JSON.stringify({ ...entry, payload: result.ciphertext }), converted: result.converted };
+}
+
+function listFiles(dir) {
+  const fullDir = path.join(DATA_DIR, dir);
+  if (!fs.existsSync(fullDir)) return [];
+
+  return fs.readdirSync(fullDir)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.join(fullDir, file));
+}
+
+function printReport({ completed, stores }, dryRun) {
+  stores.forEach(store => {
+    console.log(`   ${store.name}: ${store.total} arquivo(s) · ${store.rewrapped} reembrulhado(s) · ${store.converted} convertido(s) · ${store.unchanged} sem mudança`);
+    store.failed.forEach(failure => console.log(`      ❌ ${failure}`));
+  });
+
+  if (dryRun) {
+    console.log(completed ? '\n🔎 Simulação: nada foi gravado' : '\n🔎 Simulação: nada foi gravado; corrija as falhas antes de rodar de verdade');
+  }
+}
+
+/**
+ * Script: status, rotacionar e desfazer
+ */
+function runCli(args) {
+  const [command] = args;
+  const dryRun = args.includes('--simular');
+
+  const { config, errors } = loadConfig();
+  if (errors.length > 0) {
+    console.error('❌ Configuração inválida:');
+    errors.forEach(error => console.error(`   • ${error}`));
+    return 1;
+  }
+
+  configureMasterKey(config.security.masterKey);
+  const currentKeyId = getMasterKeyId();
+
+  const newSecret = process.env.GYNECO_NEW_MASTER_KEY;
+  const newKeyId = newSecret ? registerMasterKey(newSecret) : null;
+
+  if (command === 'status') {
+    const summary = summarizeKeys();
+    const pending = getPendingRotation();
+
+    console.log(`🔑 Chave mestra configurada: ${currentKeyId}`);
+    if (newKeyId) console.log(`🔑 Chave nova (GYNECO_NEW_MASTER_KEY): ${newKeyId}`);
+    Object.entries(summary.keys).forEach(([keyId, count]) => {
+      const label = keyId === currentKeyId ? 'configurada' : keyId === newKeyId ? 'nova' : 'desconhecida';
+      console.log(`   ${keyId} (${label}): ${count} arquivo(s)`);
+    });
+    console.log(`   formato antigo, sem envelope: ${summary.legacy} · sem criptografia: ${summary.plain} · ilegíveis: ${summary.unreadable}`);
+    if (pending) {
+      console.log(`⚠️  Rotação interrompida (${pending.mode}, iniciada em ${pending.startedAt}) para a chave ${pending.targetKeyId}`);
+    }
+    return 0;
+  }
+
+  if (command === 'rotacionar') {
+    if (!newSecret || newSecret.length < MIN_SECRET_LENGTH) {
+      console.error(`❌ Defina a chave nova em GYNECO_NEW_MASTER_KEY (mínimo de ${MIN_SECRET_LENGTH} caracteres)`);
+      return 1;
+    }
+
+    if (newKeyId === currentKeyId) {
+      console.error('❌ A chave nova é igual à configurada');
+      return 1;
+    }
+
+    console.log(`🔄 ${dryRun ? 'Simulando rotação' : 'Rotacionando'}: ${currentKeyId} → ${newKeyId}`);
+    const result = rotateMasterKey(newKeyId, { dryRun, mode: 'rotacionar' });
+    printReport(result, dryRun);
+
+    if (!dryRun && result.completed) {
+      console.log('\n✅ Rotação concluída. Agora troque GYNECO_MASTER_KEY (ou security.masterKey no arquivo de segredos) pelo valor de GYNECO_NEW_MASTER_KEY e inicie o bot');
+    } else if (!dryRun) {
+      console.log('\n⚠️  Rotação incompleta: corrija as falhas e rode de novo, ou use "desfazer"');
+    }
+    return result.completed ? 0 : 1;
+  }
+
+  if (command === 'desfazer') {
+    console.log(`↩️  ${dryRun ? 'Simulando volta' : 'Voltando'} para a chave configurada: ${currentKeyId}`);
+    const result = rotateMasterKey(currentKeyId, { dryRun, mode: 'desfazer' });
+    printReport(result, dryRun);
+
+    if (!dryRun) {
+      console.log(result.completed
+        ? '\n✅ Todos os dados estão na chave configurada'
+        : '\n⚠️  Ainda há arquivos em outra chave: defina GYNECO_NEW_MASTER_KEY com a chave usada na rotação');
+    }
+    return result.completed ? 0 : 1;
+  }
+
+  console.error('Uso: node src/keys.js status | rotacionar [--simular] | desfazer [--simular]');
+  return 1;
+}
+
+if (require.main === module) {
+  process.exit(runCli(process.argv.slice(2)));
+}
+
+// Exportar funções do módulo
+module.exports = {
+  rotateMasterKey,
+  getPendingRotation,
+  summarizeKeys,
+  findUnknownKeyIds
+};
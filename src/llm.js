@@ -0,0 +1,306 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: INTELIGÊNCIA ARTIFICIAL
+ * Arquivo: llm.js
+ * Descrição: Ponto único de acesso ao provedor de IA configurado
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Inicializar o provedor escolhido em config.llm.provider
+ * - Gerar respostas, classificar mensagens e gerar insights
+ * - Limitar o tempo de cada chamada e quantas rodam ao mesmo tempo
+ * - Repetir chamadas com erro transitório (429, 5xx, rede)
+ * - Passar as respostas pelo filtro de segurança (safety.js)
+ * - Cair para o classificador offline quando o provedor falha
+ * - Contar chamadas e falhas para o painel administrativo
+ */
+
+const { createProvider } = require('./providers');
+const { classifyOffline } = require('./offline');
+const { SAFE_TEMPLATES, checkOutput, recordBlockedOutput } = require('./safety');
+const { buildAppointmentPrompt } = require('./prompts');
+const { createConcurrencyLimiter } = require('./queue');
+const { retryWithBackoff } = require('./utils');
+
+// Após FAILURE_THRESHOLD falhas seguidas do provedor (erro transitório
+// ou tempo esgotado), ele fica em pausa para não acumular esperas
+const FAILURE_THRESHOLD = 3;
+const FAILURE_COOLDOWN_MS = 30000;
+
+// Espera antes da primeira nova tentativa (dobra a cada uma)
+const RETRY_DELAY_MS = 1000;
+
+// Erros que costumam passar sozinhos: limite de taxa, servidor e rede
+const TRANSIENT_STATUS = [429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+let provider = null;
+let timeoutMs = 30000;
+let maxAttempts = 2;
+let unavailableUntil = 0;
+let consecutiveFailures = 0;
+
+// Chamadas simultâneas ao provedor (as demais esperam a vez)
+const providerSlots = createConcurrencyLimiter(2);
+
+// Contadores desde a inicialização (painel administrativo)
+const stats = { calls: 0, failures: 0, timeouts: 0, retries: 0, skipped: 0, lastError: null, lastErrorAt: null };
+
+/**
+ * Inicializa o provedor de IA configurado
+ * @param {Object} config - Configurações da aplicação
+ * @returns {Promise<Object>} { provider, model }
+ */
+async function initializeLLM(config) {
+  try {
+    timeoutMs = config.llm?.timeoutMs || 30000;
+    maxAttempts = config.llm?.maxAttempts || 2;
+    providerSlots.setMax(config.llm?.maxConcurrent || 2);
+    unavailableUntil = 0;
+    consecutiveFailures = 0;
+    provider = createProvider(config);
+    await provider.initialize();
+    return { provider: provider.name, model: provider.model };
+
+  } catch (error) {
+    provider = null;
+    console.error('❌ Erro ao inicializar IA:');
+    console.error('   Mensagem:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Retorna o provedor ativo (útil para testes com o mock)
+ * @returns {LLMProvider|null} Provedor
+ */
+function getProvider() {
+  return provider;
+}
+
+/**
+ * Retorna os contadores de uso do provedor
+ * @returns {Object} { provider, model, calls, failures, timeouts, retries, skipped, errorRate, slots, lastError, lastErrorAt }
+ */
+function getLLMStats() {
+  return {
+    provider: provider?.name || null,
+    model: provider?.model || null,
+    ...stats,
+    slots: providerSlots.stats(),
+    errorRate: stats.calls > 0 ? Math.round(stats.failures / stats.calls * 1000) / 1000 : 0
+  };
+}
+
+/**
+ * Gera a resposta da IA para uma mensagem
+ * @param {string} userMessage - Mensagem da usuária
+ * @param {Object} context - Contexto (histórico, ciclo)
+ * @param {Object} options - { fallback: texto usado se a IA falhar }
+ * @returns {Promise<string>} Resposta
+ */
+async function sendToLLM(userMessage, context = {}, options = {}) {
+  const fallback = options.fallback || 'Desculpe, tive um problema técnico. Tente novamente.';
+
+  try {
+    const text = await callProvider(() => provider.generate(userMessage, context));
+
+    if (!text || text.trim().length === 0) {
+      return 'Desculpe, não consegui processar sua mensagem.';
+    }
+
+    return await guardOutput('reply', text.trim(),
+      () => callProvider(() => provider.generate(userMessage, { ...context, strict: true })));
+
+  } catch (error) {
+    console.error('❌ Erro ao chamar IA:', error.message);
+    return fallback;
+  }
+}
+
+/**
+ * Extrai registros de uma mensagem
+ * Se o provedor falhar, usa o classificador offline por regras
+ * @param {string} message - Mensagem da usuária
+ * @returns {Promise<Object>} { entries, offline }
+ */
+async function classifyMessage(message) {
+  try {
+    const entries = await callProvider(() => provider.classify(message));
+    return { entries, offline: false };
+
+  } catch (error) {
+    console.error('⚠️  Classificação offline:', error.message);
+    return { entries: classifyOffline(message), offline: true };
+  }
+}
+
+async function generateInsights(records) {
+  try {
+    if (!records || records.length === 0) {
+      return '📊 Ainda não há registros suficientes.';
+    }
+
+    const text = await callProvider(() => provider.insights(records));
+
+    return await guardOutput('insights', text.trim(),
+      () => callProvider(() => provider.insights(records, { strict: true })));
+
+  } catch (error) {
+    return '😔 Não foi possível gerar insights.';
+  }
+}
+
+/**
+ * Escreve o parágrafo em linguagem simples do resumo para consulta
+ * @param {Object} sections - Linhas calculadas (appointment.describeSummary)
+ * @returns {Promise<string|null>} Parágrafo ou null se a IA falhar ou for bloqueada
+ */
+async function generateAppointmentSummary(sections) {
+  try {
+    const text = await callProvider(() => provider.generateText(buildAppointmentPrompt(sections)));
+
+    if (!text || !text.trim()) {
+      return null;
+    }
+
+    return await guardOutput('appointment', text.trim(),
+      () => callProvider(() => provider.generateText(buildAppointmentPrompt(sections, { strict: true }))));
+
+  } catch (error) {
+    console.error('⚠️  Resumo da consulta sem IA:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Aplica o filtro de segurança a um texto gerado
+ * Se bloqueado, gera de novo com regras reforçadas uma única vez;
+ * se ainda assim for bloqueado, usa o texto seguro padrão
+ * @param {string} kind - 'reply', 'insights' ou 'appointment'
+ * @param {string} text - Texto gerado
+ * @param {Function} regenerate - Nova chamada com prompt estrito
+ * @returns {Promise<string>} Texto liberado
+ */
+async function guardOutput(kind, text, regenerate) {
+  const first = checkOutput(text);
+  if (first.safe) {
+    return text;
+  }
+
+  const event = { kind, provider: provider.name, model: provider.model };
+
+  let retryText = '';
+  try {
+    retryText = String(await regenerate() || '').trim();
+  } catch (error) {
+    console.error('❌ Erro ao gerar nova resposta:', error.message);
+  }
+
+  const second = retryText ? checkOutput(retryText) : { safe: false, rules: [] };
+  if (second.safe) {
+    recordBlockedOutput({ ...event, rules: first.rules, outcome: 'regenerated' });
+    return retryText;
+  }
+
+  const rules = [...new Set([...first.rules, ...second.rules])];
+  recordBlockedOutput({ ...event, rules, outcome: 'replaced' });
+  return SAFE_TEMPLATES[kind];
+}
+
+/**
+ * Executa uma chamada ao provedor
+ * Espera uma vaga no limite de concorrência e repete erros transitórios
+ * até maxAttempts vezes. Só FAILURE_THRESHOLD chamadas seguidas com
+ * falha do provedor o colocam em pausa por FAILURE_COOLDOWN_MS; erros
+ * da própria chamada (ex.: conteúdo recusado) não contam
+ * @param {Function} fn - Chamada assíncrona ao provedor
+ * @returns {Promise<*>} Resultado da chamada
+ */
+async function callProvider(fn) {
+  if (!provider) {
+    throw new Error('IA não inicializada');
+  }
+
+  if (Date.now() < unavailableUntil) {
+    stats.skipped++;
+    throw new Error('IA temporariamente indisponível');
+  }
+
+  try {
+    const result = await providerSlots.run(() =>
+      retryWithBackoff(() => callWithTimeout(fn), maxAttempts, RETRY_DELAY_MS, error => {
+        const transient = isTransientError(error);
+        if (transient) stats.retries++;
+        return transient;
+      })
+    );
+    consecutiveFailures = 0;
+    return result;
+
+  } catch (error) {
+    if (!isTransientError(error) && error.code !== 'LLM_TIMEOUT') {
+      // O provedor respondeu: o erro é desta chamada
+      consecutiveFailures = 0;
+      throw error;
+    }
+
+    consecutiveFailures++;
+    if (consecutiveFailures >= FAILURE_THRESHOLD) {
+      unavailableUntil = Date.now() + FAILURE_COOLDOWN_MS;
+      console.log(`⏸️  IA em pausa por ${FAILURE_COOLDOWN_MS / 1000}s após ${consecutiveFailures} falhas seguidas`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Uma tentativa de chamada, limitada a timeoutMs
+ */
+async function callWithTimeout(fn) {
+  stats.calls++;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      stats.timeouts++;
+      reject(Object.assign(new Error(`Tempo esgotado após ${timeoutMs}ms`), { code: 'LLM_TIMEOUT' }));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([fn(), timeout]);
+  } catch (error) {
+    stats.failures++;
+    stats.lastError = String(error.message).slice(0, 200);
+    stats.lastErrorAt = new Date().toISOString();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Indica se vale a pena tentar de novo
+ * Tempo esgotado não é repetido: a usuária já esperou timeoutMs
+ * @param {Error} error - Erro da chamada
+ * @returns {boolean} true para erro transitório
+ */
+function isTransientError(error) {
+  if (TRANSIENT_STATUS.includes(error.status)) return true;
+
+  const code = error.code || error.cause?.code;
+  if (TRANSIENT_CODES.includes(code)) return true;
+
+  return /fetch failed|socket hang up|network/i.test(error.message || '');
+}
+
+module.exports = {
+  initializeLLM,
+  getProvider,
+  getLLMStats,
+  sendToLLM,
+  classifyMessage,
+  generateInsights,
+  generateAppointmentSummary
+};
@@ -0,0 +1,187 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: WHATSAPP SIMULADO
+ * Arquivo: mock-socket.js
+ * Descrição: Substituto do socket do Baileys para testes locais
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Imitar a parte do socket usada pelo index.js: eventos
+ *   connection.update, messages.upsert e messages.update
+ *   (edições, exclusões e votos em enquetes), sendMessage e end
+ * - Gerar um QR Code falso e "conectar" sozinho em seguida,
+ *   para testar o painel admin sem parear um celular
+ * - Ler mensagens do terminal no formato "numero: texto"
+ *
+ * Ativado com "whatsapp": { "transport": "mock" } na configuração.
+ */
+
+const { EventEmitter } = require('events');
+const readline = require('readline');
+const crypto = require('crypto');
+
+// Tempo entre o QR Code falso e a conexão simulada
+const PAIR_DELAY_MS = 3000;
+
+const DEFAULT_JID = '5500000000000@s.whatsapp.net';
+
+// WAMessageStubType.REVOKE do Baileys (mensagem apagada para todos)
+const REVOKE_STUB_TYPE = 1;
+
+/**
+ * Cria um socket simulado
+ * @param {Object} options - { pairDelayMs, interactive: ler mensagens do terminal }
+ * @returns {Object} Socket com ev, sendMessage, end, simulateMessage, simulateEdit, simulateRevoke, simulateVote e sent
+ */
+function createMockSocket(options = {}) {
+  const ev = new EventEmitter();
+  const sent = [];
+  let input = null;
+  let pairTimer = null;
+  let closed = false;
+
+  const sock = {
+    ev,
+    sent,
+    user: { id: 'gina-mock@s.whatsapp.net' },
+
+    async sendMessage(jid, content, options = {}) {
+      if (closed) {
+        throw new Error('Socket simulado encerrado');
+      }
+
+      sent.push({ jid, content });
+      const preview = content.text ??
+        (content.document ? `[documento ${content.fileName}]` : null) ??
+        (content.poll ? `[enquete ${content.poll.name} ${content.poll.values.join(' | ')}]` : '[mensagem]');
+      console.log(`🧪 → ${jid.split('@')[0]}: ${preview}`);
+      return { key: { remoteJid: jid, fromMe: true, id: options.messageId || randomId() } };
+    },
+
+    /**
+     * Simula uma mensagem recebida
+     * @param {string} jid - Remetente
+     * @param {string} text - Texto
+     * @returns {string} ID da mensagem (para simular edição ou exclusão)
+     */
+    simulateMessage(jid, text) {
+      const id = randomId();
+      ev.emit('messages.upsert', {
+        type: 'notify',
+        messages: [{
+          key: { remoteJid: jid, fromMe: false, id },
+          message: { conversation: text },
+          messageTimestamp: Math.floor(Date.now() / 1000)
+        }]
+      });
+      return id;
+    },
+
+    /**
+     * Simula a edição de uma mensagem recebida (formato do Baileys)
+     * @param {string} jid - Remetente
+     * @param {string} id - ID da mensagem original
+     * @param {string} text - Novo texto
+     */
+    simulateEdit(jid, id, text) {
+      ev.emit('messages.update', [{
+        key: { remoteJid: jid, fromMe: false, id },
+        update: {
+          message: { editedMessage: { message: { conversation: text } } },
+          messageTimestamp: Math.floor(Date.now() / 1000)
+        }
+      }]);
+    },
+
+    /**
+     * Simula uma mensagem apagada para todos (formato do Baileys)
+     * @param {string} jid - Remetente
+     * @param {string} id - ID da mensagem apagada
+     */
+    simulateRevoke(jid, id) {
+      const key = { remoteJid: jid, fromMe: false, id };
+      ev.emit('messages.update', [{
+        key,
+        update: { message: null, messageStubType: REVOKE_STUB_TYPE, key }
+      }]);
+    },
+
+    /**
+     * Simula um voto em uma enquete enviada pelo bot, no formato que o
+     * Baileys emite depois de decifrar (hash SHA-256 de cada opção)
+     * @param {string} jid - Votante
+     * @param {string} pollId - ID da mensagem da enquete
+     * @param {Array<string>} options - Opções marcadas (vazia = voto retirado)
+     */
+    simulateVote(jid, pollId, options) {
+      ev.emit('messages.update', [{
+        key: { remoteJid: jid, fromMe: true, id: pollId },
+        update: {
+          pollUpdates: [{
+            pollUpdateMessageKey: { remoteJid: jid, fromMe: false, id: randomId() },
+            vote: { selectedOptions: options.map(option => crypto.createHash('sha256').update(option).digest()) },
+            senderTimestampMs: Date.now()
+          }]
+        }
+      }]);
+    },
+
+    end(error) {
+      if (closed) return;
+      closed = true;
+      clearTimeout(pairTimer);
+      if (input) input.close();
+
+      ev.emit('connection.update', {
+        connection: 'close',
+        lastDisconnect: { error: error || new Error('Conexão simulada encerrada'), date: new Date() }
+      });
+    }
+  };
+
+  // Fluxo de conexão: QR Code falso e, depois, conectado
+  setImmediate(() => {
+    ev.emit('connection.update', { connection: 'connecting', qr: `gina-mock-${randomId()}` });
+
+    pairTimer = setTimeout(() => {
+      ev.emit('connection.update', { connection: 'open' });
+
+      if (options.interactive && process.stdin.isTTY) {
+        input = startTerminalInput(sock);
+      }
+    }, options.pairDelayMs ?? PAIR_DELAY_MS);
+  });
+
+  return sock;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function startTerminalInput(sock) {
+  console.log('🧪 WhatsApp simulado: digite "numero: mensagem" (ou só a mensagem)');
+
+  const input = readline.createInterface({ input: process.stdin });
+
+  input.on('line', line => {
+    const match = line.match(/^\s*(\d{8,15})\s*:\s*(.+)$/);
+    const jid = match ? `${match[1]}@s.whatsapp.net` : DEFAULT_JID;
+    const text = match ? match[2] : line.trim();
+
+    if (text) {
+      sock.simulateMessage(jid, text);
+    }
+  });
+
+  return input;
+}
+
+function randomId() {
+  return crypto.randomBytes(8).toString('hex').toUpperCase();
+}
+
+// Exportar funções do módulo
+module.exports = {
+  createMockSocket
+};
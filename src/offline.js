@@ -0,0 +1,285 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: CLASSIFICADOR OFFLINE
+ * Arquivo: offline.js
+ * Descrição: Classificação por regras quando a IA não responde
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Reconhecer registros em português do Brasil (incluindo gírias)
+ * - Extrair campos: fluxo, dor 0-10, sintomas, pílula, proteção
+ * - Interpretar datas relativas (ontem, há 3 dias, segunda passada...)
+ * - Montar a confirmação do que foi registrado, sem IA
+ */
+
+const { normalizeEntries, formatRecordDetails } = require('./entries');
+const { removeAccents, formatDate, formatDateBR } = require('./utils');
+
+// Padrões aplicados sobre o texto em minúsculas e sem acentos
+const PATTERNS = {
+  question: /^(quando|qual|quais|quanto|quantos|como|por que|porque|pq|o que|oque|e normal|eh normal|pode|posso|devo|sera|tem como|existe)\b/,
+  menstruation: /\b(menstrua\w*|mestrua\w*|desceu|descendo|desce|regra|chico|sangramento|sangrando|sangrei|fluxo|periodo menstrual)\b/,
+  menstruationEnd: /\b(parou de descer|acabou a (menstruacao|regra)|menstruacao (acabou|parou|terminou)|fim da menstruacao)\b/,
+  contraceptive: /\b(pilula|anticoncepcional|aco|injecao|adesivo|anel vaginal|cartela|diu|implante)\b/,
+  pillForgotten: /\b(esqueci|nao tomei|pulei|atrasei)\b/,
+  pillTaken: /\b(tomei|tomado|tomada|tomo)\b/,
+  sexual: /\b(transei|transamos|transar|sexo|relacao sexual|relacoes|tive relacao|fizemos amor)\b/,
+  withoutProtection: /\bsem (camisinha|preservativo|protecao|camisinh\w*)\b/,
+  condom: /\b(camisinha|preservativo|camisinh\w*)\b/
+};
+
+const FLOW_PATTERNS = [
+  { value: 'intenso', pattern: /\b(fluxo|sangramento|descendo|desceu)\s+(muito\s+)?(intenso|forte|grande|abundante)\b|\bmuito sangue\b|\bsangrando muito\b|\bdescendo muito\b/ },
+  { value: 'leve', pattern: /\b(fluxo|sangramento)\s+(leve|fraco|pouco|pequeno)\b|\bpouquinho\b|\bborra\b|\bescape\b/ },
+  { value: 'moderado', pattern: /\b(fluxo|sangramento)\s+(moderado|medio|normal)\b/ }
+];
+
+const SYMPTOM_PATTERNS = {
+  'colica': /\bcolica\w*\b/,
+  'dor de cabeca': /\bdor de cabeca\b|\benxaqueca\b/,
+  'dor abdominal': /\bdor (na|de) barriga\b|\bdor abdominal\b|\bbarriga doendo\b|\bdor no (pe da barriga|ventre)\b/,
+  'dor nas costas': /\bdor nas costas\b|\blombar\b/,
+  'dor nos seios': /\b(dor|sensibilidade) n(os|o)s? (seios?|peitos?)\b|\b(seios?|peitos?) doendo\b/,
+  'inchaco': /\binchad\w*\b|\binchaco\b|\bestufad\w*\b/,
+  'enjoo': /\benjo\w*\b|\bnausea\w*\b|\bansia de vomito\b/,
+  'tontura': /\btontura\b|\btonta\b/,
+  'cansaco': /\bcansad\w*\b|\bcansaco\b|\bfadiga\b|\bexausta\b/,
+  'irritabilidade': /\birritad\w*\b|\birritabilidade\b|\bestressad\w*\b/,
+  'tpm': /\btpm\b/,
+  'acne': /\bespinhas?\b|\bacne\b/,
+  'corrimento': /\bcorrimento\b/,
+  'coceira': /\bcoceira\b|\bcocando\b/,
+  'ardencia': /\bardencia\b|\bardendo\b|\bardor\b/,
+  'insonia': /\binsonia\b/
+};
+
+const WEEKDAYS = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+const NUMBER_WORDS = { um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, sete: 7 };
+
+/**
+ * Classifica uma mensagem apenas com regras locais
+ * @param {string} message - Mensagem da usuária
+ * @param {Date} now - Data de referência
+ * @returns {Array} Entradas validadas (lista vazia para perguntas)
+ */
+function classifyOffline(message, now = new Date()) {
+  const text = removeAccents(String(message).toLowerCase()).replace(/\s+/g, ' ').trim();
+
+  if (isQuestion(text)) {
+    return [];
+  }
+
+  // A escala de dor sai do texto da data para "7/10" não virar 07/10
+  const pain = extractPainScale(text);
+  const date = extractDate(pain ? text.replace(pain.match, ' ') : text, now);
+  const entries = [];
+
+  if (PATTERNS.menstruation.test(text) || PATTERNS.menstruationEnd.test(text)) {
+    const flow = FLOW_PATTERNS.find(rule => rule.pattern.test(text));
+    entries.push({
+      category: 'menstruacao',
+      content: PATTERNS.menstruationEnd.test(text) ? 'Fim da menstruação' : 'Menstruação',
+      date,
+      flow: flow ? flow.value : undefined
+    });
+  }
+
+  if (PATTERNS.contraceptive.test(text)) {
+    const forgotten = PATTERNS.pillForgotten.test(text);
+    const taken = !forgotten && PATTERNS.pillTaken.test(text);
+    entries.push({
+      category: 'anticoncepcional',
+      content: forgotten ? 'Esqueceu o anticoncepcional' : (taken ? 'Tomou o anticoncepcional' : 'Anticoncepcional'),
+      date,
+      taken: forgotten ? false : (taken ? true : undefined),
+      pillTime: extractTime(text)
+    });
+  }
+
+  const symptoms = Object.keys(SYMPTOM_PATTERNS).filter(name => SYMPTOM_PATTERNS[name].test(text));
+  if (symptoms.length > 0 || pain) {
+    entries.push({
+      category: 'sintomas',
+      content: symptoms.length > 0 ? capitalize(symptoms.join(', ')) : 'Dor',
+      date,
+      symptoms,
+      painScale: pain ? pain.value : undefined
+    });
+  }
+
+  if (PATTERNS.sexual.test(text)) {
+    let protection;
+    if (PATTERNS.withoutProtection.test(text)) {
+      protection = 'nenhuma';
+    } else if (PATTERNS.condom.test(text)) {
+      protection = 'camisinha';
+    }
+    entries.push({ category: 'sexual', content: 'Relação sexual', date, protection });
+  }
+
+  // Nada reconhecido: manter a mensagem como observação
+  if (entries.length === 0) {
+    entries.push({ category: 'observacao', content: message, date });
+  }
+
+  return normalizeEntries(entries, message);
+}
+
+/**
+ * Monta a resposta de confirmação usada quando a IA está indisponível
+ * @param {Array} entries - Entradas registradas
+ * @returns {string} Mensagem para a usuária
+ */
+function buildOfflineReply(entries) {
+  if (!entries || entries.length === 0) {
+    return '😔 Estou sem acesso à inteligência artificial agora e não consigo responder perguntas.\n\n' +
+           'Tente de novo em alguns minutos. Comandos como /ciclo, /hoje e /resumo continuam funcionando! 💗';
+  }
+
+  const emojis = {
+    menstruacao: '🩸',
+    anticoncepcional: '💊',
+    sintomas: '🤒',
+    sexual: '💑',
+    observacao: '📝'
+  };
+
+  let reply = '📝 *Anotei:*\n\n';
+
+  entries.forEach(entry => {
+    const details = formatRecordDetails(entry);
+    reply += `${emojis[entry.category] || '📝'} ${entry.content} (${describeDate(entry.date)})\n`;
+    if (details) {
+      reply += `   ${details}\n`;
+    }
+  });
+
+  reply += '\n_Estou sem acesso à IA no momento, mas seu registro foi salvo. ' +
+           'Se algo ficou errado, use /desfazer ou /editar._ 💗';
+
+  return reply;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function isQuestion(text) {
+  return text.endsWith('?') || PATTERNS.question.test(text);
+}
+
+/**
+ * Extrai escala de dor: "7/10", "dor 8", "colica nota 6"
+ * @param {string} text - Texto normalizado
+ * @returns {Object|null} { value, match }
+ */
+function extractPainScale(text) {
+  const patterns = [
+    // "N/10" só vale perto de dor/cólica/nota/escala; "dia 3/10" é data
+    /\b(?:dor|colica|nota|escala|nivel)\b(?:\s+\S+){0,3}?\s+(?<!\bdias?\s+)(10|\d)\s*\/\s*10\b(?!\/)/,
+    /(?<!\bdias?\s+)\b(10|\d)\s*\/\s*10\s+(?:de\s+)?(?:dor|colica)\b/,
+    // Hora ("dor 8h", "dor 8hrs") não é escala; "há 3 dias" continua valendo
+    /\b(?:dor|colica)\s+(?:nota|nivel|grau)?\s*(\d{1,2})\b(?!\s*(?:h(?:\d|\b)|hrs?\b|:|\/|dias?\b|horas?\b))/
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (match && parseInt(match[1]) <= 10) {
+      return { value: parseInt(match[1]), match: match[0] };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Extrai horário: "as 8h", "8:30", "20h15"
+ * @param {string} text - Texto normalizado
+ * @returns {string|undefined} Horário HH:MM
+ */
+function extractTime(text) {
+  const match = text.match(/\b(\d{1,2})(?::(\d{2})|h(\d{2})?)(?!\s*\/)/);
+  if (!match) return undefined;
+
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || match[3] || '0');
+  if (hour > 23 || minute > 59) return undefined;
+
+  return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Converte referências de data do texto em uma expressão aceita pelo parser
+ * @param {string} text - Texto normalizado
+ * @param {Date} now - Data de referência
+ * @returns {string} "today", "ontem", "anteontem" ou "DD/MM/AAAA"
+ */
+function extractDate(text, now) {
+  if (/\banteontem\b/.test(text)) return 'anteontem';
+  if (/\bontem\b/.test(text)) return 'ontem';
+  if (/\bhoje\b/.test(text)) return 'today';
+
+  const daysAgo = text.match(/\b(?:ha|faz)\s+(\d{1,2}|um|uma|dois|duas|tres|quatro|cinco|seis|sete)\s+dias?\b/);
+  if (daysAgo) {
+    const days = NUMBER_WORDS[daysAgo[1]] || parseInt(daysAgo[1]);
+    return formatDateBR(formatDate(shiftDays(now, -days)));
+  }
+
+  if (/\bsemana passada\b/.test(text)) {
+    return formatDateBR(formatDate(shiftDays(now, -7)));
+  }
+
+  const explicit = text.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/);
+  if (explicit) {
+    const day = parseInt(explicit[1]);
+    const month = parseInt(explicit[2]);
+    if (day >= 1 && day <= 31 && month >= 1 && month <= 12) {
+      if (explicit[3]) return explicit[0];
+      let year = now.getFullYear();
+      if (new Date(year, month - 1, day) > now) year--;
+      return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}/${year}`;
+    }
+  }
+
+  const dayOfMonth = text.match(/\bdia (\d{1,2})\b/);
+  if (dayOfMonth) {
+    const day = parseInt(dayOfMonth[1]);
+    if (day >= 1 && day <= 31) {
+      const date = new Date(now.getFullYear(), now.getMonth(), day);
+      if (date > now) date.setMonth(date.getMonth() - 1);
+      return formatDateBR(formatDate(date));
+    }
+  }
+
+  const weekday = text.match(/\b(domingo|segunda|terca|quarta|quinta|sexta|sabado)(?:-feira)?\b/);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[1]);
+    let diff = (now.getDay() - target + 7) % 7;
+    if (diff === 0) diff = 7;
+    return formatDateBR(formatDate(shiftDays(now, -diff)));
+  }
+
+  return 'today';
+}
+
+function shiftDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+function describeDate(expression) {
+  const labels = { today: 'hoje', hoje: 'hoje', ontem: 'ontem', yesterday: 'ontem', anteontem: 'anteontem' };
+  return labels[expression] || expression;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Exportar funções do módulo
+module.exports = {
+  classifyOffline,
+  buildOfflineReply
+};
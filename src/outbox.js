@@ -0,0 +1,335 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: FILA DE ENVIO
+ * Arquivo: outbox.js
+ * Descrição: Respostas gravadas em disco até serem entregues
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Gravar cada mensagem de saída (texto, documento ou enquete)
+ *   antes de tentar enviá-la: se a conexão cair no meio, a resposta
+ *   não se perde e é enviada quando a conexão voltar
+ * - Reenviar com espera crescente, na ordem de cada usuária
+ * - Evitar duplicatas: mensagens iguais ainda pendentes não entram
+ *   de novo, e cada mensagem mantém o mesmo ID em todas as tentativas
+ *   (o WhatsApp descarta uma segunda entrega com o mesmo ID)
+ * - Descartar mensagens vencidas (ttlHours)
+ *
+ * Cada mensagem é um arquivo em data/outbox/, com o conteúdo
+ * criptografado (respostas falam de saúde). Documentos são copiados
+ * para dentro da mensagem, já que os temporários são apagados.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { encryptData, decryptData } = require('./security');
+const { buildPollMessage, trackPoll } = require('./polls');
+const { writeFileAtomic } = require('./utils');
+
+const OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+
+let settings = {
+  ttlHours: 24,
+  retryBaseMs: 5000,
+  retryMaxMs: 300000,
+  checkIntervalMs: 15000
+};
+
+// Mensagens pendentes, na ordem de criação
+let entries = [];
+
+// Ordem de gravação: itens da mesma resposta (texto, PDF, enquete)
+// têm o mesmo createdAt, então a ordem depois de reiniciar vem daqui
+let nextSeq = 0;
+
+let sender = null;
+let timer = null;
+let running = null;
+let rerun = false;
+
+const counters = { delivered: 0, retries: 0, expired: 0, duplicates: 0, lastError: null };
+
+/**
+ * Carrega as mensagens pendentes do disco
+ * @param {Object} config - Configurações (config.outbox)
+ * @returns {number} Mensagens pendentes
+ */
+function initializeOutbox(config) {
+  settings = { ...settings, ...(config.outbox || {}) };
+
+  if (!fs.existsSync(OUTBOX_DIR)) {
+    fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+  }
+
+  entries = fs.readdirSync(OUTBOX_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, file), 'utf8'));
+      } catch (error) {
+        console.error(`❌ Mensagem pendente ilegível ${file}:`, error.message);
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.seq ?? -1) - (b.seq ?? -1) || a.createdAt.localeCompare(b.createdAt));
+
+  nextSeq = entries.reduce((max, entry) => Math.max(max, (entry.seq ?? -1) + 1), 0);
+
+  return entries.length;
+}
+
+/**
+ * Grava uma resposta do processador na fila
+ * @param {string} jid - Destinatário
+ * @param {string|Object} response - Texto ou { text, document: { path, fileName, mimetype }, polls }
+ * @returns {number} Mensagens gravadas (duplicatas pendentes não contam)
+ */
+function enqueueOutgoing(jid, response) {
+  const items = typeof response === 'string' ? [{ kind: 'text', text: response }] : toItems(response);
+  let added = 0;
+
+  items.forEach(item => {
+    const dedupeKey = hashItem(jid, item);
+    if (entries.some(entry => entry.dedupeKey === dedupeKey)) {
+      counters.duplicates++;
+      return;
+    }
+
+    const now = Date.now();
+    const entry = {
+      id: generateMessageId(),
+      seq: nextSeq++,
+      jid,
+      dedupeKey,
+      kind: item.kind,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + settings.ttlHours * 3600000).toISOString(),
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      payload: encryptData(JSON.stringify(item))
+    };
+
+    writeEntry(entry);
+    entries.push(entry);
+    added++;
+  });
+
+  return added;
+}
+
+/**
+ * Começa a entregar as mensagens (conexão aberta)
+ * @param {Function} sendFn - async (jid, content, { messageId }) que envia pelo WhatsApp
+ */
+function startOutbox(sendFn) {
+  sender = sendFn;
+  clearInterval(timer);
+  timer = setInterval(() => flushOutbox(), settings.checkIntervalMs);
+  flushOutbox();
+}
+
+/**
+ * Pausa as entregas (conexão caiu); as mensagens continuam gravadas
+ */
+function stopOutbox() {
+  sender = null;
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Tenta entregar agora as mensagens vencidas para envio
+ * Chamadas simultâneas esperam a mesma rodada (e uma rodada extra,
+ * para incluir o que entrou durante a anterior)
+ * @returns {Promise<void>}
+ */
+function flushOutbox() {
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    do {
+      rerun = false;
+      await deliverDue();
+    } while (rerun && sender);
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Descarta as mensagens pendentes de uma usuária (ex.: dados apagados)
+ * @param {string} jid - Destinatário
+ * @returns {number} Mensagens descartadas
+ */
+function dropOutgoing(jid) {
+  const dropped = entries.filter(entry => entry.jid === jid);
+  dropped.forEach(removeEntry);
+  return dropped.length;
+}
+
+/**
+ * Resumo da fila para o painel administrativo
+ * @returns {Object} { pending, oldestAt, delivered, retries, expired, duplicates, lastError }
+ */
+function getOutboxStats() {
+  return {
+    pending: entries.length,
+    oldestAt: entries.length > 0 ? entries[0].createdAt : null,
+    ...counters
+  };
+}
+
+/**
+ * Mensagens pendentes sem o conteúdo (painel administrativo)
+ * @returns {Array} [{ id, to, kind, createdAt, expiresAt, attempts, nextAttemptAt, lastError }]
+ */
+function listOutgoing() {
+  return entries.map(entry => ({
+    id: entry.id,
+    to: `${entry.jid.split('@')[0].slice(0, 4)}***`,
+    kind: entry.kind,
+    createdAt: entry.createdAt,
+    expiresAt: entry.expiresAt,
+    attempts: entry.attempts,
+    nextAttemptAt: new Date(entry.nextAttemptAt).toISOString(),
+    lastError: entry.lastError
+  }));
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+/**
+ * Uma rodada de entregas: descarta vencidas e envia, por usuária,
+ * em ordem; se uma falha, as seguintes da mesma usuária esperam
+ */
+async function deliverDue() {
+  const now = Date.now();
+
+  entries.filter(entry => Date.parse(entry.expiresAt) <= now).forEach(entry => {
+    counters.expired++;
+    console.log(`⌛ Mensagem para ${entry.jid.split('@')[0].slice(0, 4)}*** vencida sem entrega (${entry.attempts} tentativa(s))`);
+    removeEntry(entry);
+  });
+
+  const blocked = new Set();
+
+  for (const entry of [...entries]) {
+    if (!sender) return;
+    if (blocked.has(entry.jid) || !entries.includes(entry)) continue;
+
+    if (entry.nextAttemptAt > Date.now()) {
+      blocked.add(entry.jid);
+      continue;
+    }
+
+    try {
+      const item = JSON.parse(decryptData(entry.payload));
+      await sender(entry.jid, toContent(item), { messageId: entry.id });
+
+      if (item.kind === 'poll') {
+        trackPoll(entry.id, entry.jid, item.pollSet, Buffer.from(item.poll.messageSecret, 'base64'));
+      }
+
+      counters.delivered++;
+      removeEntry(entry);
+
+    } catch (error) {
+      entry.attempts++;
+      entry.nextAttemptAt = Date.now() + Math.min(settings.retryMaxMs, settings.retryBaseMs * 2 ** (entry.attempts - 1));
+      entry.lastError = String(error.message).substring(0, 200);
+      counters.retries++;
+      counters.lastError = entry.lastError;
+      writeEntry(entry);
+      blocked.add(entry.jid);
+    }
+  }
+}
+
+function toItems(response) {
+  const items = [];
+
+  if (response.text) {
+    items.push({ kind: 'text', text: response.text });
+  }
+
+  if (response.document) {
+    items.push({
+      kind: 'document',
+      data: fs.readFileSync(response.document.path).toString('base64'),
+      fileName: response.document.fileName,
+      mimetype: response.document.mimetype
+    });
+  }
+
+  (response.polls || []).forEach(setName => {
+    const { poll } = buildPollMessage(setName);
+    items.push({
+      kind: 'poll',
+      pollSet: setName,
+      poll: { ...poll, messageSecret: poll.messageSecret.toString('base64') }
+    });
+  });
+
+  return items;
+}
+
+function toContent(item) {
+  if (item.kind === 'document') {
+    return { document: Buffer.from(item.data, 'base64'), fileName: item.fileName, mimetype: item.mimetype };
+  }
+
+  if (item.kind === 'poll') {
+    return { poll: { ...item.poll, messageSecret: Buffer.from(item.poll.messageSecret, 'base64') } };
+  }
+
+  return { text: item.text };
+}
+
+function hashItem(jid, item) {
+  // Enquetes do mesmo tipo são iguais, mesmo com chaves diferentes
+  const comparable = item.kind === 'poll' ? { kind: 'poll', pollSet: item.pollSet } : item;
+  return crypto.createHash('sha256').update(jid + JSON.stringify(comparable)).digest('hex');
+}
+
+// Mesmo formato dos IDs gerados pelo Baileys
+function generateMessageId() {
+  return `3EB0${crypto.randomBytes(9).toString('hex').toUpperCase()}`;
+}
+
+function writeEntry(entry) {
+  writeFileAtomic(path.join(OUTBOX_DIR, `${entry.id}.json`), JSON.stringify(entry));
+}
+
+function removeEntry(entry) {
+  entries = entries.filter(other => other !== entry);
+
+  try {
+    fs.unlinkSync(path.join(OUTBOX_DIR, `${entry.id}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Erro ao apagar mensagem entregue:', error.message);
+    }
+  }
+}
+
+// Exportar funções do módulo
+module.exports = {
+  initializeOutbox,
+  enqueueOutgoing,
+  startOutbox,
+  stopOutbox,
+  flushOutbox,
+  dropOutgoing,
+  getOutboxStats,
+  listOutgoing
+};
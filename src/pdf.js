@@ -0,0 +1,247 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: GERADOR DE PDF
+ * Arquivo: pdf.js
+ * Descrição: PDF simples de texto, em JavaScript puro
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Montar documentos A4 com títulos, parágrafos e quebra de página
+ * - Quebrar linhas pela largura real da fonte Helvetica
+ * - Numerar as páginas no rodapé
+ *
+ * Não depende de bibliotecas nativas, então roda no Termux.
+ * Usa as fontes padrão do PDF (Helvetica) com WinAnsiEncoding:
+ * acentos do português funcionam, emojis são removidos.
+ */
+
+const PAGE_WIDTH = 595;   // A4 em pontos
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FOOTER_Y = 30;
+
+// Larguras da Helvetica (1/1000 do tamanho da fonte) para os caracteres 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const DEFAULT_WIDTH = 556;
+const BOLD_FACTOR = 1.06;
+
+// Caracteres fora do Latin-1 com equivalente no WinAnsiEncoding
+const WIN_ANSI_MAP = {
+  '•': '\x95', '–': '\x96', '—': '\x97', '…': '...',
+  '“': '"', '”': '"', '‘': "'", '’': "'", '─': '-', '→': '->', '·': '\xb7'
+};
+
+class PDFDocument {
+  /**
+   * @param {Object} options - { title }
+   */
+  constructor(options = {}) {
+    this.title = options.title || 'Documento';
+    this.pages = [];
+    this.y = 0;
+    this.addPage();
+  }
+
+  /**
+   * Título principal
+   * @param {string} text - Texto
+   */
+  heading(text) {
+    this.paragraph(text, { size: 16, bold: true });
+    this.spacer(4);
+  }
+
+  /**
+   * Título de seção
+   * @param {string} text - Texto
+   */
+  subheading(text) {
+    this.spacer(6);
+    this.paragraph(text, { size: 12, bold: true });
+  }
+
+  /**
+   * Parágrafo com quebra automática de linha
+   * @param {string} text - Texto (pode conter \n)
+   * @param {Object} options - { size, bold, indent }
+   */
+  paragraph(text, options = {}) {
+    const size = options.size || 10;
+    const bold = options.bold || false;
+    const indent = options.indent || 0;
+    const lineHeight = size * 1.35;
+    const maxWidth = PAGE_WIDTH - MARGIN * 2 - indent;
+
+    String(text).split('\n').forEach(rawLine => {
+      wrapLine(toWinAnsi(rawLine), size, bold, maxWidth).forEach(line => {
+        if (this.y - lineHeight < MARGIN) {
+          this.addPage();
+        }
+        this.y -= lineHeight;
+        this.currentPage().push(
+          `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN + indent} ${this.y.toFixed(2)} Td (${escapeText(line)}) Tj ET`
+        );
+      });
+    });
+  }
+
+  /**
+   * Espaço vertical
+   * @param {number} height - Altura em pontos
+   */
+  spacer(height = 8) {
+    this.y -= height;
+  }
+
+  /**
+   * Gera o arquivo PDF
+   * @returns {Buffer} Conteúdo do PDF
+   */
+  toBuffer() {
+    const objects = [];
+    const pageCount = this.pages.length;
+
+    // 1: catálogo, 2: páginas, 3 e 4: fontes, 5: informações
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+    objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+    objects[5] = `<< /Title (${escapeText(toWinAnsi(this.title))}) /Producer (Gina) ` +
+                 `/CreationDate (D:${formatPDFDate(new Date())}) >>`;
+
+    const pageRefs = [];
+    this.pages.forEach((operations, index) => {
+      const pageId = 6 + index * 2;
+      const contentId = pageId + 1;
+      const footer = `Página ${index + 1} de ${pageCount}`;
+      const stream = [
+        ...operations,
+        `BT /F1 8 Tf ${MARGIN} ${FOOTER_Y} Td (${escapeText(toWinAnsi(this.title))}) Tj ET`,
+        `BT /F1 8 Tf ${PAGE_WIDTH - MARGIN - textWidth(toWinAnsi(footer), 8, false)} ${FOOTER_Y} Td (${escapeText(toWinAnsi(footer))}) Tj ET`
+      ].join('\n');
+
+      objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`;
+      objects[contentId] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+      pageRefs.push(`${pageId} 0 R`);
+    });
+
+    objects[2] = `<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${pageCount} >>`;
+
+    // Corpo em Latin-1: cada caractere ocupa um byte, então o offset é o tamanho da string
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+      offsets[id] = output.length;
+      output += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+      output += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    output += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\n` +
+              `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+
+  // ═══════════════════════════════════════
+  // FUNÇÕES AUXILIARES
+  // ═══════════════════════════════════════
+
+  addPage() {
+    this.pages.push([]);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  currentPage() {
+    return this.pages[this.pages.length - 1];
+  }
+}
+
+/**
+ * Converte o texto para caracteres representáveis em WinAnsiEncoding
+ * @param {string} text - Texto original
+ * @returns {string} Texto em Latin-1 (emojis e símbolos viram espaço)
+ */
+function toWinAnsi(text) {
+  return Array.from(String(text))
+    .map(char => {
+      if (WIN_ANSI_MAP[char]) return WIN_ANSI_MAP[char];
+      const code = char.charCodeAt(0);
+      const isLatin1 = char.length === 1 && ((code >= 32 && code <= 126) || (code >= 160 && code <= 255));
+      return isLatin1 ? char : ' ';
+    })
+    .join('')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function escapeText(text) {
+  return text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+}
+
+function charWidth(char) {
+  const code = char.charCodeAt(0);
+  return code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : DEFAULT_WIDTH;
+}
+
+function textWidth(text, size, bold) {
+  let total = 0;
+  for (const char of text) {
+    total += charWidth(char);
+  }
+  return total * size / 1000 * (bold ? BOLD_FACTOR : 1);
+}
+
+/**
+ * Quebra uma linha em palavras para caber na largura
+ * Palavras maiores que a linha são cortadas
+ */
+function wrapLine(line, size, bold, maxWidth) {
+  if (line.trim() === '') return [''];
+
+  const lines = [];
+  let current = '';
+
+  line.split(' ').forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (textWidth(candidate, size, bold) <= maxWidth) {
+      current = candidate;
+      return;
+    }
+
+    if (current) lines.push(current);
+    current = word;
+
+    while (textWidth(current, size, bold) > maxWidth) {
+      let cut = current.length - 1;
+      while (cut > 1 && textWidth(current.slice(0, cut), size, bold) > maxWidth) cut--;
+      lines.push(current.slice(0, cut));
+      current = current.slice(cut);
+    }
+  });
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+function formatPDFDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+         `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  PDFDocument
+};
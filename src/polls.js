@@ -0,0 +1,256 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: REGISTRO RÁPIDO POR ENQUETES
+ * Arquivo: polls.js
+ * Descrição: Enquetes do WhatsApp para registrar sem digitar
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Definir as opções de cada enquete (fluxo, sintomas, humor)
+ *   e como cada voto vira registro estruturado
+ * - Montar a mensagem de enquete com a chave de criptografia
+ *   (messageSecret) gerada aqui, para decifrar os votos depois
+ * - Guardar as enquetes enviadas e reconhecer votos repetidos
+ *
+ * Votos não passam pela IA: as opções já são o dado estruturado.
+ * Usamos enquetes e não mensagens de lista: listas enviadas por
+ * contas comuns não são exibidas de forma confiável pelo WhatsApp.
+ * As enquetes aceitam votos por POLL_TTL_HOURS. A chave de cada
+ * enquete fica gravada em data/polls/ (criptografada, junto com a
+ * destinatária) para os votos continuarem valendo depois de reiniciar.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+const { validateEntry } = require('./entries');
+const { encryptData, decryptData } = require('./security');
+const { writeFileAtomic } = require('./utils');
+
+const POLLS_DIR = path.join(__dirname, '../data/polls');
+
+// Tempo em que uma enquete enviada ainda aceita votos
+const POLL_TTL_HOURS = 24;
+
+// Enquetes enviadas: ID da mensagem -> { userId, set, secret, options }
+const sentPolls = new NodeCache({ stdTTL: POLL_TTL_HOURS * 3600, checkperiod: 3600, useClones: false });
+sentPolls.on('expired', pollMsgId => removePollFile(pollMsgId));
+
+// Votos já processados (o mesmo voto pode chegar decifrado e cifrado)
+const seenVotes = new NodeCache({ stdTTL: 600, checkperiod: 600 });
+
+const FLOW_OPTIONS = { Leve: 'leve', 'Médio': 'moderado', Intenso: 'intenso' };
+
+const MOOD_OPTIONS = {
+  '😊 Bem': 'bem',
+  '😐 Normal': 'normal',
+  '😢 Triste': 'triste',
+  '😰 Ansiosa': 'ansiosa',
+  '😠 Irritada': 'irritada',
+  '😴 Cansada': 'cansada'
+};
+
+// Enquetes por categoria: opções e conversão do voto em entradas
+// (selectableCount 0 = várias opções podem ser marcadas)
+const POLL_SETS = {
+  fluxo: {
+    name: '🩸 Como está o fluxo menstrual hoje?',
+    options: ['Nenhum', ...Object.keys(FLOW_OPTIONS)],
+    selectableCount: 1,
+    toEntries: ([choice]) => (choice === 'Nenhum'
+      ? [{ category: 'observacao', content: 'Sem sangramento hoje' }]
+      : [{ category: 'menstruacao', content: 'Menstruação', flow: FLOW_OPTIONS[choice] }])
+  },
+  sintomas: {
+    name: '🤒 Quais sintomas você sente hoje? (marque todos)',
+    options: ['Cólica', 'Dor de cabeça', 'Inchaço', 'Seios doloridos', 'Náusea', 'Acne', 'Cansaço', 'Nenhum'],
+    selectableCount: 0,
+    toEntries: selected => {
+      const symptoms = selected.filter(option => option !== 'Nenhum');
+      return symptoms.length === 0
+        ? [{ category: 'observacao', content: 'Sem sintomas hoje' }]
+        : [{ category: 'sintomas', content: 'Sintomas do dia', symptoms }];
+    }
+  },
+  humor: {
+    name: '💭 Como está seu humor hoje?',
+    options: Object.keys(MOOD_OPTIONS),
+    selectableCount: 1,
+    toEntries: ([choice]) => [{
+      category: 'observacao',
+      content: 'Humor do dia',
+      mood: MOOD_OPTIONS[choice]
+    }]
+  }
+};
+
+/**
+ * Monta o conteúdo de uma enquete para o sock.sendMessage
+ * @param {string} setName - Nome da enquete (chave de POLL_SETS)
+ * @returns {Object} { poll: { name, values, selectableCount, messageSecret } }
+ */
+function buildPollMessage(setName) {
+  const set = POLL_SETS[setName];
+
+  return {
+    poll: {
+      name: set.name,
+      values: set.options,
+      selectableCount: set.selectableCount,
+      messageSecret: crypto.randomBytes(32)
+    }
+  };
+}
+
+/**
+ * Carrega as enquetes enviadas antes de reiniciar e apaga as vencidas
+ * @returns {number} Enquetes que ainda aceitam votos
+ */
+function initializePolls() {
+  if (!fs.existsSync(POLLS_DIR)) {
+    fs.mkdirSync(POLLS_DIR, { recursive: true });
+  }
+
+  sentPolls.flushAll();
+  const now = Date.now();
+
+  fs.readdirSync(POLLS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const pollMsgId = path.basename(file, '.json');
+
+      try {
+        const stored = JSON.parse(fs.readFileSync(path.join(POLLS_DIR, file), 'utf8'));
+        const remainingSeconds = Math.floor((Date.parse(stored.expiresAt) - now) / 1000);
+        if (remainingSeconds <= 0 || !POLL_SETS[stored.set]) {
+          removePollFile(pollMsgId);
+          return;
+        }
+
+        const { userId, secret } = JSON.parse(decryptData(stored.payload));
+        sentPolls.set(pollMsgId, {
+          userId,
+          set: stored.set,
+          secret: Buffer.from(secret, 'base64'),
+          options: POLL_SETS[stored.set].options
+        }, remainingSeconds);
+      } catch (error) {
+        console.error(`❌ Enquete ilegível ${file}:`, error.message);
+      }
+    });
+
+  return sentPolls.keys().length;
+}
+
+/**
+ * Guarda uma enquete enviada para reconhecer os votos
+ * @param {string} pollMsgId - ID da mensagem da enquete
+ * @param {string} userId - Destinatária
+ * @param {string} setName - Nome da enquete
+ * @param {Buffer} secret - messageSecret usado no envio
+ */
+function trackPoll(pollMsgId, userId, setName, secret) {
+  sentPolls.set(pollMsgId, { userId, set: setName, secret, options: POLL_SETS[setName].options });
+
+  try {
+    const stored = {
+      set: setName,
+      expiresAt: new Date(Date.now() + POLL_TTL_HOURS * 3600000).toISOString(),
+      payload: encryptData(JSON.stringify({ userId, secret: secret.toString('base64') }))
+    };
+    writeFileAtomic(path.join(POLLS_DIR, `${pollMsgId}.json`), JSON.stringify(stored));
+  } catch (error) {
+    // A enquete continua valendo até o bot reiniciar
+    console.error('❌ Erro ao gravar enquete:', error.message);
+  }
+}
+
+/**
+ * Busca uma enquete enviada
+ * @param {string} pollMsgId - ID da mensagem da enquete
+ * @returns {Object|null} { userId, set, secret, options } ou null se expirou
+ */
+function getPoll(pollMsgId) {
+  return sentPolls.get(pollMsgId) || null;
+}
+
+/**
+ * Esquece as enquetes enviadas a uma usuária (ex.: dados apagados)
+ * @param {string} jid - Destinatária
+ * @returns {number} Enquetes apagadas
+ */
+function forgetPolls(jid) {
+  const pollMsgIds = sentPolls.keys().filter(pollMsgId => sentPolls.get(pollMsgId)?.userId === jid);
+
+  pollMsgIds.forEach(pollMsgId => {
+    sentPolls.del(pollMsgId);
+    removePollFile(pollMsgId);
+  });
+
+  return pollMsgIds.length;
+}
+
+/**
+ * Marca um voto como processado
+ * @param {string} voteId - ID da mensagem do voto
+ * @returns {boolean} true se o voto ainda não tinha sido visto
+ */
+function isNewVote(voteId) {
+  if (!voteId) return true;
+  if (seenVotes.has(voteId)) return false;
+
+  seenVotes.set(voteId, true);
+  return true;
+}
+
+/**
+ * Converte as opções marcadas em entradas validadas
+ * O voto do WhatsApp traz o SHA-256 de cada opção, não o texto
+ * @param {Object} poll - Enquete guardada
+ * @param {Array<Buffer>} selectedOptions - Hashes das opções marcadas
+ * @returns {Object} { selected: opções marcadas, entries } (entries vazia = voto retirado)
+ */
+function voteToEntries(poll, selectedOptions) {
+  const hashes = new Set((selectedOptions || []).map(hash => Buffer.from(hash).toString('hex')));
+  const selected = poll.options.filter(option => hashes.has(hashOption(option)));
+
+  if (selected.length === 0) {
+    return { selected, entries: [] };
+  }
+
+  const entries = POLL_SETS[poll.set].toEntries(selected)
+    .map(entry => validateEntry({ ...entry, date: 'today' }, entry.content));
+
+  return { selected, entries };
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function hashOption(option) {
+  return crypto.createHash('sha256').update(Buffer.from(option)).digest('hex');
+}
+
+function removePollFile(pollMsgId) {
+  try {
+    fs.unlinkSync(path.join(POLLS_DIR, `${pollMsgId}.json`));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error('❌ Erro ao apagar enquete:', error.message);
+    }
+  }
+}
+
+// Exportar funções do módulo
+module.exports = {
+  POLL_SETS,
+  initializePolls,
+  buildPollMessage,
+  trackPoll,
+  getPoll,
+  forgetPolls,
+  isNewVote,
+  voteToEntries
+};
@@ -9,22 +9,98 @@
  * - Receber mensagens brutas do WhatsApp
  * - Identificar se é comando ou conversa natural
  * - Rotear para handlers apropriados
- * - Integrar WhatsApp ↔ Gemini ↔ Database
+ * - Integrar WhatsApp ↔ IA ↔ Database
  * - Retornar respostas formatadas
  */
 
-const { sendToGemini, classifyMessage, generateInsights } = require('./gemini');
+const { sendToLLM, classifyMessage, generateInsights, generateAppointmentSummary } = require('./llm');
 const { 
-  addRecord, 
+  addRecords,
+  updateRecord,
+  deleteRecord,
+  findRecordsByShortId,
+  findRecordsByMessageId,
+  replaceSourceRecords,
+  getShortRecordId,
   getRecordsByDate, 
   getRecentRecords, 
   getAllRecords,
-  deleteUserData,
-  exportUserData,
+  getUserSecurity,
+  updateUserSecurity,
+  moveUserDataToTrash,
+  getTrashEntries,
+  restoreUserDataFromTrash,
   getTodayDate,
   formatDateBR
 } = require('./database');
-const { parseDateFromMessage } = require('./utils');
+const { parseDateFromMessage, removeAccents } = require('./utils');
+const {
+  hashPIN,
+  verifyPIN,
+  isValidPIN,
+  sessionManager,
+  getPINLockoutRemaining,
+  registerFailedPINAttempt,
+  getRemainingPINAttempts,
+  resetPINAttempts,
+  sanitizeInput
+} = require('./security');
+const { consumeToken, checkMessageLength, getMaxMessageLength } = require('./ratelimit');
+const { getCycleOverview, summarizeCycleForPrompt } = require('./cycle');
+const { CATEGORIES, formatRecordDetails } = require('./entries');
+const { classifyOffline, buildOfflineReply } = require('./offline');
+const { detectRedFlag, logTrigger, forgetTriageUser } = require('./triage');
+const { mergeFragments } = require('./debounce');
+const { POLL_SETS, getPoll, voteToEntries } = require('./polls');
+const { getConversation, appendTurn, clearConversation } = require('./conversation');
+const { EXPORT_FORMATS, createExportFile, createTempFile } = require('./export');
+const { buildAppointmentSummary, describeSummary, buildAppointmentPDF } = require('./appointment');
+const { parseImportFile, findNewEntries } = require('./importer');
+const {
+  createReminder,
+  listReminders,
+  cancelReminder,
+  setQuietHours,
+  getQuietHours,
+  deleteUserReminders,
+  parseTime,
+  parseWeekday,
+  describeRecurrence
+} = require('./scheduler');
+
+// Comandos que chamam a IA e consomem a cota de mensagens
+const AI_COMMANDS = ['/insights', '/consulta'];
+
+// Comandos que exibem ou apagam dados e exigem PIN desbloqueado
+const PROTECTED_COMMANDS = [
+  '/hoje',
+  '/ontem',
+  '/relatorio',
+  '/resumo',
+  '/insights',
+  '/ciclo',
+  '/consulta',
+  '/lembrete',
+  '/exportar',
+  '/importar',
+  '/limpar',
+  '/recuperar',
+  '/desfazer',
+  '/apagar',
+  '/editar'
+];
+
+// Tempo para responder CONFIRMAR após /limpar
+const CONFIRMATION_TIMEOUT_MS = 120000;
+
+// Confirmações pendentes: userId -> { action, command, expiresAt, ... }
+const pendingConfirmations = new Map();
+
+// Tempo para enviar o arquivo após /importar
+const IMPORT_WAIT_MS = 600000;
+
+// Usuárias aguardando o envio de um arquivo: userId -> expiresAt
+const pendingImports = new Map();
 
 /**
  * Função principal de processamento de mensagens
@@ -32,20 +108,53 @@ const { parseDateFromMessage } = require('./utils');
  * @param {string} from - Número WhatsApp do remetente
  * @param {string} message - Conteúdo da mensagem
  * @param {Object} config - Configurações da aplicação
- * @returns {Promise<string>} Resposta a ser enviada
+ * @param {Array} sources - Mensagens do WhatsApp que formaram o texto [{ key, text }]
+ * @returns {Promise<string|Object>} Resposta a ser enviada (texto ou { text, document })
  */
-async function processMessage(from, message, config) {
+async function processMessage(from, message, config, sources = []) {
   try {
     const userId = from;
-    const trimmedMessage = message.trim();
+
+    const tooLong = checkMessageLength(message.trim());
+    if (tooLong) {
+      return tooLong;
+    }
+
+    const trimmedMessage = sanitizeInput(message, getMaxMessageLength());
+
+    // Resposta a uma confirmação pendente (/limpar, /importar)
+    const pending = pendingConfirmations.get(userId);
+    if (pending) {
+      pendingConfirmations.delete(userId);
+
+      if (trimmedMessage.toUpperCase() === 'CONFIRMAR') {
+        if (pending.expiresAt < Date.now()) {
+          return `⌛ O prazo para confirmar expirou. Envie ${pending.command} novamente se ainda quiser continuar.`;
+        }
+        return pending.action === 'importar'
+          ? confirmImport(userId, pending, config)
+          : await confirmClear(userId, config);
+      }
+    }
 
     // Verificar se é um comando (começa com /)
     if (trimmedMessage.startsWith('/')) {
       return await processCommand(userId, trimmedMessage, config);
     }
 
-    // Caso contrário, é uma conversa natural
-    return await processNaturalMessage(userId, trimmedMessage, config);
+    // Sinais de alerta têm resposta fixa, sem passar pela IA
+    const redFlag = detectRedFlag(trimmedMessage);
+    if (redFlag) {
+      return handleRedFlag(userId, trimmedMessage, redFlag, config, describeSources(sources));
+    }
+
+    // Caso contrário, é uma conversa natural (classificação e resposta usam a IA)
+    const quota = consumeToken(userId);
+    if (!quota.allowed) {
+      return quota.reply;
+    }
+
+    return await processNaturalMessage(userId, trimmedMessage, config, describeSources(sources));
 
   } catch (error) {
     console.error('❌ Erro no processamento:', error.message);
@@ -67,6 +176,17 @@ async function processCommand(userId, message, config) {
 
   const encrypted = config.security?.enableEncryption || false;
 
+  if (PROTECTED_COMMANDS.includes(command) && !isUnlocked(userId, config)) {
+    return '🔒 *Acesso protegido por PIN*\n\nPara desbloquear, envie: /pin <seu PIN>';
+  }
+
+  if (AI_COMMANDS.includes(command)) {
+    const quota = consumeToken(userId);
+    if (!quota.allowed) {
+      return quota.reply;
+    }
+  }
+
   switch (command) {
     case '/hoje':
       return await handleTodayCommand(userId, encrypted);
@@ -83,14 +203,47 @@ async function processCommand(userId, message, config) {
     case '/insights':
       return await handleInsightsCommand(userId, encrypted);
 
+    case '/ciclo':
+      return await handleCycleCommand(userId, args, encrypted);
+
+    case '/consulta':
+      return await handleAppointmentCommand(userId, args, config);
+
     case '/ajuda':
       return handleHelpCommand();
 
+    case '/desfazer':
+      return handleUndoCommand(userId, encrypted);
+
+    case '/apagar':
+      return handleDeleteRecordCommand(userId, args, encrypted);
+
+    case '/editar':
+      return handleEditRecordCommand(userId, args, encrypted);
+
+    case '/registrar':
+      return handleQuickLogCommand(args);
+
+    case '/lembrete':
+      return await handleReminderCommand(userId, args);
+
+    case '/pin':
+      return await handlePinCommand(userId, args, config);
+
     case '/exportar':
-      return await handleExportCommand(userId, encrypted);
+      return handleExportCommand(userId, args, encrypted);
+
+    case '/importar':
+      return handleImportCommand(userId);
+
+    case '/esquecer':
+      return handleForgetCommand(userId);
 
     case '/limpar':
-      return await handleClearCommand(userId);
+      return handleClearCommand(userId);
+
+    case '/recuperar':
+      return handleRestoreCommand(userId, encrypted);
 
     default:
       return '❓ Comando não reconhecido. Digite /ajuda para ver comandos disponíveis.';
@@ -99,53 +252,68 @@ async function processCommand(userId, message, config) {
 
 /**
  * Processa mensagens em linguagem natural
- * Usa Gemini para entender e responder, salvando dados quando necessário
+ * Usa a IA para entender e responder, salvando dados quando necessário
  * @param {string} userId - ID do usuário
  * @param {string} message - Mensagem do usuário
  * @param {Object} config - Configurações
+ * @param {Object} origin - Origem no WhatsApp ({ messageKeys, fragments }), guardada no registro
  * @returns {Promise<string>} Resposta da IA
  */
-async function processNaturalMessage(userId, message, config) {
+async function processNaturalMessage(userId, message, config, origin = {}) {
   try {
     const encrypted = config.security?.enableEncryption || false;
 
-    // 1. Classificar a mensagem usando Gemini
-    const classification = await classifyMessage(message);
-
-    // 2. Verificar se é um registro de informação
-    const isRecord = classification.category !== 'pergunta' && 
-                    classification.content.length > 0;
-
-    if (isRecord) {
-      // 3. Salvar registro no banco de dados
-      const recordDate = parseDateFromMessage(classification.date);
-      
-      const recordSaved = addRecord(userId, {
-        date: recordDate,
-        category: classification.category,
-        content: classification.content,
-        originalMessage: message
-      }, encrypted);
-
-      if (!recordSaved) {
-        return '😔 Desculpe, não consegui salvar seu registro. Tente novamente.';
-      }
+    // 1. Extrair as entradas da mensagem usando a IA
+    // (ou o classificador offline, se a IA estiver indisponível)
+    const { entries, offline } = await classifyMessage(message);
+
+    // 2. Salvar cada entrada como um registro separado, todas em uma
+    // única gravação (ou todas ou nenhuma)
+    // (lista vazia = pergunta ou conversa, nada a salvar)
+    const records = entries.map(entry => ({
+      date: parseDateFromMessage(entry.date),
+      category: entry.category,
+      content: entry.content,
+      details: entry.details,
+      originalMessage: message,
+      ...origin
+    }));
+
+    if (records.length > 0 && !addRecords(userId, records, encrypted)) {
+      return '😔 Desculpe, não consegui salvar seu registro. Tente novamente.';
+    }
+
+    // Sem IA, a resposta é a confirmação do que foi registrado
+    if (offline) {
+      return buildOfflineReply(entries);
     }
 
-    // 4. Obter contexto recente da usuária (últimos 5 registros)
-    const recentRecords = getRecentRecords(userId, 7, encrypted).slice(0, 5);
+    // 3. Obter contexto recente da usuária (últimos 5 registros e conversa)
+    // Com PIN bloqueado, a resposta não pode revelar o histórico
+    const unlocked = isUnlocked(userId, config);
+    const recentRecords = unlocked ? getRecentRecords(userId, 7, encrypted).slice(0, 5) : [];
+    const conversation = unlocked ? getConversation(userId) : { summary: '', turns: [] };
 
-    // 5. Enviar para Gemini para gerar resposta empática
+    // 4. Enviar para a IA gerar resposta empática
     const context = {
       recentHistory: recentRecords.map(r => ({
         date: r.date,
         category: r.category,
         content: r.content
       })),
+      cycleSummary: unlocked ? summarizeCycleForPrompt(getCycleOverview(userId, encrypted)) : null,
+      conversationSummary: conversation.summary,
+      history: conversation.turns.map(turn => ({ role: turn.role, text: turn.text })),
       isCommand: false
     };
 
-    const aiResponse = await sendToGemini(message, context);
+    // Se a IA falhar agora, responder com a confirmação do registro
+    const aiResponse = await sendToLLM(message, context, { fallback: buildOfflineReply(entries) });
+
+    // 5. Guardar a troca para a próxima mensagem lembrar do contexto
+    if (unlocked) {
+      appendTurn(userId, message, aiResponse);
+    }
 
     return aiResponse;
 
@@ -155,6 +323,194 @@ async function processNaturalMessage(userId, message, config) {
   }
 }
 
+/**
+ * Processa um documento recebido (arquivo para /importar)
+ * O arquivo só é lido se a usuária pediu /importar antes
+ * ou se enviou o documento com a legenda /importar
+ * @param {string} from - Número WhatsApp do remetente
+ * @param {Object} file - { buffer, fileName, caption }
+ * @param {Object} config - Configurações da aplicação
+ * @returns {Promise<string>} Prévia da importação ou orientação
+ */
+async function processDocument(from, file, config) {
+  const userId = from;
+  const encrypted = config.security?.enableEncryption || false;
+  const waitingUntil = pendingImports.get(userId);
+  const captionAsks = (file.caption || '').trim().toLowerCase().startsWith('/importar');
+
+  if (!captionAsks && !(waitingUntil && waitingUntil > Date.now())) {
+    return '📎 Recebi um arquivo. Para importar registros, envie /importar e depois o arquivo.';
+  }
+
+  if (!isUnlocked(userId, config)) {
+    return '🔒 *Acesso protegido por PIN*\n\nPara desbloquear, envie: /pin <seu PIN>';
+  }
+
+  pendingImports.delete(userId);
+
+  let parsed;
+  try {
+    parsed = parseImportFile(file.buffer, file.fileName);
+  } catch (error) {
+    return `😔 Não consegui ler o arquivo: ${error.message}.\n\nEnvie /importar para ver os formatos aceitos.`;
+  }
+
+  const { newEntries, duplicates } = findNewEntries(getAllRecords(userId, encrypted), parsed.entries);
+
+  if (newEntries.length === 0) {
+    return `📥 *Importação*\n\nNenhum registro novo encontrado ` +
+           `(${duplicates} já existiam, ${parsed.invalid} ignorado(s)).`;
+  }
+
+  pendingConfirmations.set(userId, {
+    action: 'importar',
+    command: '/importar',
+    expiresAt: Date.now() + CONFIRMATION_TIMEOUT_MS,
+    source: parsed.source,
+    entries: newEntries
+  });
+
+  return buildImportPreview(parsed, newEntries, duplicates);
+}
+
+/**
+ * Sincroniza os registros com uma mensagem editada no WhatsApp
+ * A extração é refeita com o novo texto e os registros daquela
+ * mensagem são atualizados
+ * @param {string} from - Número WhatsApp do remetente
+ * @param {string} messageId - ID da mensagem editada
+ * @param {string} newText - Novo texto da mensagem
+ * @param {Object} config - Configurações da aplicação
+ * @returns {Promise<string|null>} Confirmação ou null se nada mudou
+ */
+async function processMessageEdit(from, messageId, newText, config) {
+  try {
+    const text = sanitizeInput(newText, getMaxMessageLength());
+    return await resyncSourceRecords(from, messageId, text, config);
+  } catch (error) {
+    console.error('❌ Erro ao sincronizar mensagem editada:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Sincroniza os registros com uma mensagem apagada para todos
+ * Se a mensagem foi juntada com outras, a extração é refeita
+ * só com as restantes
+ * @param {string} from - Número WhatsApp do remetente
+ * @param {string} messageId - ID da mensagem apagada
+ * @param {Object} config - Configurações da aplicação
+ * @returns {Promise<string|null>} Confirmação ou null se não havia registro
+ */
+async function processMessageRevoke(from, messageId, config) {
+  try {
+    return await resyncSourceRecords(from, messageId, null, config);
+  } catch (error) {
+    console.error('❌ Erro ao sincronizar mensagem apagada:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Registra o voto em uma enquete do /registrar
+ * O voto já é o dado estruturado: não passa pela IA. Se a usuária
+ * muda o voto, o registro da enquete é atualizado; se retira, é apagado
+ * @param {string} from - Número WhatsApp do remetente
+ * @param {string} pollMsgId - ID da mensagem da enquete
+ * @param {Array<Buffer>} selectedOptions - Hashes das opções marcadas
+ * @param {Object} config - Configurações da aplicação
+ * @returns {Promise<string|null>} Confirmação ou null se a enquete não é conhecida
+ */
+async function processPollVote(from, pollMsgId, selectedOptions, config) {
+  try {
+    const userId = from;
+    const encrypted = config.security?.enableEncryption || false;
+
+    // Enquete vencida (ou de antes de os votos serem gravados em disco)
+    const poll = getPoll(pollMsgId);
+    if (!poll) {
+      return '⌛ Essa enquete expirou e não consigo mais ler o voto. ' +
+             'Envie /registrar para receber uma nova. 💗';
+    }
+
+    if (poll.userId !== userId) {
+      return null;
+    }
+
+    const { selected, entries } = voteToEntries(poll, selectedOptions);
+    const current = findRecordsByMessageId(userId, pollMsgId, encrypted);
+    if (current.length === 0 && entries.length === 0) {
+      return null;
+    }
+
+    const replacements = entries.map(entry => ({
+      date: parseDateFromMessage(entry.date),
+      category: entry.category,
+      content: entry.content,
+      details: entry.details,
+      originalMessage: `${POLL_SETS[poll.set].name} ${selected.join(', ')}`,
+      messageKeys: [{ remoteJid: userId, id: pollMsgId }]
+    }));
+
+    const result = replaceSourceRecords(userId, current.map(record => record.id), replacements, encrypted);
+    if (!result) {
+      return '😔 Não consegui salvar seu voto. Tente novamente.';
+    }
+
+    if (entries.length === 0) {
+      return `🗑️ Voto retirado, apaguei o registro:\n\n${result.removed.map(describeRecordLine).join('\n')}`;
+    }
+
+    const saved = [...result.updated, ...result.added].map(describeRecordLine).join('\n');
+    return current.length > 0 ? `✏️ Voto alterado, atualizei:\n\n${saved}` : `📝 Anotei:\n\n${saved}`;
+
+  } catch (error) {
+    console.error('❌ Erro ao registrar voto:', error.message);
+    return '😔 Não consegui salvar seu voto. Tente novamente.';
+  }
+}
+
+/**
+ * Responde a uma situação urgente detectada pela triagem
+ * O registro é salvo marcado como urgente e a orientação é fixa
+ * @param {string} userId - ID do usuário
+ * @param {string} message - Mensagem original
+ * @param {Object} redFlag - Regra acionada ({ id, message })
+ * @param {Object} config - Configurações
+ * @param {Object} origin - Origem no WhatsApp ({ messageKeys, fragments })
+ * @returns {string} Orientação revisada
+ */
+function handleRedFlag(userId, message, redFlag, config, origin = {}) {
+  const encrypted = config.security?.enableEncryption || false;
+
+  logTrigger(userId, redFlag.id);
+
+  // Classificação por regras: o registro não depende da IA
+  const entries = classifyOffline(message);
+  if (entries.length === 0) {
+    entries.push({ category: 'observacao', content: message, date: 'today', details: {} });
+  }
+
+  // Todas as entradas em uma única gravação (ou todas ou nenhuma)
+  const records = entries.map(entry => ({
+    date: parseDateFromMessage(entry.date),
+    category: entry.category,
+    content: entry.content,
+    details: entry.details,
+    urgent: true,
+    triageRule: redFlag.id,
+    originalMessage: message,
+    ...origin
+  }));
+
+  if (!addRecords(userId, records, encrypted)) {
+    console.error('❌ Registro urgente não foi salvo');
+  }
+
+  // A orientação é enviada mesmo se o registro falhar
+  return redFlag.message;
+}
+
 // ═══════════════════════════════════════
 // HANDLERS DE COMANDOS
 // ═══════════════════════════════════════
@@ -177,7 +533,9 @@ async function handleTodayCommand(userId, encrypted) {
     const emoji = getCategoryEmoji(record.category);
     response += `${emoji} *${record.category.toUpperCase()}*\n`;
     response += `${record.content}\n`;
-    response += `⏰ ${new Date(record.timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}\n\n`;
+    response += formatDetailsLine(record);
+    response += `⏰ ${new Date(record.timestamp).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}`;
+    response += ` · 🆔 ${getShortRecordId(record)}\n\n`;
   });
 
   return response;
@@ -203,7 +561,9 @@ async function handleYesterdayCommand(userId, encrypted) {
   records.forEach((record) => {
     const emoji = getCategoryEmoji(record.category);
     response += `${emoji} *${record.category.toUpperCase()}*\n`;
-    response += `${record.content}\n\n`;
+    response += `${record.content}\n`;
+    response += formatDetailsLine(record);
+    response += `🆔 ${getShortRecordId(record)}\n\n`;
   });
 
   return response;
@@ -236,7 +596,9 @@ async function handleReportCommand(userId, args, encrypted) {
   records.forEach((record) => {
     const emoji = getCategoryEmoji(record.category);
     response += `${emoji} *${record.category.toUpperCase()}*\n`;
-    response += `${record.content}\n\n`;
+    response += `${record.content}\n`;
+    response += formatDetailsLine(record);
+    response += `🆔 ${getShortRecordId(record)}\n\n`;
   });
 
   return response;
@@ -289,6 +651,371 @@ async function handleInsightsCommand(userId, encrypted) {
   return `📊 *Insights sobre sua Saúde*\n\n${insights}\n\n⚕️ *Lembre-se:* Estes são apenas padrões observados. Para avaliação profissional, consulte um ginecologista.`;
 }
 
+/**
+ * Handler: /ciclo [N]
+ * Mostra o dia atual do ciclo, os últimos N ciclos e a previsão
+ */
+async function handleCycleCommand(userId, args, encrypted) {
+  const lastN = Math.min(Math.max(parseInt(args[0]) || 6, 1), 24);
+  const overview = getCycleOverview(userId, encrypted, lastN);
+
+  if (!overview.prediction) {
+    return '🩸 *Ciclo Menstrual*\n\nAinda não encontrei registros de menstruação.\n\n' +
+           'Quando ela começar, é só me contar: "Minha menstruação começou hoje" 💗';
+  }
+
+  const { stats, prediction, lastCycles, currentCycleDay, periods } = overview;
+  const lastPeriod = periods[periods.length - 1];
+
+  let response = `🩸 *Ciclo Menstrual*\n\n`;
+  response += `📅 Última menstruação: ${formatDateBR(lastPeriod.start)}\n`;
+  response += `🔄 Hoje é o dia *${currentCycleDay}* do ciclo\n\n`;
+
+  if (stats.validCount > 0) {
+    response += `📊 *Estatísticas:*\n`;
+    response += `Duração média: ${stats.averageLength} dias\n`;
+    response += `Variação: ±${stats.stdDev} dias (${stats.minLength} a ${stats.maxLength})\n\n`;
+  }
+
+  if (lastCycles.length > 0) {
+    response += `🗓️ *Últimos ciclos:*\n`;
+    lastCycles.forEach(cycle => {
+      const flag = cycle.irregular ? ' ⚠️' : '';
+      response += `• ${formatDateBR(cycle.start)} → ${cycle.length} dias${flag}\n`;
+    });
+    response += `\n`;
+  }
+
+  response += `🔮 *Próxima menstruação:*\n`;
+  response += `Prevista para ${formatDateBR(prediction.expectedDate)}\n`;
+  response += `Entre ${formatDateBR(prediction.earliestDate)} e ${formatDateBR(prediction.latestDate)}\n`;
+  response += `Confiança: ${prediction.confidence === 'media' ? 'média' : prediction.confidence}\n`;
+
+  if (prediction.daysUntil < 0) {
+    response += `\n⏳ A previsão passou há ${-prediction.daysUntil} dia(s). Se ela já veio, me conte para atualizar!\n`;
+  }
+
+  if (prediction.usedDefault) {
+    response += `\n_Ainda não há ciclos completos, então usei 28 dias como referência._\n`;
+  }
+
+  if (lastCycles.some(cycle => cycle.irregular)) {
+    response += `\n⚠️ Ciclos marcados ficaram fora da faixa de 15 a 60 dias e não entram na média.\n`;
+  }
+
+  response += `\n⚕️ _Previsões são estimativas. Não use como método contraceptivo._`;
+
+  return response;
+}
+
+/**
+ * Handler: /desfazer
+ * Remove o último registro salvo automaticamente a partir de uma conversa
+ */
+function handleUndoCommand(userId, encrypted) {
+  const lastAuto = getAllRecords(userId, encrypted)
+    .filter(record => record.originalMessage !== undefined)
+    .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))[0];
+
+  if (!lastAuto) {
+    return 'ℹ️ Não há registro automático para desfazer.';
+  }
+
+  const removed = deleteRecord(userId, lastAuto.id, encrypted);
+  if (!removed) {
+    return '😔 Não consegui desfazer o registro. Tente novamente.';
+  }
+
+  return `↩️ *Registro desfeito*\n\n` +
+         `${getCategoryEmoji(removed.category)} ${removed.category} (${formatDateBR(removed.date)})\n` +
+         `${removed.content}`;
+}
+
+/**
+ * Handler: /apagar <id>
+ * Remove um registro específico pelo ID curto
+ */
+function handleDeleteRecordCommand(userId, args, encrypted) {
+  if (args.length === 0) {
+    return '🗑️ Uso: /apagar <id>\n\nO ID aparece em /hoje, /ontem e /relatorio (🆔).';
+  }
+
+  const found = resolveRecordId(userId, args[0], encrypted);
+  if (found.error) return found.error;
+
+  const removed = deleteRecord(userId, found.record.id, encrypted);
+  if (!removed) {
+    return '😔 Não consegui apagar o registro. Tente novamente.';
+  }
+
+  return `🗑️ *Registro apagado*\n\n` +
+         `${getCategoryEmoji(removed.category)} ${removed.category} (${formatDateBR(removed.date)})\n` +
+         `${removed.content}`;
+}
+
+/**
+ * Handler: /editar <id> categoria|data|texto <valor>
+ * Corrige um campo de um registro
+ */
+function handleEditRecordCommand(userId, args, encrypted) {
+  const usage = '✏️ *Editar registro*\n\n' +
+                'Uso:\n' +
+                '/editar <id> categoria sintomas\n' +
+                '/editar <id> data 02/08/25 (ou hoje, ontem)\n' +
+                '/editar <id> texto Cólica leve à tarde\n\n' +
+                `Categorias: ${CATEGORIES.join(', ')}`;
+
+  if (args.length < 3) return usage;
+
+  const found = resolveRecordId(userId, args[0], encrypted);
+  if (found.error) return found.error;
+
+  const field = removeAccents(args[1].toLowerCase());
+  const value = args.slice(2).join(' ').trim();
+  const changes = {};
+
+  if (field === 'categoria') {
+    const category = removeAccents(value.toLowerCase());
+    if (!CATEGORIES.includes(category)) {
+      return `❌ Categoria inválida. Use: ${CATEGORIES.join(', ')}`;
+    }
+    changes.category = category;
+  } else if (field === 'data') {
+    const date = /^\d{1,2}\/\d{1,2}\/\d{2,4}$/.test(value)
+      ? parseDateFromBR(value)
+      : (['hoje', 'ontem', 'anteontem'].includes(value.toLowerCase()) ? parseDateFromMessage(value) : null);
+    if (!date) {
+      return '❌ Data inválida. Use DD/MM/AA, hoje, ontem ou anteontem.';
+    }
+    changes.date = date;
+  } else if (field === 'texto') {
+    changes.content = value;
+  } else {
+    return usage;
+  }
+
+  const updated = updateRecord(userId, found.record.id, changes, encrypted);
+  if (!updated) {
+    return '😔 Não consegui editar o registro. Tente novamente.';
+  }
+
+  return `✏️ *Registro atualizado*\n\n` +
+         `${getCategoryEmoji(updated.category)} *${updated.category.toUpperCase()}* (${formatDateBR(updated.date)})\n` +
+         `${updated.content}\n` +
+         `🆔 ${getShortRecordId(updated)}`;
+}
+
+/**
+ * Handler: /registrar [fluxo|sintomas|humor]
+ * Envia enquetes para registrar tocando nas opções, sem digitar
+ */
+function handleQuickLogCommand(args) {
+  const names = Object.keys(POLL_SETS);
+  const wanted = args.length > 0 ? removeAccents(args[0].toLowerCase()) : null;
+
+  if (wanted && !names.includes(wanted)) {
+    return `📝 Uso: /registrar (todas as enquetes) ou /registrar ${names.join('|')}`;
+  }
+
+  return {
+    text: '📝 *Registro rápido*\n\n' +
+          'Toque nas opções da enquete e o registro é salvo na hora. ' +
+          'Se mudar o voto, eu atualizo. 💗',
+    polls: wanted ? [wanted] : names
+  };
+}
+
+/**
+ * Handler: /lembrete
+ * Cria, lista e cancela lembretes agendados
+ */
+async function handleReminderCommand(userId, args) {
+  const usage = '⏰ *Lembretes*\n\n' +
+                'Uso:\n' +
+                '/lembrete diario 08:00 Tomar anticoncepcional\n' +
+                '/lembrete semanal seg 20:00 Trocar o adesivo\n' +
+                '/lembrete cada 3d 09:00 Anotar sintomas\n' +
+                '/lembrete cada 8h Beber água\n' +
+                '/lembrete amanha 10:00 Marcar consulta\n' +
+                '/lembrete listar\n' +
+                '/lembrete cancelar 1\n' +
+                '/lembrete silencio 22:00 07:00 (ou "silencio off")';
+
+  if (args.length === 0) return usage;
+
+  const action = removeAccents(args[0].toLowerCase());
+
+  if (action === 'listar') {
+    const jobs = listReminders(userId);
+
+    if (jobs.length === 0) {
+      return '⏰ Você não tem lembretes ativos.\n\nUse /lembrete para criar um.';
+    }
+
+    let response = `⏰ *Seus Lembretes*\n\n`;
+    jobs.forEach((job, index) => {
+      const next = new Date(job.nextRun).toLocaleString('pt-BR', {
+        day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+      });
+      response += `${index + 1}. ${job.text}\n`;
+      response += `   🔁 ${describeRecurrence(job.recurrence)} · próximo: ${next}\n\n`;
+    });
+
+    const quietHours = getQuietHours(userId);
+    if (quietHours) {
+      response += `🌙 Silêncio: ${quietHours.start} às ${quietHours.end}\n`;
+    }
+
+    return response + `\nPara cancelar: /lembrete cancelar <número>`;
+  }
+
+  if (action === 'cancelar') {
+    const job = cancelReminder(userId, parseInt(args[1]));
+    return job
+      ? `🗑️ Lembrete cancelado: ${job.text}`
+      : '❌ Lembrete não encontrado. Use /lembrete listar para ver os números.';
+  }
+
+  if (action === 'silencio') {
+    if (args[1] && args[1].toLowerCase() === 'off') {
+      setQuietHours(userId, null);
+      return '🔔 Horário de silêncio desativado.';
+    }
+
+    const start = parseTime(args[1]);
+    const end = parseTime(args[2]);
+    if (!start || !end) {
+      return '❌ Uso: /lembrete silencio 22:00 07:00';
+    }
+
+    const quietHours = { start: formatTime(start), end: formatTime(end) };
+    setQuietHours(userId, quietHours);
+    return `🌙 Não enviarei lembretes entre ${quietHours.start} e ${quietHours.end}. ` +
+           `Os que caírem nesse horário chegam quando o silêncio acabar.`;
+  }
+
+  const parsed = parseReminderArgs(action, args.slice(1));
+  if (!parsed) return usage;
+
+  if (!parsed.text) {
+    return '❌ Escreva o texto do lembrete depois do horário.';
+  }
+
+  const job = createReminder(userId, parsed.recurrence, parsed.text);
+  if (job === false) {
+    return '😔 Desculpe, não consegui salvar seu lembrete. Tente novamente.';
+  }
+
+  if (!job) {
+    return '❌ Você atingiu o limite de lembretes ativos. Cancele algum com /lembrete cancelar.';
+  }
+
+  const next = new Date(job.nextRun).toLocaleString('pt-BR', {
+    day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+  });
+
+  return `✅ *Lembrete criado!*\n\n` +
+         `📝 ${job.text}\n` +
+         `🔁 ${describeRecurrence(job.recurrence)}\n` +
+         `⏰ Próximo: ${next}`;
+}
+
+/**
+ * Handler: /pin
+ * Cria, troca e remove o PIN, e desbloqueia a sessão
+ */
+async function handlePinCommand(userId, args, config) {
+  if (!config.security?.enablePIN) {
+    return 'ℹ️ O bloqueio por PIN não está habilitado nesta instalação.';
+  }
+
+  const encrypted = config.security?.enableEncryption || false;
+  const security = getUserSecurity(userId, encrypted);
+  const action = (args[0] || '').toLowerCase();
+  const deleteHint = '\n\n🧹 _Apague a mensagem com o PIN desta conversa._';
+
+  if (!action) {
+    if (!security.pinHash) {
+      return '🔐 *PIN de Segurança*\n\nVocê ainda não tem PIN.\n\n' +
+             'Para criar (4 a 6 dígitos): /pin criar 1234';
+    }
+    const status = sessionManager.isActive(userId) ? '🔓 Desbloqueado' : '🔒 Bloqueado';
+    return `🔐 *PIN de Segurança*\n\nStatus: ${status}\n\n` +
+           `/pin <PIN> - Desbloquear\n` +
+           `/pin bloquear - Bloquear agora\n` +
+           `/pin trocar <atual> <novo> - Trocar PIN\n` +
+           `/pin remover <atual> - Remover PIN`;
+  }
+
+  if (action === 'criar') {
+    if (security.pinHash) {
+      return 'ℹ️ Você já tem um PIN. Para mudar: /pin trocar <atual> <novo>';
+    }
+    if (!isValidPIN(args[1] || '')) {
+      return '❌ O PIN deve ter de 4 a 6 dígitos. Exemplo: /pin criar 1234';
+    }
+
+    const saved = updateUserSecurity(userId, {
+      pinHash: await hashPIN(args[1]),
+      ...resetPINAttempts()
+    }, encrypted);
+
+    if (!saved) {
+      return '😔 Não consegui salvar seu PIN. Tente novamente.';
+    }
+
+    sessionManager.createSession(userId);
+    return '✅ *PIN criado!*\n\nSeus registros agora ficam protegidos. ' +
+           'Após um tempo sem uso, peço o PIN de novo.' + deleteHint;
+  }
+
+  if (action === 'bloquear') {
+    sessionManager.destroySession(userId);
+    return '🔒 Sessão bloqueada.';
+  }
+
+  if (!security.pinHash) {
+    return 'ℹ️ Você ainda não tem PIN. Para criar: /pin criar 1234';
+  }
+
+  if (action === 'trocar') {
+    if (!isValidPIN(args[2] || '')) {
+      return '❌ Uso: /pin trocar <atual> <novo> (o novo PIN deve ter de 4 a 6 dígitos)';
+    }
+
+    const check = await checkUserPIN(userId, args[1], security, encrypted);
+    if (!check.ok) return check.message;
+
+    const saved = updateUserSecurity(userId, { pinHash: await hashPIN(args[2]) }, encrypted);
+    if (!saved) {
+      return '😔 Não consegui alterar seu PIN. O PIN antigo continua valendo.';
+    }
+
+    sessionManager.createSession(userId);
+    return '✅ PIN alterado com sucesso!' + deleteHint;
+  }
+
+  if (action === 'remover') {
+    const check = await checkUserPIN(userId, args[1], security, encrypted);
+    if (!check.ok) return check.message;
+
+    const saved = updateUserSecurity(userId, { pinHash: null, ...resetPINAttempts() }, encrypted);
+    if (!saved) {
+      return '😔 Não consegui remover seu PIN. Ele continua ativo.';
+    }
+
+    sessionManager.destroySession(userId);
+    return '🔓 PIN removido. Seus registros não pedem mais senha.' + deleteHint;
+  }
+
+  // /pin <PIN>: desbloquear
+  const check = await checkUserPIN(userId, args[0], security, encrypted);
+  if (!check.ok) return check.message;
+
+  sessionManager.createSession(userId);
+  return '🔓 *Desbloqueado!* Pode usar os comandos normalmente.' + deleteHint;
+}
+
 /**
  * Handler: /ajuda
  * Lista todos os comandos disponíveis
@@ -300,11 +1027,24 @@ function handleHelpCommand() {
          `/ontem - Ver registros de ontem\n` +
          `/relatorio DD/MM/AA - Ver data específica\n` +
          `/resumo - Resumo dos últimos 30 dias\n` +
-         `/insights - Análise de padrões\n\n` +
+         `/insights - Análise de padrões\n` +
+         `/ciclo [N] - Ciclo atual e previsão\n` +
+         `/consulta - Resumo em PDF para levar à ginecologista\n\n` +
          `⚙️ *Gerenciamento:*\n` +
-         `/exportar - Exportar todos os dados\n` +
+         `/registrar - Registrar fluxo, sintomas e humor tocando em enquetes\n` +
+         `/lembrete - Criar e gerenciar lembretes\n` +
+         `/pin - Proteger registros com PIN\n` +
+         `/exportar csv|json|pdf - Exportar todos os dados\n` +
+         `/importar - Trazer histórico de outro app ou backup\n` +
          `/limpar - Apagar todos os dados\n` +
+         `/recuperar - Recuperar dados apagados\n` +
+         `/esquecer - Reiniciar a conversa (registros ficam salvos)\n` +
          `/ajuda - Ver esta mensagem\n\n` +
+         `✏️ *Correções:*\n` +
+         `/desfazer - Desfazer o último registro automático\n` +
+         `/apagar <id> - Apagar um registro\n` +
+         `/editar <id> categoria|data|texto <valor> - Corrigir um registro\n` +
+         `/consulta marcar <id> - Incluir um registro nas notas da consulta\n\n` +
          `💬 *Conversa Natural:*\n` +
          `Você também pode conversar naturalmente!\n` +
          `Exemplos:\n` +
@@ -315,32 +1055,247 @@ function handleHelpCommand() {
 }
 
 /**
- * Handler: /exportar
- * Exporta todos os dados em formato texto
+ * Handler: /exportar csv|json|pdf
+ * Gera um arquivo com todos os registros e envia como documento
+ * @returns {string|Object} Texto ou { text, document: { path, fileName, mimetype } }
  */
-async function handleExportCommand(userId, encrypted) {
-  const exportText = exportUserData(userId, encrypted);
-  
-  return `💾 *Exportação de Dados*\n\n` +
-         `Seus dados completos:\n\n` +
-         `${exportText}\n\n` +
-         `_Você pode copiar e salvar este texto em local seguro._`;
+function handleExportCommand(userId, args, encrypted) {
+  const format = (args[0] || '').toLowerCase();
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return `💾 *Exportar Dados*\n\n` +
+           `Escolha o formato do arquivo:\n\n` +
+           `/exportar csv - Planilha (Excel, Google Planilhas)\n` +
+           `/exportar json - Backup completo (pode ser importado de volta)\n` +
+           `/exportar pdf - Relatório para ler ou imprimir`;
+  }
+
+  const file = createExportFile(userId, format, encrypted);
+  if (!file) {
+    return '📋 Nenhum registro encontrado para exportar.';
+  }
+
+  return {
+    text: `💾 *Exportação de Dados*\n\n${file.count} registro(s) em ${format.toUpperCase()}.\n` +
+          `_Guarde o arquivo em local seguro._`,
+    document: { path: file.path, fileName: file.fileName, mimetype: file.mimetype }
+  };
+}
+
+/**
+ * Handler: /consulta [marcar|desmarcar <id>]
+ * Gera o resumo para a consulta ginecológica em PDF
+ * ou marca registros para aparecerem nas notas do resumo
+ * @returns {Promise<string|Object>} Texto ou { text, document: { path, fileName, mimetype } }
+ */
+async function handleAppointmentCommand(userId, args, config) {
+  const encrypted = config.security?.enableEncryption || false;
+  const action = removeAccents((args[0] || '').toLowerCase());
+
+  if (action === 'marcar' || action === 'desmarcar') {
+    if (!args[1]) {
+      return `🩺 Uso: /consulta ${action} <id>\n\nO ID aparece em /hoje, /ontem e /relatorio (🆔).`;
+    }
+
+    const found = resolveRecordId(userId, args[1], encrypted);
+    if (found.error) return found.error;
+
+    const updated = updateRecord(userId, found.record.id, { flagged: action === 'marcar' }, encrypted);
+    if (!updated) {
+      return '😔 Não consegui atualizar o registro. Tente novamente.';
+    }
+
+    return action === 'marcar'
+      ? `📌 *Registro marcado para a consulta*\n\n${updated.content} (${formatDateBR(updated.date)})`
+      : `Registro desmarcado: ${updated.content} (${formatDateBR(updated.date)})`;
+  }
+
+  const records = getAllRecords(userId, encrypted);
+  if (records.length === 0) {
+    return '📋 Nenhum registro encontrado. Registre seu ciclo e sintomas para montar o resumo.';
+  }
+
+  const settings = config.appointment || {};
+  const summary = buildAppointmentSummary(records, { periodMonths: settings.periodMonths });
+
+  // O parágrafo da IA é opcional: sem IA, o PDF sai só com os dados calculados
+  const plainLanguage = settings.includeAISummary === false
+    ? null
+    : await generateAppointmentSummary(describeSummary(summary));
+
+  return {
+    text: `🩺 *Resumo para a Consulta*\n\n` +
+          `${summary.totalRecords} registro(s) desde ${formatDateBR(summary.periodStart)}.\n` +
+          `Para incluir uma anotação nas notas, use /consulta marcar <id>.`,
+    document: {
+      path: createTempFile(buildAppointmentPDF(summary, plainLanguage), 'pdf'),
+      fileName: `gina-consulta-${summary.today}.pdf`,
+      mimetype: 'application/pdf'
+    }
+  };
+}
+
+/**
+ * Handler: /importar
+ * Aguarda o envio de um arquivo com o histórico
+ */
+function handleImportCommand(userId) {
+  pendingImports.set(userId, Date.now() + IMPORT_WAIT_MS);
+
+  return `📥 *Importar Histórico*\n\n` +
+         `Envie agora o arquivo como *documento* (em até 10 minutos). Aceito:\n\n` +
+         `• Backup da Gina (/exportar json ou csv)\n` +
+         `• Planilha CSV com colunas de *data*, *categoria* e/ou *notas*\n` +
+         `• Exportação do Clue (JSON)\n` +
+         `• Exportação de dados do Flo (JSON)\n\n` +
+         `Antes de salvar, mostro uma prévia para você confirmar. Registros repetidos são ignorados.`;
+}
+
+/**
+ * Monta a prévia de uma importação antes da confirmação
+ */
+function buildImportPreview(parsed, entries, duplicates) {
+  const sourceNames = { gina: 'Backup da Gina', csv: 'Planilha CSV', clue: 'Clue', flo: 'Flo' };
+
+  const byCategory = {};
+  entries.forEach(entry => {
+    byCategory[entry.category] = (byCategory[entry.category] || 0) + 1;
+  });
+
+  const dates = entries.map(entry => entry.date).sort();
+
+  let response = `📥 *Prévia da Importação*\n\n`;
+  response += `📄 Origem: ${sourceNames[parsed.source] || parsed.source}\n`;
+  response += `📅 Período: ${formatDateBR(dates[0])} a ${formatDateBR(dates[dates.length - 1])}\n\n`;
+  response += `✅ *${entries.length} registro(s) novo(s):*\n`;
+
+  Object.entries(byCategory).forEach(([category, count]) => {
+    response += `${getCategoryEmoji(category)} ${category}: ${count}\n`;
+  });
+
+  if (duplicates > 0) {
+    response += `\n♻️ ${duplicates} já existiam e serão ignorados\n`;
+  }
+  if (parsed.invalid > 0) {
+    response += `⚠️ ${parsed.invalid} linha(s) sem data válida serão ignoradas\n`;
+  }
+
+  response += `\n*Exemplos:*\n`;
+  entries.slice(0, 3).forEach(entry => {
+    response += `• ${formatDateBR(entry.date)} - ${entry.content}\n`;
+  });
+
+  response += `\nPara salvar, responda *CONFIRMAR* em até 2 minutos.\n` +
+              `Qualquer outra mensagem cancela.`;
+
+  return response;
+}
+
+/**
+ * Salva os registros de uma importação confirmada
+ */
+function confirmImport(userId, pending, config) {
+  const encrypted = config.security?.enableEncryption || false;
+  const importedAt = new Date().toISOString();
+
+  const records = pending.entries.map(entry => ({
+    ...entry,
+    // Sem horário no arquivo: meio-dia da data do registro
+    timestamp: entry.timestamp || new Date(`${entry.date}T12:00:00`).toISOString(),
+    importedFrom: pending.source,
+    importedAt
+  }));
+
+  if (!addRecords(userId, records, encrypted)) {
+    return '😔 Desculpe, não consegui salvar a importação. Tente novamente.';
+  }
+
+  return `✅ *Importação concluída*\n\n${records.length} registro(s) adicionado(s).\n\n` +
+         `Use /ciclo ou /resumo para ver seu histórico. 💗`;
 }
 
 /**
  * Handler: /limpar
- * Apaga todos os dados do usuário (com confirmação)
+ * Pede confirmação antes de mover os dados para a lixeira
  */
-async function handleClearCommand(userId) {
-  // Nota: Em produção, adicionar sistema de confirmação
-  // Por ora, apenas deletar
-  const deleted = deleteUserData(userId);
+function handleClearCommand(userId) {
+  pendingConfirmations.set(userId, {
+    action: 'limpar',
+    command: '/limpar',
+    expiresAt: Date.now() + CONFIRMATION_TIMEOUT_MS
+  });
 
-  if (deleted) {
-    return `🗑️ *Dados Apagados*\n\nTodos os seus registros foram removidos com sucesso.\n\nVocê pode começar novos registros a qualquer momento! 💗`;
-  } else {
+  return `⚠️ *Apagar todos os dados?*\n\n` +
+         `Todos os seus registros e lembretes serão removidos.\n\n` +
+         `Para continuar, responda *CONFIRMAR* em até 2 minutos.\n` +
+         `Qualquer outra mensagem cancela.`;
+}
+
+/**
+ * Executa a limpeza confirmada: dados vão para a lixeira
+ * e podem ser recuperados até o fim do prazo
+ */
+async function confirmClear(userId, config) {
+  const encrypted = config.security?.enableEncryption || false;
+  const retentionDays = config.trash?.retentionDays ?? 7;
+
+  // Sem mover os registros, nada mais é apagado: a limpeza é tudo ou nada
+  const trashed = moveUserDataToTrash(userId, encrypted, retentionDays);
+  if (trashed === false) {
+    return '😔 Não consegui mover seus dados para a lixeira, então nada foi apagado. ' +
+           'Tente novamente mais tarde.';
+  }
+
+  deleteUserReminders(userId);
+  clearConversation(userId);
+  forgetTriageUser(userId);
+  sessionManager.destroySession(userId);
+
+  if (!trashed) {
     return `ℹ️ Não há dados para apagar ou você ainda não possui registros.`;
   }
+
+  const purgeDate = new Date(trashed.purgeAfter).toLocaleString('pt-BR', {
+    day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+
+  return `🗑️ *Dados Apagados*\n\nTodos os seus registros foram removidos.\n\n` +
+         `♻️ Mudou de ideia? Use /recuperar até ${purgeDate}. ` +
+         `Depois disso, a exclusão é definitiva.\n\n` +
+         `Você pode começar novos registros a qualquer momento! 💗`;
+}
+
+/**
+ * Handler: /esquecer
+ * Apaga a memória da conversa, sem tocar nos registros
+ */
+function handleForgetCommand(userId) {
+  if (!clearConversation(userId)) {
+    return 'ℹ️ Não há conversa em andamento para esquecer.';
+  }
+
+  return '🧹 *Conversa reiniciada*\n\nEsqueci o que conversamos até agora. ' +
+         'Seus registros continuam salvos (use /hoje ou /resumo para vê-los). 💗';
+}
+
+/**
+ * Handler: /recuperar
+ * Restaura os dados apagados mais recentes da lixeira
+ */
+function handleRestoreCommand(userId, encrypted) {
+  if (getTrashEntries(userId).length === 0) {
+    return 'ℹ️ Não há dados apagados para recuperar.';
+  }
+
+  const restored = restoreUserDataFromTrash(userId, encrypted);
+
+  if (restored === null) {
+    return '😔 Não consegui recuperar seus dados. Tente novamente.';
+  }
+
+  return `♻️ *Dados Recuperados*\n\n${restored} registro(s) restaurado(s). ` +
+         `Registros feitos depois da exclusão foram mantidos.\n\n` +
+         `_Lembretes apagados não são recuperados; crie-os novamente com /lembrete._`;
 }
 
 // ═══════════════════════════════════════
@@ -363,6 +1318,151 @@ function getCategoryEmoji(category) {
   return emojis[category] || '📝';
 }
 
+/**
+ * Linha com os campos extraídos do registro (vazia se não houver)
+ * @param {Object} record - Registro
+ * @returns {string} Linha formatada com quebra de linha
+ */
+function formatDetailsLine(record) {
+  const details = formatRecordDetails(record);
+  return details ? `📌 ${details}\n` : '';
+}
+
+/**
+ * Localiza um registro pelo ID curto informado pela usuária
+ * @param {string} userId - ID do usuário
+ * @param {string} shortId - ID curto
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Object} { record } ou { error } com mensagem para a usuária
+ */
+function resolveRecordId(userId, shortId, encrypted) {
+  const matches = findRecordsByShortId(userId, shortId, encrypted);
+
+  if (matches.length === 0) {
+    return { error: '❌ Registro não encontrado. Confira o ID em /hoje, /ontem ou /relatorio.' };
+  }
+
+  if (matches.length > 1) {
+    return { error: '⚠️ Mais de um registro começa com esse ID. Digite mais caracteres.' };
+  }
+
+  return { record: matches[0] };
+}
+
+/**
+ * Verifica se a usuária pode acessar comandos protegidos
+ * Sem PIN habilitado ou cadastrado, o acesso é livre
+ * @param {string} userId - ID do usuário
+ * @param {Object} config - Configurações
+ * @returns {boolean} true se desbloqueado
+ */
+function isUnlocked(userId, config) {
+  if (!config.security?.enablePIN) return true;
+
+  const encrypted = config.security?.enableEncryption || false;
+  const { pinHash } = getUserSecurity(userId, encrypted);
+  if (!pinHash) return true;
+
+  return sessionManager.isActive(userId);
+}
+
+/**
+ * Confere o PIN informado aplicando limite de tentativas
+ * @param {string} userId - ID do usuário
+ * @param {string} pin - PIN informado
+ * @param {Object} security - Seção de segurança da usuária
+ * @param {boolean} encrypted - Se usa criptografia
+ * @returns {Promise<Object>} { ok, message }
+ */
+async function checkUserPIN(userId, pin, security, encrypted) {
+  const lockedMs = getPINLockoutRemaining(security);
+  if (lockedMs > 0) {
+    return {
+      ok: false,
+      message: `⛔ Muitas tentativas erradas. Tente novamente em ${Math.ceil(lockedMs / 60000)} minuto(s).`
+    };
+  }
+
+  if (isValidPIN(pin || '') && await verifyPIN(pin, security.pinHash)) {
+    updateUserSecurity(userId, resetPINAttempts(), encrypted);
+    return { ok: true };
+  }
+
+  const state = registerFailedPINAttempt(security);
+  updateUserSecurity(userId, state, encrypted);
+
+  if (state.lockedUntil) {
+    const minutes = Math.ceil(getPINLockoutRemaining(state) / 60000);
+    console.log(`🔒 PIN bloqueado por ${minutes} min após tentativas erradas`);
+    return { ok: false, message: `⛔ PIN incorreto. Acesso bloqueado por ${minutes} minuto(s).` };
+  }
+
+  return {
+    ok: false,
+    message: `❌ PIN incorreto. Restam ${getRemainingPINAttempts(state)} tentativa(s).`
+  };
+}
+
+/**
+ * Interpreta a regra de repetição de /lembrete
+ * @param {string} mode - diario, semanal, cada, hoje ou amanha
+ * @param {Array} rest - Demais argumentos do comando
+ * @returns {Object|null} { recurrence, text } ou null se inválido
+ */
+function parseReminderArgs(mode, rest) {
+  if (mode === 'diario') {
+    const time = parseTime(rest[0]);
+    if (!time) return null;
+    return { recurrence: { type: 'daily', ...time }, text: rest.slice(1).join(' ') };
+  }
+
+  if (mode === 'semanal') {
+    const weekday = parseWeekday(rest[0] || '');
+    const time = parseTime(rest[1]);
+    if (weekday < 0 || !time) return null;
+    return { recurrence: { type: 'weekly', weekday, ...time }, text: rest.slice(2).join(' ') };
+  }
+
+  if (mode === 'cada') {
+    const match = (rest[0] || '').toLowerCase().match(/^(\d{1,3})([dh])$/);
+    if (!match || parseInt(match[1]) === 0) return null;
+
+    if (match[2] === 'h') {
+      return { recurrence: { type: 'interval', everyHours: parseInt(match[1]) }, text: rest.slice(1).join(' ') };
+    }
+
+    const time = parseTime(rest[1]);
+    if (!time) return null;
+    return {
+      recurrence: { type: 'interval', everyDays: parseInt(match[1]), ...time },
+      text: rest.slice(2).join(' ')
+    };
+  }
+
+  if (mode === 'hoje' || mode === 'amanha') {
+    const time = parseTime(rest[0]);
+    if (!time) return null;
+
+    const at = new Date();
+    at.setHours(time.hour, time.minute, 0, 0);
+    if (mode === 'amanha') at.setDate(at.getDate() + 1);
+    if (at <= new Date()) return null;
+
+    return { recurrence: { type: 'once', at: at.toISOString(), ...time }, text: rest.slice(1).join(' ') };
+  }
+
+  return null;
+}
+
+/**
+ * Formata { hour, minute } como HH:MM
+ * @param {Object} time - Horário
+ * @returns {string} Horário formatado
+ */
+function formatTime(time) {
+  return `${String(time.hour).padStart(2, '0')}:${String(time.minute).padStart(2, '0')}`;
+}
+
 /**
  * Converte data brasileira (DD/MM/AA ou DD/MM/YYYY) para YYYY-MM-DD
  * @param {string} dateBR - Data em formato brasileiro
@@ -396,9 +1496,130 @@ function parseDateFromBR(dateBR) {
   }
 }
 
+/**
+ * Origem dos registros: chaves das mensagens do WhatsApp e, quando
+ * várias foram juntadas, o texto de cada uma (para refazer a extração
+ * se só uma delas for editada ou apagada)
+ * @param {Array} sources - [{ key, text }]
+ * @returns {Object} { messageKeys, fragments } ou {} sem chaves
+ */
+function describeSources(sources) {
+  if (sources.length === 0 || sources.some(source => !source.key?.id)) {
+    return {};
+  }
+
+  return {
+    messageKeys: sources.map(({ key }) => ({ remoteJid: key.remoteJid, id: key.id })),
+    fragments: sources.length > 1
+      ? sources.map(source => sanitizeInput(source.text, getMaxMessageLength()))
+      : undefined
+  };
+}
+
+/**
+ * Refaz a extração dos registros de uma mensagem editada (newText)
+ * ou apagada (newText = null) e responde com o que mudou
+ */
+async function resyncSourceRecords(userId, messageId, newText, config) {
+  const encrypted = config.security?.enableEncryption || false;
+
+  // Mensagem sem registro (pergunta, comando): nada a sincronizar
+  const current = findRecordsByMessageId(userId, messageId, encrypted);
+  if (current.length === 0) {
+    return null;
+  }
+
+  const source = current[0];
+  const fragments = source.fragments || [source.originalMessage];
+  const keys = source.messageKeys;
+  const index = keys.findIndex(key => key.id === messageId);
+
+  const remainingKeys = newText === null ? keys.filter((key, i) => i !== index) : keys;
+  const remainingFragments = newText === null
+    ? fragments.filter((fragment, i) => i !== index)
+    : fragments.map((fragment, i) => (i === index ? newText : fragment));
+  const message = mergeFragments(remainingFragments);
+
+  if (message === source.originalMessage) {
+    return null;
+  }
+
+  let entries = [];
+  let redFlag = null;
+
+  if (message) {
+    redFlag = detectRedFlag(message);
+
+    if (redFlag) {
+      entries = classifyOffline(message);
+      if (entries.length === 0) {
+        entries.push({ category: 'observacao', content: message, date: 'today', details: {} });
+      }
+    } else {
+      // Sem cota para a IA, a extração usa as regras offline
+      const quota = consumeToken(userId);
+      entries = quota.allowed ? (await classifyMessage(message)).entries : classifyOffline(message);
+    }
+  }
+
+  // Campos ausentes ficam undefined para apagar os da extração anterior
+  const replacements = entries.map(entry => ({
+    date: parseDateFromMessage(entry.date),
+    category: entry.category,
+    content: entry.content,
+    details: entry.details,
+    urgent: redFlag ? true : undefined,
+    triageRule: redFlag ? redFlag.id : undefined,
+    originalMessage: message,
+    messageKeys: remainingKeys,
+    fragments: remainingKeys.length > 1 ? remainingFragments : undefined
+  }));
+
+  const before = current.map(describeRecordLine);
+  const result = replaceSourceRecords(userId, current.map(record => record.id), replacements, encrypted);
+  if (!result) {
+    return '😔 Não consegui atualizar o registro da mensagem alterada. Use /editar ou /apagar.';
+  }
+
+  const after = [...result.updated, ...result.added].map(describeRecordLine);
+  if (before.join('\n') === after.join('\n')) {
+    return null;
+  }
+
+  let response = newText === null
+    ? '🗑️ Você apagou uma mensagem, então '
+    : '✏️ Você editou uma mensagem, então ';
+
+  if (after.length === 0) {
+    response += current.length > 1 ? 'apaguei os registros:\n\n' : 'apaguei o registro:\n\n';
+    response += before.join('\n');
+  } else {
+    response += 'atualizei o registro:\n\n';
+    response += `Antes:\n${before.join('\n')}\n\nAgora:\n${after.join('\n')}`;
+  }
+
+  // Um sinal de alerta que surgiu com a edição recebe a orientação fixa
+  if (redFlag && !source.urgent) {
+    logTrigger(userId, redFlag.id);
+    response += `\n\n${redFlag.message}`;
+  }
+
+  return response;
+}
+
+function describeRecordLine(record) {
+  const details = formatRecordDetails(record);
+  return `${getCategoryEmoji(record.category)} ${record.content} (${formatDateBR(record.date)})` +
+         (details ? ` · ${details}` : '');
+}
+
 // Exportar funções do módulo
 module.exports = {
   processMessage,
+  processMessageEdit,
+  processMessageRevoke,
+  processPollVote,
+  processDocument,
   processCommand,
   processNaturalMessage
 };
\ No newline at end of file
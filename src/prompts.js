@@ -0,0 +1,176 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PROMPTS DA IA
+ * Arquivo: prompts.js
+ * Descrição: Textos enviados aos provedores de IA
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Definir o prompt de sistema da Gina
+ * - Montar os prompts de resposta, classificação e insights
+ * - Manter os prompts iguais para qualquer provedor
+ */
+
+const SYSTEM_PROMPT = `Você é uma assistente virtual especializada em saúde ginecológica educativa.
+
+REGRAS OBRIGATÓRIAS:
+- Você NÃO faz diagnóstico médico
+- Você NÃO prescreve medicamentos
+- Você SEMPRE usa linguagem acolhedora
+- Use emojis com moderação (💗 🩺 📅)
+- Respostas concisas (máximo 3-4 linhas)
+
+Responda sempre em português brasileiro de forma empática e educativa.`;
+
+// Usado na nova tentativa quando o filtro de segurança bloqueia a resposta
+const STRICT_SAFETY_RULES = `ATENÇÃO - sua resposta anterior foi bloqueada. Nesta resposta:
+- NÃO cite nomes de remédios, doses, horários ou tempo de uso
+- NÃO afirme que a usuária tem alguma doença ou condição
+- Oriente a procurar uma profissional de saúde para avaliação`;
+
+/**
+ * Monta as instruções de sistema de uma conversa
+ * (regras, registros recentes, ciclo e resumo da conversa anterior)
+ * @param {Object} context - { recentHistory, cycleSummary, conversationSummary, strict }
+ * @returns {string} Instruções de sistema
+ */
+function buildSystemInstruction(context = {}) {
+  let prompt = SYSTEM_PROMPT + '\n\n';
+
+  if (context.strict) {
+    prompt += STRICT_SAFETY_RULES + '\n\n';
+  }
+
+  if (context.recentHistory && context.recentHistory.length > 0) {
+    prompt += '📋 Registros recentes:\n';
+    context.recentHistory.forEach((record, index) => {
+      prompt += `${index + 1}. [${record.date}] ${record.content}\n`;
+    });
+    prompt += '\n';
+  }
+
+  if (context.cycleSummary) {
+    prompt += `🩸 Ciclo calculado (use estes dados, não estime): ${context.cycleSummary}\n\n`;
+  }
+
+  if (context.conversationSummary) {
+    prompt += `🗂️ Resumo da conversa anterior:\n${context.conversationSummary}\n\n`;
+  }
+
+  prompt += 'Continue a conversa de forma empática (3-4 linhas), lembrando do que já foi dito.';
+
+  return prompt;
+}
+
+/**
+ * Monta um prompt único com toda a conversa
+ * Usado por provedores sem API de chat
+ * @param {string} userMessage - Mensagem recebida
+ * @param {Object} context - Contexto (ver buildSystemInstruction) + history
+ * @returns {string} Prompt completo
+ */
+function buildFullPrompt(userMessage, context = {}) {
+  let prompt = buildSystemInstruction(context) + '\n\n';
+
+  if (context.history && context.history.length > 0) {
+    prompt += '🗨️ Conversa até agora:\n';
+    context.history.forEach(turn => {
+      prompt += `${turn.role === 'user' ? 'Usuária' : 'Gina'}: ${turn.text}\n`;
+    });
+    prompt += '\n';
+  }
+
+  prompt += `💬 MENSAGEM: "${userMessage}"`;
+
+  return prompt;
+}
+
+/**
+ * Monta o prompt de extração de registros
+ * @param {string} message - Mensagem da usuária
+ * @returns {string} Prompt de classificação
+ */
+function buildClassificationPrompt(message) {
+  const today = new Date().toLocaleDateString('pt-BR');
+
+  return `${SYSTEM_PROMPT}
+
+Hoje é ${today}. Extraia TODOS os registros de saúde da mensagem: "${message}"
+
+Cada informação distinta vira uma entrada separada.
+Categorias: menstruacao, anticoncepcional, sintomas, sexual, observacao
+Campos por categoria (omita o que não foi dito):
+- menstruacao: flow ("leve", "moderado" ou "intenso")
+- anticoncepcional: pillTime ("HH:MM"), taken (true/false; false se esqueceu)
+- sintomas: symptoms (lista de sintomas), painScale (0 a 10)
+- sexual: protection ("camisinha", "anticoncepcional", "nenhuma" ou "outro")
+- observacao: mood ("bem", "normal", "triste", "ansiosa", "irritada" ou "cansada"), se ela disser como se sente
+date: "today", "yesterday", "anteontem" ou "DD/MM/AAAA"
+Se a mensagem for só uma pergunta ou conversa, retorne entries vazio.
+
+Responda APENAS em JSON (sem markdown):
+{"entries":[{"category":"categoria","content":"resumo","date":"today"}]}`;
+}
+
+/**
+ * Monta o prompt de insights sobre o histórico
+ * @param {Array} records - Registros da usuária
+ * @param {Object} options - { strict: regras reforçadas após bloqueio }
+ * @returns {string} Prompt de insights
+ */
+function buildInsightsPrompt(records, options = {}) {
+  let dataSummary = '📊 DADOS:\n\n';
+  records.slice(0, 20).forEach(record => {
+    dataSummary += `[${record.date}] ${record.content}\n`;
+  });
+
+  const strictRules = options.strict ? `\n${STRICT_SAFETY_RULES}\n` : '';
+
+  return `${SYSTEM_PROMPT}
+${strictRules}
+${dataSummary}
+
+Gere insights educativos (NÃO diagnósticos). Máximo 5-6 linhas.`;
+}
+
+/**
+ * Monta o prompt do parágrafo em linguagem simples do /consulta
+ * @param {Object} sections - Linhas de describeSummary (appointment.js)
+ * @param {Object} options - { strict: true para reforçar as regras de segurança }
+ * @returns {string} Prompt
+ */
+function buildAppointmentPrompt(sections, options = {}) {
+  const data = [
+    ['Ciclo', sections.cycle],
+    ['Sintomas', sections.symptoms],
+    ['Dor', sections.pain],
+    ['Anticoncepcional', sections.contraceptive]
+  ]
+    .filter(([, lines]) => lines.length > 0)
+    .map(([title, lines]) => `${title}:\n${lines.map(line => `- ${line}`).join('\n')}`)
+    .join('\n\n');
+
+  const strictRules = options.strict ? `\n${STRICT_SAFETY_RULES}\n` : '';
+
+  return `${SYSTEM_PROMPT}
+${strictRules}
+📋 DADOS CALCULADOS DOS REGISTROS DA USUÁRIA:
+
+${data}
+
+Escreva UM parágrafo curto (até 5 frases), em linguagem simples e na terceira pessoa,
+resumindo esses dados para a usuária mostrar à ginecologista.
+Use apenas os números acima, sem inventar nada. Não sugira causas, doenças nem remédios.
+Sem emojis e sem markdown.`;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  SYSTEM_PROMPT,
+  STRICT_SAFETY_RULES,
+  buildSystemInstruction,
+  buildFullPrompt,
+  buildClassificationPrompt,
+  buildInsightsPrompt,
+  buildAppointmentPrompt
+};
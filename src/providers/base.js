@@ -0,0 +1,82 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PROVEDOR DE IA (BASE)
+ * Arquivo: providers/base.js
+ * Descrição: Interface comum dos provedores de IA
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Todo provedor expõe:
+ * - initialize()               → prepara o cliente (sem escolher modelo)
+ * - generate(message, context) → resposta empática à usuária
+ * - classify(message)          → lista de entradas validadas
+ * - insights(records, options) → texto de insights educativos
+ *
+ * Provedores remotos só precisam implementar generateText(prompt);
+ * os três métodos acima montam os prompts a partir de prompts.js.
+ * Provedores com API de chat sobrescrevem generate() para enviar
+ * context.history como turnos de verdade, em vez de texto no prompt.
+ */
+
+const { buildFullPrompt, buildClassificationPrompt, buildInsightsPrompt } = require('../prompts');
+const { parseClassification } = require('../entries');
+
+class LLMProvider {
+  /**
+   * @param {string} name - Nome do provedor (gemini, openai, mock)
+   * @param {Object} settings - Seção de configuração do provedor
+   */
+  constructor(name, settings = {}) {
+    this.name = name;
+    this.settings = settings;
+    this.model = settings.model || null;
+  }
+
+  /**
+   * Prepara o provedor para uso
+   * @returns {Promise<boolean>} true se pronto
+   */
+  async initialize() {
+    return true;
+  }
+
+  /**
+   * Envia um prompt e retorna o texto gerado
+   * @param {string} prompt - Prompt completo
+   * @returns {Promise<string>} Texto gerado
+   */
+  async generateText(prompt) {
+    throw new Error(`Provedor ${this.name} não implementa generateText`);
+  }
+
+  /**
+   * Gera a resposta para uma mensagem da usuária
+   * @param {string} message - Mensagem recebida
+   * @param {Object} context - Contexto (registros, ciclo, history, strict)
+   * @returns {Promise<string>} Resposta
+   */
+  async generate(message, context = {}) {
+    return this.generateText(buildFullPrompt(message, context));
+  }
+
+  /**
+   * Extrai entradas de registro de uma mensagem
+   * @param {string} message - Mensagem recebida
+   * @returns {Promise<Array>} Entradas validadas
+   */
+  async classify(message) {
+    const responseText = await this.generateText(buildClassificationPrompt(message));
+    return parseClassification(responseText, message);
+  }
+
+  /**
+   * Gera insights sobre os registros
+   * @param {Array} records - Registros da usuária
+   * @param {Object} options - { strict }
+   * @returns {Promise<string>} Insights
+   */
+  async insights(records, options = {}) {
+    return this.generateText(buildInsightsPrompt(records, options));
+  }
+}
+
+module.exports = { LLMProvider };
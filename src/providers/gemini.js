@@ -0,0 +1,81 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PROVEDOR GOOGLE GEMINI
+ * Arquivo: providers/gemini.js
+ * Descrição: Provedor de IA via @google/generative-ai
+ * ═══════════════════════════════════════════════════════════
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { LLMProvider } = require('./base');
+const { buildSystemInstruction } = require('../prompts');
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+class GeminiProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super('gemini', settings);
+    this.model = settings.model || DEFAULT_MODEL;
+    this.client = null;
+  }
+
+  async initialize() {
+    const { apiKey } = this.settings;
+
+    if (!apiKey || apiKey === 'SUA_API_KEY_AQUI') {
+      throw new Error('API Key do Gemini não configurada!');
+    }
+
+    // O modelo vem apenas da configuração
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({
+      model: this.model,
+      generationConfig: {
+        temperature: 0.7,
+        topP: 0.8,
+        topK: 40,
+        maxOutputTokens: 1024,
+      }
+    });
+
+    const testText = await this.generateText('Olá');
+    if (!testText) {
+      throw new Error('API retornou resposta vazia');
+    }
+
+    return true;
+  }
+
+  async generateText(prompt) {
+    if (!this.client) {
+      throw new Error('Gemini não inicializado');
+    }
+
+    const result = await this.client.generateContent(prompt);
+    return result.response.text();
+  }
+
+  /**
+   * Responde usando a API de chat do SDK, com o histórico da conversa
+   * @param {string} message - Mensagem recebida
+   * @param {Object} context - Contexto (registros, ciclo, history, strict)
+   * @returns {Promise<string>} Resposta
+   */
+  async generate(message, context = {}) {
+    if (!this.client) {
+      throw new Error('Gemini não inicializado');
+    }
+
+    const chat = this.client.startChat({
+      systemInstruction: { role: 'system', parts: [{ text: buildSystemInstruction(context) }] },
+      history: (context.history || []).map(turn => ({
+        role: turn.role,
+        parts: [{ text: turn.text }]
+      }))
+    });
+
+    const result = await chat.sendMessage(message);
+    return result.response.text();
+  }
+}
+
+module.exports = { GeminiProvider };
@@ -0,0 +1,42 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: FÁBRICA DE PROVEDORES DE IA
+ * Arquivo: providers/index.js
+ * Descrição: Escolhe o provedor a partir da configuração
+ * ═══════════════════════════════════════════════════════════
+ *
+ * config.llm.provider define o provedor; as opções (modelo, chaves,
+ * endereço) ficam na seção de mesmo nome: config.gemini,
+ * config.openai ou config.mock.
+ */
+
+const { GeminiProvider } = require('./gemini');
+const { OpenAICompatibleProvider } = require('./openai');
+const { MockProvider } = require('./mock');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+/**
+ * Cria o provedor configurado
+ * @param {Object} config - Configurações da aplicação
+ * @returns {LLMProvider} Instância do provedor (ainda não inicializada)
+ */
+function createProvider(config) {
+  const name = config.llm?.provider || 'gemini';
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Provedor de IA desconhecido: ${name}`);
+  }
+
+  return new Provider(config[name] || {});
+}
+
+module.exports = {
+  PROVIDERS,
+  createProvider
+};
@@ -0,0 +1,90 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PROVEDOR SIMULADO (MOCK)
+ * Arquivo: providers/mock.js
+ * Descrição: Respostas roteirizadas e determinísticas, sem rede
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Útil para rodar e testar o bot inteiro offline.
+ * O roteiro pode vir de mock.script (objeto) ou mock.scriptFile (JSON):
+ *
+ * {
+ *   "replies":  [{ "match": "cólica", "text": "Sinto muito pela cólica 💗" }],
+ *   "defaultReply": "💗 Anotado!",
+ *   "classify": [{ "match": "menstrua", "entries": [{ "category": "menstruacao", "content": "Menstruação", "date": "today" }] }],
+ *   "insights": "📊 Seus registros estão em dia."
+ * }
+ *
+ * "match" é uma expressão regular (sem diferenciar maiúsculas).
+ * A primeira regra que casar com a mensagem é usada.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { LLMProvider } = require('./base');
+const { normalizeEntries } = require('../entries');
+
+const DEFAULT_SCRIPT = {
+  replies: [],
+  defaultReply: '💗 Anotado! (modo de teste, sem IA)',
+  classify: [],
+  insights: '📊 Insights indisponíveis no modo de teste.'
+};
+
+class MockProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super('mock', settings);
+    this.model = settings.model || 'mock';
+    this.script = DEFAULT_SCRIPT;
+    // Histórico das chamadas, para inspeção em testes
+    this.calls = [];
+  }
+
+  async initialize() {
+    let script = this.settings.script || {};
+
+    if (this.settings.scriptFile) {
+      const scriptPath = path.resolve(__dirname, '../..', this.settings.scriptFile);
+      script = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+    }
+
+    this.script = { ...DEFAULT_SCRIPT, ...script };
+    return true;
+  }
+
+  async generateText(prompt) {
+    this.calls.push({ method: 'generateText', input: prompt });
+    const rule = findRule(this.script.replies, prompt);
+    return rule ? rule.text : this.script.defaultReply;
+  }
+
+  async generate(message, context = {}) {
+    this.calls.push({ method: 'generate', input: message, context });
+    const rule = findRule(this.script.replies, message);
+    return rule ? rule.text : this.script.defaultReply;
+  }
+
+  async classify(message) {
+    this.calls.push({ method: 'classify', input: message });
+    const rule = findRule(this.script.classify, message);
+    // Sem regra: registrar como observação, igual ao fallback padrão
+    return normalizeEntries(rule ? rule.entries : [{ category: 'observacao' }], message);
+  }
+
+  async insights(records, options = {}) {
+    this.calls.push({ method: 'insights', input: records.length, options });
+    return this.script.insights;
+  }
+}
+
+/**
+ * Retorna a primeira regra cujo "match" casa com o texto
+ * @param {Array} rules - Regras do roteiro
+ * @param {string} text - Texto de entrada
+ * @returns {Object|undefined} Regra encontrada
+ */
+function findRule(rules = [], text) {
+  return rules.find(rule => new RegExp(rule.match, 'i').test(text));
+}
+
+module.exports = { MockProvider };
@@ -0,0 +1,107 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: PROVEDOR COMPATÍVEL COM OPENAI
+ * Arquivo: providers/openai.js
+ * Descrição: Qualquer endpoint /chat/completions (llama.cpp, Ollama...)
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Permite apontar o bot para um servidor local no próprio celular,
+ * ex.: http://127.0.0.1:8080/v1 (llama.cpp) ou
+ *      http://127.0.0.1:11434/v1 (Ollama)
+ */
+
+const { LLMProvider } = require('./base');
+const { buildSystemInstruction } = require('../prompts');
+
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor(settings = {}) {
+    super('openai', settings);
+    this.baseUrl = String(settings.baseUrl || '').replace(/\/+$/, '');
+    this.timeoutMs = settings.timeoutMs || 60000;
+  }
+
+  async initialize() {
+    if (!this.baseUrl) {
+      throw new Error('openai.baseUrl não configurado');
+    }
+    if (!this.model) {
+      throw new Error('openai.model não configurado');
+    }
+
+    const testText = await this.generateText('Olá');
+    if (!testText) {
+      throw new Error('Servidor retornou resposta vazia');
+    }
+
+    return true;
+  }
+
+  async generateText(prompt) {
+    return this.complete([{ role: 'user', content: prompt }]);
+  }
+
+  /**
+   * Responde enviando o histórico da conversa como mensagens do chat
+   * @param {string} message - Mensagem recebida
+   * @param {Object} context - Contexto (registros, ciclo, history, strict)
+   * @returns {Promise<string>} Resposta
+   */
+  async generate(message, context = {}) {
+    return this.complete([
+      { role: 'system', content: buildSystemInstruction(context) },
+      ...(context.history || []).map(turn => ({
+        role: turn.role === 'user' ? 'user' : 'assistant',
+        content: turn.text
+      })),
+      { role: 'user', content: message }
+    ]);
+  }
+
+  /**
+   * Chama /chat/completions com uma lista de mensagens
+   * @param {Array} messages - [{ role, content }]
+   * @returns {Promise<string>} Texto gerado
+   */
+  async complete(messages) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.settings.apiKey) {
+      headers.Authorization = `Bearer ${this.settings.apiKey}`;
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({
+          model: this.model,
+          messages,
+          temperature: this.settings.temperature ?? 0.7,
+          max_tokens: this.settings.maxTokens || 1024
+        }),
+        signal: controller.signal
+      });
+
+      if (!response.ok) {
+        const error = new Error(`HTTP ${response.status} em ${this.baseUrl}/chat/completions`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const data = await response.json();
+      return data.choices?.[0]?.message?.content || '';
+
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error(`Tempo esgotado após ${this.timeoutMs}ms`);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = { OpenAICompatibleProvider };
@@ -0,0 +1,134 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: FILAS DE PROCESSAMENTO
+ * Arquivo: queue.js
+ * Descrição: Ordem por usuária e limite de chamadas simultâneas
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Fila FIFO por usuária: as mensagens de uma mesma pessoa são
+ *   processadas uma de cada vez, na ordem de chegada (evita que
+ *   duas gravações do arquivo da usuária se sobreponham)
+ * - Usuárias diferentes continuam sendo atendidas em paralelo
+ * - Limitador de concorrência (usado para as chamadas à IA)
+ * - Esperar as filas esvaziarem ao encerrar o bot
+ */
+
+// Filas ativas: userId -> { tail: Promise, size }
+const userQueues = new Map();
+
+/**
+ * Coloca uma tarefa na fila da usuária
+ * A tarefa só começa quando as anteriores da mesma usuária terminam
+ * (com sucesso ou erro)
+ * @param {string} userId - ID do usuário
+ * @param {Function} task - Função assíncrona
+ * @returns {Promise<*>} Resultado da tarefa
+ */
+function enqueueForUser(userId, task) {
+  const queue = userQueues.get(userId) || { tail: Promise.resolve(), size: 0 };
+  queue.size++;
+  userQueues.set(userId, queue);
+
+  const run = queue.tail.then(() => task());
+
+  queue.tail = run
+    .catch(() => {})
+    .then(() => {
+      queue.size--;
+      if (queue.size === 0 && userQueues.get(userId) === queue) {
+        userQueues.delete(userId);
+      }
+    });
+
+  return run;
+}
+
+/**
+ * Quantidade de tarefas aguardando ou em execução
+ * @returns {Object} { users, pending }
+ */
+function getQueueStats() {
+  let pending = 0;
+  userQueues.forEach(queue => {
+    pending += queue.size;
+  });
+  return { users: userQueues.size, pending };
+}
+
+/**
+ * Aguarda todas as filas esvaziarem (ex.: antes de encerrar o bot)
+ * Tarefas colocadas durante a espera também são aguardadas
+ * @param {number} timeoutMs - Tempo máximo de espera
+ * @returns {Promise<boolean>} true se todas as tarefas terminaram a tempo
+ */
+async function waitForIdle(timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (userQueues.size > 0) {
+    const remaining = deadline - Date.now();
+    if (remaining <= 0) return false;
+
+    let timer;
+    const tails = [...userQueues.values()].map(queue => queue.tail);
+    await Promise.race([
+      Promise.all(tails),
+      new Promise(resolve => { timer = setTimeout(resolve, remaining); })
+    ]);
+    clearTimeout(timer);
+  }
+
+  return true;
+}
+
+/**
+ * Cria um limitador de tarefas simultâneas
+ * Tarefas acima do limite esperam, em ordem de chegada
+ * @param {number} maxConcurrent - Máximo de tarefas ao mesmo tempo
+ * @returns {Object} { run(task), setMax(n), stats() }
+ */
+function createConcurrencyLimiter(maxConcurrent = 1) {
+  let max = Math.max(1, maxConcurrent);
+  let active = 0;
+  const waiting = [];
+
+  const next = () => {
+    while (active < max && waiting.length > 0) {
+      active++;
+      const { task, resolve, reject } = waiting.shift();
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  };
+
+  return {
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+      });
+    },
+
+    setMax(value) {
+      max = Math.max(1, value);
+      next();
+    },
+
+    stats() {
+      return { active, waiting: waiting.length, max };
+    }
+  };
+}
+
+// Exportar funções do módulo
+module.exports = {
+  enqueueForUser,
+  getQueueStats,
+  waitForIdle,
+  createConcurrencyLimiter
+};
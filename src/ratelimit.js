@@ -0,0 +1,236 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: LIMITE DE MENSAGENS
+ * Arquivo: ratelimit.js
+ * Descrição: Protege a cota da IA contra números insistentes
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Token bucket por usuária e global para mensagens que usam a IA
+ * - Detectar rajadas (muitas mensagens em poucos segundos)
+ * - Contar infrações e bloquear temporariamente quem insiste
+ * - Fornecer as respostas educadas de espera
+ *
+ * Cada infração gera no máximo um aviso por período de espera,
+ * para o bot não responder a uma rajada com outra rajada.
+ */
+
+const NodeCache = require('node-cache');
+
+// Estado por usuária: buckets, janela de rajada, infrações e bloqueios
+// (expira sozinho quando a usuária fica inativa)
+const buckets = new NodeCache({ stdTTL: 3600, checkperiod: 600, useClones: false });
+const floods = new NodeCache({ stdTTL: 600, checkperiod: 600, useClones: false });
+const strikes = new NodeCache({ checkperiod: 600, useClones: false });
+const blocks = new NodeCache({ checkperiod: 60, useClones: false });
+
+let settings = {
+  userPerMinute: 6,
+  userBurst: 5,
+  globalPerMinute: 20,
+  globalBurst: 10,
+  floodWindowMs: 10000,
+  floodMaxMessages: 8,
+  maxStrikes: 3,
+  strikeWindowMinutes: 60,
+  blockMinutes: 30,
+  maxMessageLength: 2000
+};
+
+let globalBucket = null;
+
+const counters = { limited: 0, floods: 0, blocked: 0 };
+
+const LIMIT_MESSAGES = {
+  user: seconds =>
+    `⏳ Você enviou várias mensagens seguidas. Aguarde ${seconds} segundos e me escreva de novo. 💗\n\n` +
+    'Seus registros anteriores continuam salvos.',
+  global: () =>
+    '⏳ Estou recebendo muitas mensagens agora e preciso de uma pausa curta. ' +
+    'Tente novamente em alguns minutos. 💗',
+  flood: () =>
+    '⚠️ Recebi muitas mensagens em poucos segundos e vou pausar as respostas por um instante.\n\n' +
+    'Dica: você pode contar tudo em uma única mensagem. 💗',
+  blocked: minutes =>
+    `🚫 Suas mensagens foram pausadas por ${minutes} minutos por excesso de envios.\n\n` +
+    'Em uma emergência, ligue 192 (SAMU) ou procure a UPA mais próxima.',
+  tooLong: maxLength =>
+    `✂️ Sua mensagem é muito longa (máximo de ${maxLength} caracteres). ` +
+    'Pode enviar em partes menores? 💗'
+};
+
+/**
+ * Aplica as configurações de config.rateLimit
+ * @param {Object} config - Configurações
+ */
+function initializeRateLimit(config) {
+  settings = { ...settings, ...(config.rateLimit || {}) };
+  globalBucket = null;
+  buckets.flushAll();
+  floods.flushAll();
+  strikes.flushAll();
+  blocks.flushAll();
+}
+
+/**
+ * Verifica bloqueio e rajada; vale para toda mensagem recebida
+ * @param {string} userId - ID do usuário
+ * @param {number} now - Timestamp atual (ms)
+ * @returns {Object} { allowed } ou { allowed: false, reply } (reply null = ignorar em silêncio)
+ */
+function checkIncoming(userId, now = Date.now()) {
+  const block = blocks.get(userId);
+  if (block) {
+    if (block.notified) {
+      return { allowed: false, reply: null };
+    }
+    block.notified = true;
+    return { allowed: false, reply: LIMIT_MESSAGES.blocked(settings.blockMinutes) };
+  }
+
+  const flood = floods.get(userId) || { times: [], notified: false };
+  flood.times = flood.times.filter(time => now - time < settings.floodWindowMs);
+  flood.times.push(now);
+  floods.set(userId, flood);
+
+  if (flood.times.length <= settings.floodMaxMessages) {
+    flood.notified = false;
+    return { allowed: true };
+  }
+
+  counters.floods++;
+  if (flood.notified) {
+    return { allowed: false, reply: null };
+  }
+
+  flood.notified = true;
+  const blocked = addStrike(userId, now);
+  return {
+    allowed: false,
+    reply: blocked ? LIMIT_MESSAGES.blocked(settings.blockMinutes) : LIMIT_MESSAGES.flood()
+  };
+}
+
+/**
+ * Consome uma ficha dos buckets antes de usar a IA
+ * @param {string} userId - ID do usuário
+ * @param {number} now - Timestamp atual (ms)
+ * @returns {Object} { allowed } ou { allowed: false, reply } (reply null = já avisada)
+ */
+function consumeToken(userId, now = Date.now()) {
+  const userBucket = buckets.get(userId) ||
+    createBucket(settings.userBurst, settings.userPerMinute, now);
+  buckets.set(userId, userBucket);
+
+  if (!globalBucket) {
+    globalBucket = createBucket(settings.globalBurst, settings.globalPerMinute, now);
+  }
+
+  refill(userBucket, now);
+  refill(globalBucket, now);
+
+  if (userBucket.tokens < 1) {
+    counters.limited++;
+    if (now < userBucket.notifiedUntil) {
+      return { allowed: false, reply: null };
+    }
+
+    const waitSeconds = Math.ceil((1 - userBucket.tokens) / userBucket.ratePerMs / 1000);
+    userBucket.notifiedUntil = now + waitSeconds * 1000;
+
+    const blocked = addStrike(userId, now);
+    return {
+      allowed: false,
+      reply: blocked ? LIMIT_MESSAGES.blocked(settings.blockMinutes) : LIMIT_MESSAGES.user(waitSeconds)
+    };
+  }
+
+  // Limite global não é culpa da usuária: não conta infração
+  if (globalBucket.tokens < 1) {
+    counters.limited++;
+    return { allowed: false, reply: LIMIT_MESSAGES.global() };
+  }
+
+  userBucket.tokens -= 1;
+  globalBucket.tokens -= 1;
+  return { allowed: true };
+}
+
+/**
+ * Verifica o tamanho de uma mensagem
+ * @param {string} message - Texto recebido
+ * @returns {string|null} Resposta de recusa ou null se o tamanho é aceito
+ */
+function checkMessageLength(message) {
+  return message.length > settings.maxMessageLength
+    ? LIMIT_MESSAGES.tooLong(settings.maxMessageLength)
+    : null;
+}
+
+/**
+ * Tamanho máximo aceito para uma mensagem
+ * @returns {number} Caracteres
+ */
+function getMaxMessageLength() {
+  return settings.maxMessageLength;
+}
+
+/**
+ * Contadores para o painel administrativo
+ * @returns {Object} { limited, floods, blocked, blockedNow }
+ */
+function getRateLimitStats() {
+  return { ...counters, blockedNow: blocks.keys().length };
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function createBucket(capacity, perMinute, now) {
+  return {
+    capacity,
+    tokens: capacity,
+    ratePerMs: perMinute / 60000,
+    updatedAt: now,
+    notifiedUntil: 0
+  };
+}
+
+function refill(bucket, now) {
+  const elapsed = Math.max(0, now - bucket.updatedAt);
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + elapsed * bucket.ratePerMs);
+  bucket.updatedAt = now;
+}
+
+/**
+ * Registra uma infração; ao atingir maxStrikes, bloqueia a usuária
+ * @returns {boolean} true se a usuária foi bloqueada agora
+ */
+function addStrike(userId, now) {
+  const windowMs = settings.strikeWindowMinutes * 60000;
+  const times = (strikes.get(userId) || []).filter(time => now - time < windowMs);
+  times.push(now);
+
+  if (times.length < settings.maxStrikes) {
+    strikes.set(userId, times, settings.strikeWindowMinutes * 60);
+    return false;
+  }
+
+  strikes.del(userId);
+  blocks.set(userId, { since: now, notified: true }, settings.blockMinutes * 60);
+  counters.blocked++;
+
+  console.log(`🚫 ${userId.split('@')[0].slice(0, 4)}*** bloqueado(a) por ${settings.blockMinutes} min (excesso de mensagens)`);
+  return true;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  initializeRateLimit,
+  checkIncoming,
+  consumeToken,
+  checkMessageLength,
+  getMaxMessageLength,
+  getRateLimitStats
+};
@@ -0,0 +1,151 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: FILTRO DE SEGURANÇA DAS RESPOSTAS
+ * Arquivo: safety.js
+ * Descrição: Bloqueia diagnósticos e prescrições no texto da IA
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Procurar nas respostas da IA: remédio com dose, instrução de
+ *   uso ("tome de 8 em 8 horas") e diagnóstico ("você tem SOP")
+ * - Fornecer os textos seguros que substituem a resposta bloqueada
+ * - Contar os bloqueios em logs/output-audit.json para revisar
+ *   regressões de prompt (o texto da resposta não é gravado)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { removeAccents } = require('./utils');
+
+const AUDIT_FILE = path.join(__dirname, '../logs/output-audit.json');
+const MAX_AUDIT_EVENTS = 50;
+
+const DRUGS = [
+  'ibuprofeno', 'paracetamol', 'dipirona', 'buscopan', 'escopolamina', 'nimesulida',
+  'diclofenaco', 'naproxeno', 'cetoprofeno', 'acido mefenamico', 'ponstan',
+  'acido tranexamico', 'transamin', 'metronidazol', 'fluconazol', 'azitromicina',
+  'amoxicilina', 'ciprofloxacino', 'doxiciclina', 'clindamicina', 'nitrofurantoina',
+  'levonorgestrel', 'pilula do dia seguinte', 'misoprostol', 'citotec', 'progesterona',
+  'estradiol', 'noretisterona', 'desogestrel', 'drospirenona', 'ciproterona',
+  'metformina', 'clomifeno', 'letrozol', 'antibiotico', 'anti-inflamatorio'
+].join('|');
+
+const CONDITIONS = [
+  'endometriose', 'adenomiose', 'sop', 'sindrome dos ovarios policisticos', 'ovarios? policisticos?',
+  'miomas?', 'cistos?', 'infeccao( urinaria)?', 'candidiase', 'vaginose', 'tricomoniase',
+  'clamidia', 'gonorreia', 'sifilis', 'hpv', 'herpes', 'ist', 'dst', 'cancer', 'tumor',
+  'gravidez ectopica', 'doenca inflamatoria pelvica', 'dip', 'anemia',
+  'hipotireoidismo', 'menopausa', 'infertilidade'
+].join('|');
+
+// Frases com estas palavras orientam a NÃO usar remédio por conta própria
+const CAUTION_PATTERN = /\b(nao|evite|evitar|consulte|converse|procure|sem orientacao|sem prescricao)\b/;
+
+// Quantidade em algarismos ou por extenso ("2", "duas", "meio")
+const COUNT = '(\\d+([.,]\\d+)?|um|uma|meio|meia|dois|duas|tres|quatro|cinco|dez|vinte)';
+const DOSE_UNITS = '(comprimidos?|capsulas?|gotas|ml)';
+
+const RULES = [
+  {
+    id: 'dose',
+    // remédio → quantidade, quantidade → (de) remédio, ou "tome 2 comprimidos" mesmo sem o nome
+    pattern: new RegExp(
+      `\\b\\d+([.,]\\d+)?\\s?(mg|mcg|ui|miligramas?|microgramas?)\\b` +
+      `|\\b(${DRUGS})\\b[^.\\n]{0,40}\\b\\d+\\s?${DOSE_UNITS}\\b` +
+      `|\\b${COUNT}\\s?${DOSE_UNITS}\\s+(de\\s+|do\\s+|da\\s+)?(${DRUGS})\\b` +
+      `|\\b(tome|tomar|toma|use|usar|pingue|pingar|coloque|ingira|pode tomar)\\s+${COUNT}\\s?${DOSE_UNITS}\\b`
+    )
+  },
+  {
+    id: 'posologia',
+    pattern: /\b(de \d+ em \d+ horas|a cada \d+ horas|\d+ ?(x|vezes) (ao|por) dia|por \d+ dias seguidos|em jejum por \d+)\b/
+  },
+  {
+    id: 'indicacao_remedio',
+    pattern: new RegExp(`\\b(tome|tomar|use|usar|recomendo|indico|pode tomar|experimente)\\s+(um |uma |o |a |algum |alguma )?(${DRUGS})\\b`),
+    allowWhen: CAUTION_PATTERN
+  },
+  {
+    id: 'diagnostico',
+    pattern: new RegExp(`\\b(voce (tem|esta com|possui|sofre de|deve ter|provavelmente tem|certamente tem|esta)|isso (e|indica|confirma)|seus sintomas (indicam|confirmam|sao de))\\s+(claramente |certamente |com certeza )?(uma |um |a |o )?(${CONDITIONS})\\b|\\bseu diagnostico (e|seria)\\b`),
+    // Perguntar ("você tem anemia?") faz parte da triagem, não é diagnóstico
+    allowWhen: /\?\s*$/
+  }
+];
+
+const SAFE_TEMPLATES = {
+  reply:
+    '💗 Obrigada por compartilhar. Eu não posso indicar diagnósticos nem remédios, ' +
+    'mas uma profissional de saúde pode avaliar com cuidado o que você está sentindo.\n\n' +
+    'Continuo registrando seus sintomas para você levar à consulta. 🩺',
+  insights:
+    '📊 Não consegui gerar insights seguros agora.\n\n' +
+    'Seus registros continuam salvos: use /resumo e /ciclo para vê-los e leve-os à sua consulta. 🩺',
+  // No /consulta o parágrafo da IA é opcional: bloqueado, fica de fora
+  appointment: null
+};
+
+/**
+ * Verifica se um texto gerado pela IA contém diagnóstico ou prescrição
+ * @param {string} text - Texto gerado
+ * @returns {Object} { safe, rules: [ids das regras violadas] }
+ */
+function checkOutput(text) {
+  const normalized = removeAccents(String(text || '').toLowerCase());
+  const sentences = normalized.split(/(?<=[.!?\n])/);
+
+  const rules = RULES.filter(rule => sentences.some(sentence => {
+    if (!rule.pattern.test(sentence)) return false;
+    return !(rule.allowWhen && rule.allowWhen.test(sentence));
+  })).map(rule => rule.id);
+
+  return { safe: rules.length === 0, rules };
+}
+
+/**
+ * Conta uma resposta bloqueada no arquivo de auditoria
+ * @param {Object} event - { kind, rules, outcome, provider, model }
+ *   kind: 'reply', 'insights' ou 'appointment'
+ *   outcome: 'regenerated' (a nova tentativa passou) ou 'replaced' (texto seguro)
+ */
+function recordBlockedOutput(event) {
+  console.log(`🛡️  Resposta bloqueada (${event.kind}): ${event.rules.join(', ')} → ${event.outcome}`);
+
+  try {
+    const audit = loadAudit();
+    const day = new Date().toISOString().split('T')[0];
+
+    audit.total++;
+    audit.byKind[event.kind] = (audit.byKind[event.kind] || 0) + 1;
+    audit.byOutcome[event.outcome] = (audit.byOutcome[event.outcome] || 0) + 1;
+    audit.byDay[day] = (audit.byDay[day] || 0) + 1;
+    event.rules.forEach(rule => {
+      audit.byRule[rule] = (audit.byRule[rule] || 0) + 1;
+    });
+
+    audit.recent.unshift({ timestamp: new Date().toISOString(), ...event });
+    audit.recent = audit.recent.slice(0, MAX_AUDIT_EVENTS);
+
+    fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+    fs.writeFileSync(AUDIT_FILE, JSON.stringify(audit, null, 2), 'utf8');
+  } catch (error) {
+    console.error('❌ Erro ao gravar auditoria de respostas:', error.message);
+  }
+}
+
+function loadAudit() {
+  const empty = { total: 0, byRule: {}, byKind: {}, byOutcome: {}, byDay: {}, recent: [] };
+
+  if (!fs.existsSync(AUDIT_FILE)) {
+    return empty;
+  }
+
+  return { ...empty, ...JSON.parse(fs.readFileSync(AUDIT_FILE, 'utf8')) };
+}
+
+// Exportar funções do módulo
+module.exports = {
+  SAFE_TEMPLATES,
+  checkOutput,
+  recordBlockedOutput
+};
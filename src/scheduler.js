@@ -0,0 +1,521 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: AGENDADOR DE LEMBRETES
+ * Arquivo: scheduler.js
+ * Descrição: Lembretes persistentes enviados pelo bot
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Armazenar lembretes de cada usuária (sobrevivem a reinícios)
+ * - Calcular próximas execuções (diário, semanal, intervalo)
+ * - Respeitar horário de silêncio
+ * - Recuperar lembretes perdidos enquanto o bot estava parado
+ * - Entregar mensagens pela função de envio do WhatsApp
+ *
+ * O formato de cada arquivo (JSON aberto ou cifrado) é detectado na
+ * leitura; arquivos em outro modo são regravados no modo configurado
+ * e arquivos que não abrem nunca são sobrescritos
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { encryptData, decryptData } = require('./security');
+const { generateUniqueId, removeAccents, writeFileAtomic } = require('./utils');
+
+// Diretório dos lembretes (um arquivo por usuária)
+const REMINDERS_DIR = path.join(__dirname, '../data/reminders');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Limite de lembretes ativos por usuária
+const MAX_REMINDERS_PER_USER = 20;
+
+const WEEKDAYS = ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sab'];
+const WEEKDAY_NAMES = ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'];
+
+// Estado do agendador
+const reminders = new Map(); // userKey -> { jid, jobs: [], quietHours }
+const unreadable = new Set(); // userKey de arquivos que não abriram
+let settings = {
+  encrypted: false,
+  quietHours: null,
+  catchUpWindowMs: 12 * HOUR_MS,
+  checkIntervalMs: 30000
+};
+let sender = null;
+let timer = null;
+let ticking = false;
+
+/**
+ * Inicializa o agendador e carrega lembretes salvos
+ * @param {Object} config - Configurações da aplicação
+ * @returns {number} Quantidade de lembretes ativos carregados
+ */
+function initializeScheduler(config) {
+  const reminderConfig = config.reminders || {};
+
+  settings = {
+    encrypted: config.security?.enableEncryption || false,
+    quietHours: reminderConfig.quietHours || null,
+    catchUpWindowMs: (reminderConfig.catchUpWindowHours ?? 12) * HOUR_MS,
+    checkIntervalMs: reminderConfig.checkIntervalMs || 30000
+  };
+
+  if (!fs.existsSync(REMINDERS_DIR)) {
+    fs.mkdirSync(REMINDERS_DIR, { recursive: true });
+  }
+
+  reminders.clear();
+  unreadable.clear();
+  let total = 0;
+
+  fs.readdirSync(REMINDERS_DIR)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const userKey = path.basename(file, '.json');
+
+      try {
+        const content = fs.readFileSync(path.join(REMINDERS_DIR, file), 'utf8').trim();
+        const wasEncrypted = !content.startsWith('{');
+        const data = JSON.parse(wasEncrypted ? decryptData(content) : content);
+        reminders.set(userKey, data);
+        total += data.jobs.filter(job => job.active).length;
+
+        // Converter para o modo configurado
+        if (wasEncrypted !== settings.encrypted) {
+          saveUserReminders(userKey);
+        }
+      } catch (error) {
+        unreadable.add(userKey);
+        console.error(`❌ Erro ao carregar lembretes ${file}:`, error.message);
+      }
+    });
+
+  return total;
+}
+
+/**
+ * Inicia a verificação periódica de lembretes
+ * Chamado quando a conexão com o WhatsApp está aberta
+ * @param {Function} sendFn - async (jid, text) => envia a mensagem
+ */
+function startScheduler(sendFn) {
+  sender = sendFn;
+  stopTimer();
+  timer = setInterval(() => tick(), settings.checkIntervalMs);
+  // Verificação imediata para recuperar lembretes perdidos
+  tick();
+}
+
+/**
+ * Pausa o envio de lembretes (ex.: conexão caiu)
+ * Lembretes vencidos continuam pendentes até a próxima conexão
+ */
+function stopScheduler() {
+  sender = null;
+  stopTimer();
+}
+
+function stopTimer() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+/**
+ * Verifica e envia lembretes vencidos
+ * @param {Date} now - Momento de referência
+ */
+async function tick(now = new Date()) {
+  if (ticking || !sender) return;
+  ticking = true;
+
+  try {
+    for (const [userKey, userReminders] of reminders.entries()) {
+      let changed = false;
+
+      for (const job of userReminders.jobs) {
+        if (!job.active) continue;
+
+        const due = getEffectiveDueTime(job, userReminders.quietHours);
+        if (due > now.getTime()) continue;
+
+        const lateMs = now.getTime() - due;
+
+        if (lateMs <= settings.catchUpWindowMs) {
+          const late = lateMs > 5 * 60000;
+          try {
+            await sender(userReminders.jid, formatReminderMessage(job, late));
+            job.lastSentAt = now.toISOString();
+          } catch (error) {
+            // Falha no envio: manter pendente para a próxima verificação
+            console.error('❌ Erro ao enviar lembrete:', error.message);
+            continue;
+          }
+        } else {
+          console.log(`⏭️  Lembrete ${job.id} perdido há mais de ${Math.round(lateMs / HOUR_MS)}h, reagendando`);
+        }
+
+        advanceJob(job, now);
+        changed = true;
+      }
+
+      if (changed) {
+        saveUserReminders(userKey);
+      }
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Calcula quando o lembrete deve ser entregue
+ * Se a execução cair no horário de silêncio, adia para o fim dele
+ * @param {Object} job - Lembrete
+ * @param {Object|null} userQuietHours - Horário de silêncio da usuária
+ * @returns {number} Timestamp em ms
+ */
+function getEffectiveDueTime(job, userQuietHours) {
+  const nextRun = new Date(job.nextRun);
+  const quietHours = userQuietHours === undefined ? settings.quietHours : userQuietHours;
+
+  if (!quietHours || !isInQuietHours(nextRun, quietHours)) {
+    return nextRun.getTime();
+  }
+
+  return getQuietHoursEnd(nextRun, quietHours).getTime();
+}
+
+/**
+ * Verifica se um horário está dentro do silêncio
+ * @param {Date} date - Momento a verificar
+ * @param {Object} quietHours - { start: 'HH:MM', end: 'HH:MM' }
+ * @returns {boolean} true se está no horário de silêncio
+ */
+function isInQuietHours(date, quietHours) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const start = timeToMinutes(quietHours.start);
+  const end = timeToMinutes(quietHours.end);
+
+  if (start === end) return false;
+  if (start < end) return minutes >= start && minutes < end;
+  // Silêncio atravessa a meia-noite (ex.: 22:00 → 07:00)
+  return minutes >= start || minutes < end;
+}
+
+/**
+ * Retorna o fim do horário de silêncio que contém a data
+ * @param {Date} date - Momento dentro do silêncio
+ * @param {Object} quietHours - { start, end }
+ * @returns {Date} Fim do silêncio
+ */
+function getQuietHoursEnd(date, quietHours) {
+  const endMinutes = timeToMinutes(quietHours.end);
+  const end = new Date(date);
+  end.setHours(Math.floor(endMinutes / 60), endMinutes % 60, 0, 0);
+
+  if (end <= date) {
+    end.setDate(end.getDate() + 1);
+  }
+
+  return end;
+}
+
+/**
+ * Avança o lembrete para a próxima execução após "now"
+ * Lembretes únicos são desativados após o disparo
+ * @param {Object} job - Lembrete
+ * @param {Date} now - Momento de referência
+ */
+function advanceJob(job, now) {
+  if (job.recurrence.type === 'once') {
+    job.active = false;
+    return;
+  }
+
+  job.nextRun = computeNextRun(job.recurrence, now, new Date(job.nextRun)).toISOString();
+}
+
+/**
+ * Calcula a próxima execução estritamente depois de "after"
+ * @param {Object} recurrence - { type, hour, minute, weekday, everyDays, everyHours }
+ * @param {Date} after - Momento de referência
+ * @param {Date} anchor - Última execução prevista (para intervalos)
+ * @returns {Date} Próxima execução
+ */
+function computeNextRun(recurrence, after, anchor = after) {
+  const next = new Date(after);
+
+  switch (recurrence.type) {
+    case 'daily':
+      next.setHours(recurrence.hour, recurrence.minute, 0, 0);
+      if (next <= after) next.setDate(next.getDate() + 1);
+      return next;
+
+    case 'weekly': {
+      next.setHours(recurrence.hour, recurrence.minute, 0, 0);
+      let diff = (recurrence.weekday - next.getDay() + 7) % 7;
+      if (diff === 0 && next <= after) diff = 7;
+      next.setDate(next.getDate() + diff);
+      return next;
+    }
+
+    case 'interval': {
+      const stepMs = recurrence.everyHours
+        ? recurrence.everyHours * HOUR_MS
+        : recurrence.everyDays * DAY_MS;
+      let candidate = anchor.getTime();
+      if (candidate > after.getTime()) return new Date(candidate);
+      const steps = Math.floor((after.getTime() - candidate) / stepMs) + 1;
+      candidate += steps * stepMs;
+      return new Date(candidate);
+    }
+
+    default:
+      return next;
+  }
+}
+
+/**
+ * Cria um novo lembrete
+ * @param {string} jid - JID WhatsApp da usuária
+ * @param {Object} recurrence - Regra de repetição
+ * @param {string} text - Texto do lembrete
+ * @returns {Object|null|false} Lembrete criado, null se limite atingido
+ *   ou false se não foi possível gravá-lo
+ */
+function createReminder(jid, recurrence, text) {
+  const userReminders = getUserReminders(jid);
+
+  if (userReminders.jobs.filter(job => job.active).length >= MAX_REMINDERS_PER_USER) {
+    return null;
+  }
+
+  const now = new Date();
+  let nextRun;
+
+  if (recurrence.type === 'interval' && recurrence.everyHours) {
+    nextRun = new Date(now.getTime() + recurrence.everyHours * HOUR_MS);
+  } else if (recurrence.type === 'interval') {
+    nextRun = computeNextRun({ type: 'daily', hour: recurrence.hour, minute: recurrence.minute }, now);
+  } else if (recurrence.type === 'once') {
+    nextRun = new Date(recurrence.at);
+  } else {
+    nextRun = computeNextRun(recurrence, now);
+  }
+
+  const job = {
+    id: generateUniqueId(),
+    text,
+    recurrence,
+    nextRun: nextRun.toISOString(),
+    createdAt: now.toISOString(),
+    lastSentAt: null,
+    active: true
+  };
+
+  userReminders.jobs.push(job);
+
+  // Sem gravar, o lembrete sumiria ao reiniciar: melhor não criá-lo
+  if (!saveUserReminders(getUserKey(jid))) {
+    userReminders.jobs = userReminders.jobs.filter(other => other !== job);
+    return false;
+  }
+
+  return job;
+}
+
+/**
+ * Lista lembretes ativos de uma usuária, ordenados pela próxima execução
+ * @param {string} jid - JID WhatsApp
+ * @returns {Array} Lembretes ativos
+ */
+function listReminders(jid) {
+  return getUserReminders(jid).jobs
+    .filter(job => job.active)
+    .sort((a, b) => new Date(a.nextRun) - new Date(b.nextRun));
+}
+
+/**
+ * Cancela um lembrete pela posição na lista (1..N)
+ * @param {string} jid - JID WhatsApp
+ * @param {number} position - Posição mostrada em listReminders
+ * @returns {Object|null} Lembrete cancelado ou null
+ */
+function cancelReminder(jid, position) {
+  const job = listReminders(jid)[position - 1];
+  if (!job) return null;
+
+  job.active = false;
+  saveUserReminders(getUserKey(jid));
+  return job;
+}
+
+/**
+ * Define o horário de silêncio de uma usuária
+ * @param {string} jid - JID WhatsApp
+ * @param {Object|null} quietHours - { start, end } ou null para desativar
+ */
+function setQuietHours(jid, quietHours) {
+  const userReminders = getUserReminders(jid);
+  userReminders.quietHours = quietHours;
+  saveUserReminders(getUserKey(jid));
+}
+
+/**
+ * Retorna o horário de silêncio em vigor para a usuária
+ * @param {string} jid - JID WhatsApp
+ * @returns {Object|null} { start, end } ou null
+ */
+function getQuietHours(jid) {
+  const userReminders = getUserReminders(jid);
+  return userReminders.quietHours === undefined ? settings.quietHours : userReminders.quietHours;
+}
+
+/**
+ * Remove todos os lembretes de uma usuária
+ * @param {string} jid - JID WhatsApp
+ */
+function deleteUserReminders(jid) {
+  const userKey = getUserKey(jid);
+  reminders.delete(userKey);
+  unreadable.delete(userKey);
+
+  const filePath = path.join(REMINDERS_DIR, `${userKey}.json`);
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath);
+  }
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function getUserKey(jid) {
+  return jid.split('@')[0].replace(/[^0-9]/g, '');
+}
+
+function getUserReminders(jid) {
+  const userKey = getUserKey(jid);
+
+  if (!reminders.has(userKey)) {
+    reminders.set(userKey, { jid, jobs: [] });
+  }
+
+  return reminders.get(userKey);
+}
+
+function saveUserReminders(userKey) {
+  if (unreadable.has(userKey)) {
+    console.error(`❌ Lembretes de ${userKey} não foram lidos; gravação recusada para não perdê-los`);
+    return false;
+  }
+
+  try {
+    const data = reminders.get(userKey);
+    // Manter apenas lembretes ativos no arquivo
+    data.jobs = data.jobs.filter(job => job.active);
+
+    let content = JSON.stringify(data, null, 2);
+    if (settings.encrypted) {
+      content = encryptData(content);
+    }
+
+    writeFileAtomic(path.join(REMINDERS_DIR, `${userKey}.json`), content);
+    return true;
+  } catch (error) {
+    console.error(`❌ Erro ao salvar lembretes de ${userKey}:`, error.message);
+    return false;
+  }
+}
+
+function timeToMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + (minute || 0);
+}
+
+/**
+ * Interpreta horário em formatos como 8h, 08:00, 20h30
+ * @param {string} text - Texto do horário
+ * @returns {Object|null} { hour, minute } ou null se inválido
+ */
+function parseTime(text) {
+  const match = String(text).toLowerCase().match(/^(\d{1,2})(?:[:h](\d{2})?)?$/);
+  if (!match) return null;
+
+  const hour = parseInt(match[1]);
+  const minute = parseInt(match[2] || '0');
+  if (hour > 23 || minute > 59) return null;
+
+  return { hour, minute };
+}
+
+/**
+ * Converte nome de dia da semana em número (0 = domingo)
+ * @param {string} text - Ex.: seg, terça, sábado
+ * @returns {number} Dia da semana ou -1 se inválido
+ */
+function parseWeekday(text) {
+  return WEEKDAYS.indexOf(removeAccents(String(text).toLowerCase()).substring(0, 3));
+}
+
+/**
+ * Descreve a regra de repetição em português
+ * @param {Object} recurrence - Regra de repetição
+ * @returns {string} Descrição legível
+ */
+function describeRecurrence(recurrence) {
+  const time = recurrence.hour !== undefined
+    ? `${String(recurrence.hour).padStart(2, '0')}:${String(recurrence.minute).padStart(2, '0')}`
+    : '';
+
+  switch (recurrence.type) {
+    case 'daily':
+      return `todo dia às ${time}`;
+    case 'weekly':
+      return `toda semana, ${WEEKDAY_NAMES[recurrence.weekday]}, às ${time}`;
+    case 'interval':
+      return recurrence.everyHours
+        ? `a cada ${recurrence.everyHours}h`
+        : `a cada ${recurrence.everyDays} dias às ${time}`;
+    case 'once':
+      return 'uma vez';
+    default:
+      return recurrence.type;
+  }
+}
+
+function formatReminderMessage(job, late) {
+  let message = `⏰ *Lembrete*\n\n${job.text}`;
+
+  if (late) {
+    const scheduled = new Date(job.nextRun).toLocaleString('pt-BR', {
+      day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit'
+    });
+    message += `\n\n_Este lembrete era para ${scheduled} e foi enviado com atraso._`;
+  }
+
+  return message;
+}
+
+// Exportar funções do módulo
+module.exports = {
+  initializeScheduler,
+  startScheduler,
+  stopScheduler,
+  tick,
+  computeNextRun,
+  isInQuietHours,
+  createReminder,
+  listReminders,
+  cancelReminder,
+  setQuietHours,
+  getQuietHours,
+  deleteUserReminders,
+  parseTime,
+  parseWeekday,
+  describeRecurrence
+};
@@ -6,7 +6,9 @@
  * ═══════════════════════════════════════════════════════════
  * 
  * Responsabilidades:
- * - Criptografia AES-256 de dados sensíveis
+ * - Criptografia AES-256 de dados sensíveis, em envelope: cada dado
+ *   tem sua chave aleatória, embrulhada pela chave mestra (com ID)
+ * - Chaveiro de chaves mestras (atual + antigas, para rotação)
  * - Hash de PINs com bcrypt
  * - Validação de acesso
  * - Geração de chaves seguras
@@ -22,58 +24,185 @@ const KEY_LENGTH = 32; // 256 bits
 const IV_LENGTH = 16;
 const SALT_ROUNDS = 10;
 
-// Chave mestra de criptografia (em produção, usar variável de ambiente)
+// Bloqueio por tentativas erradas de PIN
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 900000; // 15 minutos (dobra a cada novo bloqueio)
+const MAX_PIN_LOCKOUT_MS = 86400000; // 24 horas
+
+// Segredo da chave padrão, usada por instalações antigas sem
+// security.masterKey. É público (está no código): só serve para ler
+// dados gravados antes de a chave ser configurada
+const DEFAULT_KEY_SECRET = 'gyneco-bot-default-key';
+
+// Chave mestra de criptografia (derivada de security.masterKey)
 // IMPORTANTE: Esta chave deve ser mantida em segredo absoluto
 let MASTER_KEY = null;
+let MASTER_KEY_ID = null;
+let DEFAULT_KEY = null;
+
+// Chaves mestras conhecidas: ID -> chave. Só a atual cifra dados novos;
+// as outras abrem dados ainda embrulhados por elas (rotação, dados antigos)
+const keyring = new Map();
+
+// Já avisamos que há dados gravados com a chave padrão
+let legacyDataWarned = false;
+
+/**
+ * Define a chave mestra a partir do segredo configurado
+ * (security.masterKey, vinda de variável de ambiente ou do arquivo de segredos)
+ * @param {string} secret - Segredo; vazio mantém a chave padrão
+ */
+function configureMasterKey(secret) {
+  registerMasterKey(DEFAULT_KEY_SECRET);
+  MASTER_KEY_ID = registerMasterKey(secret || DEFAULT_KEY_SECRET);
+  MASTER_KEY = keyring.get(MASTER_KEY_ID);
+}
+
+/**
+ * Acrescenta uma chave mestra ao chaveiro, sem trocar a atual
+ * (ex.: a chave nova durante a rotação)
+ * @param {string} secret - Segredo
+ * @returns {string} ID da chave
+ */
+function registerMasterKey(secret) {
+  const key = deriveKey(secret);
+  const keyId = getKeyId(key);
+  keyring.set(keyId, key);
+  return keyId;
+}
 
 /**
- * Inicializa ou recupera a chave mestra de criptografia
- * Em produção, esta chave deve vir de variável de ambiente ou arquivo protegido
+ * Recupera a chave mestra de criptografia
+ * Sem configureMasterKey, usa a chave padrão (o index.js não inicia
+ * assim com a criptografia ligada)
  * @returns {Buffer} Chave mestra
  */
 function getMasterKey() {
   if (!MASTER_KEY) {
-    // Gerar chave determinística baseada em identificador único do dispositivo
-    // Em produção, usar uma chave fixa armazenada com segurança
-    const identifier = process.env.DEVICE_ID || 'gyneco-bot-default-key';
-    MASTER_KEY = crypto.scryptSync(identifier, 'salt', KEY_LENGTH);
+    configureMasterKey(null);
   }
   return MASTER_KEY;
 }
 
 /**
- * Criptografa dados usando AES-256-GCM
+ * ID da chave mestra atual (vai no cabeçalho dos dados cifrados)
+ * @returns {string} ID da chave
+ */
+function getMasterKeyId() {
+  getMasterKey();
+  return MASTER_KEY_ID;
+}
+
+/**
+ * Indica se a chave mestra em uso é a chave padrão (pública)
+ * @returns {boolean} true se for a chave padrão
+ */
+function isDefaultMasterKey() {
+  return getMasterKey().equals(getDefaultKey());
+}
+
+/**
+ * Indica se uma chave mestra está no chaveiro
+ * @param {string} keyId - ID da chave
+ * @returns {boolean} true se a chave é conhecida
+ */
+function hasMasterKey(keyId) {
+  getMasterKey();
+  return keyring.has(keyId);
+}
+
+/**
+ * Deriva uma chave AES-256 de um segredo
+ * (mesma derivação de sempre: quem usava DEVICE_ID continua lendo os dados)
+ * @param {string} secret - Segredo
+ * @returns {Buffer} Chave
+ */
+function deriveKey(secret) {
+  return crypto.scryptSync(secret, 'salt', KEY_LENGTH);
+}
+
+/**
+ * Chave padrão (pública), derivada uma única vez
+ * @returns {Buffer} Chave
+ */
+function getDefaultKey() {
+  if (!DEFAULT_KEY) {
+    DEFAULT_KEY = deriveKey(DEFAULT_KEY_SECRET);
+  }
+  return DEFAULT_KEY;
+}
+
+/**
+ * ID público de uma chave mestra (não revela a chave)
+ * @param {Buffer} key - Chave
+ * @returns {string} 16 caracteres hexadecimais
+ */
+function getKeyId(key) {
+  return crypto.createHash('sha256').update('gyneco-key-id').update(key).digest('hex').slice(0, 16);
+}
+
+/**
+ * Criptografa um texto em envelope: uma chave de dados aleatória cifra
+ * o conteúdo e é guardada embrulhada (cifrada) pela chave mestra
+ * Trocar a chave mestra só exige reembrulhar a chave de dados
  * @param {string} plaintext - Texto a ser criptografado
- * @returns {string} Texto criptografado em base64
+ * @param {string} keyId - Chave mestra que embrulha (padrão: a atual)
+ * @returns {Object} { kid, wrappedKey, iv, authTag, data } em base64
  */
-function encryptData(plaintext) {
-  try {
-    // Gerar IV (Initialization Vector) aleatório
-    const iv = crypto.randomBytes(IV_LENGTH);
-    
-    // Criar cipher
-    const cipher = crypto.createCipheriv(
-      ENCRYPTION_ALGORITHM,
-      getMasterKey(),
-      iv
-    );
-
-    // Criptografar
-    let encrypted = cipher.update(plaintext, 'utf8', 'base64');
-    encrypted += cipher.final('base64');
-
-    // Obter tag de autenticação (GCM)
-    const authTag = cipher.getAuthTag();
-
-    // Combinar IV + AuthTag + Encrypted (tudo em base64)
-    const combined = {
-      iv: iv.toString('base64'),
-      authTag: authTag.toString('base64'),
-      encrypted: encrypted
-    };
+function sealEnvelope(plaintext, keyId = getMasterKeyId()) {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, dataKey, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    kid: keyId,
+    wrappedKey: wrapKey(dataKey, getKeyringKey(keyId)),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Abre um envelope com a chave mestra indicada nele
+ * @param {Object} envelope - Gerado por sealEnvelope
+ * @returns {string} Texto descriptografado
+ */
+function openEnvelope(envelope) {
+  const dataKey = unwrapKey(envelope.wrappedKey, getKeyringKey(envelope.kid));
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, dataKey, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(envelope.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Reembrulha a chave de dados de um envelope com outra chave mestra
+ * O conteúdo cifrado não muda
+ * @param {Object} envelope - Envelope
+ * @param {string} keyId - Chave mestra de destino
+ * @returns {Object|null} Novo envelope, ou null se já estava nessa chave
+ */
+function rewrapEnvelope(envelope, keyId) {
+  if (envelope.kid === keyId) return null;
 
-    return Buffer.from(JSON.stringify(combined)).toString('base64');
+  const dataKey = unwrapKey(envelope.wrappedKey, getKeyringKey(envelope.kid));
+  return { ...envelope, kid: keyId, wrappedKey: wrapKey(dataKey, getKeyringKey(keyId)) };
+}
 
+/**
+ * Criptografa dados usando AES-256-GCM (em envelope)
+ * @param {string} plaintext - Texto a ser criptografado
+ * @param {string} keyId - Chave mestra que embrulha (padrão: a atual)
+ * @returns {string} Texto criptografado em base64
+ */
+function encryptData(plaintext, keyId = getMasterKeyId()) {
+  try {
+    return encodeEnvelope(sealEnvelope(plaintext, keyId));
   } catch (error) {
     console.error('❌ Erro ao criptografar:', error.message);
     throw new Error('Falha na criptografia');
@@ -82,42 +211,48 @@ function encryptData(plaintext) {
 
 /**
  * Descriptografa dados
+ * Aceita envelopes e o formato antigo (cifrado direto com a chave mestra)
  * @param {string} ciphertext - Texto criptografado em base64
  * @returns {string} Texto descriptografado
  */
 function decryptData(ciphertext) {
   try {
-    // Decodificar estrutura
-    const combined = JSON.parse(
-      Buffer.from(ciphertext, 'base64').toString('utf8')
-    );
-
-    const iv = Buffer.from(combined.iv, 'base64');
-    const authTag = Buffer.from(combined.authTag, 'base64');
-    const encrypted = combined.encrypted;
-
-    // Criar decipher
-    const decipher = crypto.createDecipheriv(
-      ENCRYPTION_ALGORITHM,
-      getMasterKey(),
-      iv
-    );
-
-    // Configurar tag de autenticação
-    decipher.setAuthTag(authTag);
-
-    // Descriptografar
-    let decrypted = decipher.update(encrypted, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
-
-    return decrypted;
-
+    const combined = decodeEnvelope(ciphertext);
+    return combined.kid ? openEnvelope(combined) : decryptLegacy(combined);
   } catch (error) {
     console.error('❌ Erro ao descriptografar:', error.message);
     throw new Error('Falha na descriptografia');
   }
 }
 
+/**
+ * Passa dados criptografados para outra chave mestra
+ * Envelopes só têm a chave de dados reembrulhada; dados no formato
+ * antigo são convertidos para envelope (o conteúdo é recifrado)
+ * @param {string} ciphertext - Gerado por encryptData
+ * @param {string} keyId - Chave mestra de destino
+ * @returns {Object|null} { ciphertext, converted } ou null se já estava nessa chave
+ */
+function rewrapData(ciphertext, keyId) {
+  const combined = decodeEnvelope(ciphertext);
+
+  if (!combined.kid) {
+    return { ciphertext: encodeEnvelope(sealEnvelope(decryptLegacy(combined), keyId)), converted: true };
+  }
+
+  const envelope = rewrapEnvelope(combined, keyId);
+  return envelope ? { ciphertext: encodeEnvelope(envelope), converted: false } : null;
+}
+
+/**
+ * ID da chave mestra que protege um dado criptografado
+ * @param {string} ciphertext - Gerado por encryptData
+ * @returns {string|null} ID da chave, ou null no formato antigo
+ */
+function getDataKeyId(ciphertext) {
+  return decodeEnvelope(ciphertext).kid || null;
+}
+
 /**
  * Gera hash seguro de um PIN
  * @param {string} pin - PIN em texto plano
@@ -158,6 +293,70 @@ function isValidPIN(pin) {
   return /^\d{4,6}$/.test(pin);
 }
 
+/**
+ * Retorna quanto tempo falta para o fim do bloqueio de PIN
+ * @param {Object} state - Estado de segurança { failedAttempts, lockouts, lockedUntil }
+ * @param {number} now - Timestamp de referência
+ * @returns {number} Milissegundos restantes (0 se não bloqueado)
+ */
+function getPINLockoutRemaining(state, now = Date.now()) {
+  if (!state || !state.lockedUntil) return 0;
+  return Math.max(0, new Date(state.lockedUntil).getTime() - now);
+}
+
+/**
+ * Registra uma tentativa errada de PIN
+ * Ao atingir o limite, bloqueia por um período que dobra a cada bloqueio
+ * @param {Object} state - Estado de segurança atual
+ * @param {number} now - Timestamp de referência
+ * @returns {Object} Novo estado { failedAttempts, lockouts, lockedUntil }
+ */
+function registerFailedPINAttempt(state = {}, now = Date.now()) {
+  const failedAttempts = (state.failedAttempts || 0) + 1;
+  const lockouts = state.lockouts || 0;
+
+  if (failedAttempts < MAX_PIN_ATTEMPTS) {
+    return { failedAttempts, lockouts, lockedUntil: null };
+  }
+
+  const duration = Math.min(PIN_LOCKOUT_MS * Math.pow(2, lockouts), MAX_PIN_LOCKOUT_MS);
+
+  return {
+    failedAttempts: 0,
+    lockouts: lockouts + 1,
+    lockedUntil: new Date(now + duration).toISOString()
+  };
+}
+
+/**
+ * Retorna quantas tentativas de PIN restam antes do bloqueio
+ * @param {Object} state - Estado de segurança
+ * @returns {number} Tentativas restantes
+ */
+function getRemainingPINAttempts(state = {}) {
+  return MAX_PIN_ATTEMPTS - (state.failedAttempts || 0);
+}
+
+/**
+ * Estado de segurança após um PIN correto
+ * @returns {Object} Contadores zerados
+ */
+function resetPINAttempts() {
+  return { failedAttempts: 0, lockouts: 0, lockedUntil: null };
+}
+
+/**
+ * Oculta PINs de comandos antes de registrar em log
+ * @param {string} text - Mensagem original
+ * @returns {string} Mensagem segura para log
+ */
+function redactSensitive(text) {
+  if (/^\s*\/pin\b/i.test(text)) {
+    return text.replace(/\d/g, '*');
+  }
+  return text;
+}
+
 /**
  * Gera um token de sessão único
  * @param {string} userId - ID do usuário
@@ -228,6 +427,26 @@ class SessionManager {
     return true;
   }
 
+  /**
+   * Verifica se a usuária tem sessão ativa, sem exigir o token
+   * Renova a atividade quando a sessão ainda é válida
+   * @param {string} userId - ID do usuário
+   * @returns {boolean} true se sessão ativa
+   */
+  isActive(userId) {
+    const session = this.sessions.get(userId);
+    if (!session) return false;
+    return this.validateSession(userId, session.token);
+  }
+
+  /**
+   * Define o tempo de inatividade que encerra a sessão
+   * @param {number} timeoutMs - Timeout em milissegundos
+   */
+  setTimeoutMs(timeoutMs) {
+    this.timeoutMs = timeoutMs;
+  }
+
   /**
    * Atualiza última atividade da sessão
    * @param {string} userId - ID do usuário
@@ -264,9 +483,10 @@ class SessionManager {
 /**
  * Sanitiza entrada do usuário para prevenir injection
  * @param {string} input - Entrada do usuário
+ * @param {number} maxLength - Tamanho máximo
  * @returns {string} Entrada sanitizada
  */
-function sanitizeInput(input) {
+function sanitizeInput(input, maxLength = 5000) {
   if (typeof input !== 'string') return '';
   
   return input
@@ -274,7 +494,7 @@ function sanitizeInput(input) {
     .replace(/<script[^>]*>.*?<\/script>/gi, '') // Remove scripts
     .replace(/<[^>]+>/g, '') // Remove HTML tags
     .replace(/[<>'"]/g, '') // Remove caracteres perigosos
-    .substring(0, 5000); // Limitar tamanho
+    .substring(0, maxLength); // Limitar tamanho
 }
 
 /**
@@ -294,6 +514,8 @@ function isValidPhoneNumber(phoneNumber) {
 function getSecurityStatus() {
   return {
     encryptionEnabled: MASTER_KEY !== null,
+    defaultKey: isDefaultMasterKey(),
+    keyId: getMasterKeyId(),
     algorithm: ENCRYPTION_ALGORITHM,
     keyLength: KEY_LENGTH * 8, // em bits
     timestamp: new Date().toISOString()
@@ -308,13 +530,94 @@ setInterval(() => {
   sessionManager.cleanupExpiredSessions();
 }, 600000);
 
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function getKeyringKey(keyId) {
+  getMasterKey();
+  const key = keyring.get(keyId);
+  if (!key) {
+    throw new Error(`Chave mestra ${keyId} desconhecida`);
+  }
+  return key;
+}
+
+// Chave de dados embrulhada: IV (12) + tag (16) + chave cifrada, em base64
+function wrapKey(dataKey, masterKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, masterKey, iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+}
+
+function unwrapKey(wrappedKey, masterKey) {
+  const raw = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, masterKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 28));
+  return Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]);
+}
+
+function encodeEnvelope(envelope) {
+  return Buffer.from(JSON.stringify(envelope)).toString('base64');
+}
+
+function decodeEnvelope(ciphertext) {
+  return JSON.parse(Buffer.from(ciphertext, 'base64').toString('utf8'));
+}
+
+/**
+ * Formato antigo { iv, authTag, encrypted }, cifrado direto com a chave
+ * mestra (sem ID): tenta a atual e depois as outras do chaveiro
+ * Dados da chave padrão são regravados em envelope no próximo salvamento
+ */
+function decryptLegacy(combined) {
+  const current = getMasterKey();
+  const candidates = [current, ...[...keyring.values()].filter(key => key !== current)];
+
+  for (const key of candidates) {
+    try {
+      const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, Buffer.from(combined.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(combined.authTag, 'base64'));
+
+      let decrypted = decipher.update(combined.encrypted, 'base64', 'utf8');
+      decrypted += decipher.final('utf8');
+
+      if (key !== current && key.equals(getDefaultKey()) && !legacyDataWarned) {
+        legacyDataWarned = true;
+        console.log('⚠️  Dados gravados com a chave padrão encontrados; serão regravados com a chave configurada');
+      }
+      return decrypted;
+    } catch (error) {
+      // Próxima chave
+    }
+  }
+
+  throw new Error('Nenhuma chave mestra conhecida abre estes dados');
+}
+
 // Exportar funções e classes do módulo
 module.exports = {
+  configureMasterKey,
+  registerMasterKey,
+  getMasterKeyId,
+  isDefaultMasterKey,
+  hasMasterKey,
+  sealEnvelope,
+  openEnvelope,
+  rewrapEnvelope,
   encryptData,
   decryptData,
+  rewrapData,
+  getDataKeyId,
   hashPIN,
   verifyPIN,
   isValidPIN,
+  getPINLockoutRemaining,
+  registerFailedPINAttempt,
+  getRemainingPINAttempts,
+  resetPINAttempts,
+  redactSensitive,
   generateSessionToken,
   SessionManager,
   sessionManager,
@@ -0,0 +1,250 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: SUPERVISOR DA CONEXÃO
+ * Arquivo: supervisor.js
+ * Descrição: Mantém um único socket do WhatsApp vivo
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Máquina de estados da conexão:
+ *   idle → connecting → open → waiting → connecting ... → stopped
+ * - Garantir um único socket ativo: antes de criar outro, os
+ *   ouvintes do anterior são removidos e ele é encerrado; eventos
+ *   de sockets antigos são ignorados
+ * - Reconectar com espera exponencial e variação aleatória (jitter),
+ *   para não martelar o servidor nem sincronizar com outras quedas
+ * - Watchdog: reinicia conexões travadas (conectando há tempo demais
+ *   ou socket morto sem evento de fechamento)
+ *
+ * O supervisor não conhece o Baileys: quem cria o socket, registra os
+ * ouvintes e decide o que fazer em cada desconexão é o index.js.
+ */
+
+const DEFAULT_SETTINGS = {
+  backoffBaseMs: 2000,
+  backoffMaxMs: 300000,
+  connectTimeoutMs: 120000,
+  watchdogIntervalMs: 30000
+};
+
+/**
+ * Cria o supervisor da conexão
+ * @param {Object} options
+ * @param {Function} options.createSocket - async () => socket
+ * @param {Function} options.attach - (sock, listen) registra os ouvintes com listen(evento, handler)
+ * @param {Function} options.classifyClose - (lastDisconnect) => 'retry' | 'now' | 'stop'
+ * @param {Function} [options.isAlive] - (sock) => boolean, usado pelo watchdog com a conexão aberta
+ * @param {Function} [options.onStateChange] - (state, details) a cada mudança de estado
+ * @param {Object} [options.settings] - Sobrescreve DEFAULT_SETTINGS
+ * @returns {Object} { start, restart, stop, getSocket, getState }
+ */
+function createConnectionSupervisor(options) {
+  const settings = { ...DEFAULT_SETTINGS, ...(options.settings || {}) };
+
+  let state = 'idle';
+  let current = null; // { sock, listeners }
+  let generation = 0;
+  let attempt = 0;
+  let retryTimer = null;
+  let watchdogTimer = null;
+  let lastProgressAt = 0;
+
+  const setState = (next, details = {}) => {
+    state = next;
+    if (options.onStateChange) {
+      options.onStateChange(next, details);
+    }
+  };
+
+  const isFinished = () => state === 'stopping' || state === 'stopped';
+
+  const connect = async () => {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    teardown();
+
+    const myGeneration = ++generation;
+    lastProgressAt = Date.now();
+    setState('connecting', { attempt });
+
+    let sock;
+    try {
+      sock = await options.createSocket();
+    } catch (error) {
+      if (myGeneration === generation && !isFinished()) {
+        console.error('❌ Erro ao criar o socket:', error.message);
+        scheduleRetry(backoffDelay(attempt, settings), { error });
+      }
+      return;
+    }
+
+    // stop() ou restart() chegaram enquanto o socket era criado
+    if (myGeneration !== generation || isFinished()) {
+      endQuietly(sock);
+      return;
+    }
+
+    const listeners = [];
+    current = { sock, listeners };
+
+    const listen = (event, handler) => {
+      sock.ev.on(event, handler);
+      listeners.push([event, handler]);
+    };
+
+    listen('connection.update', update => {
+      if (!current || current.sock !== sock) return;
+      lastProgressAt = Date.now();
+
+      if (update.connection === 'open') {
+        attempt = 0;
+        setState('open');
+      }
+
+      if (update.connection === 'close') {
+        handleClose(update.lastDisconnect);
+      }
+    });
+
+    options.attach(sock, listen);
+  };
+
+  const handleClose = lastDisconnect => {
+    teardown();
+    if (isFinished()) return;
+
+    const action = options.classifyClose(lastDisconnect);
+    const statusCode = lastDisconnect?.error?.output?.statusCode;
+
+    if (action === 'stop') {
+      stopWatchdog();
+      setState('stopped', { statusCode });
+      return;
+    }
+
+    scheduleRetry(action === 'now' ? 0 : backoffDelay(attempt, settings), { statusCode });
+  };
+
+  const scheduleRetry = (delayMs, details = {}) => {
+    attempt++;
+    setState('waiting', { ...details, attempt, retryInMs: delayMs });
+    retryTimer = setTimeout(connect, delayMs);
+  };
+
+  const teardown = () => {
+    if (!current) return;
+
+    const { sock, listeners } = current;
+    current = null;
+
+    listeners.forEach(([event, handler]) => sock.ev.off(event, handler));
+    endQuietly(sock);
+  };
+
+  const checkHealth = () => {
+    if (state === 'connecting' && current && Date.now() - lastProgressAt > settings.connectTimeoutMs) {
+      console.log('⏱️  Conexão travada ao conectar, reiniciando...');
+      restartWithBackoff();
+      return;
+    }
+
+    if (state === 'open' && current && options.isAlive && !options.isAlive(current.sock)) {
+      console.log('⏱️  Socket sem resposta, reiniciando...');
+      restartWithBackoff();
+    }
+  };
+
+  const restartWithBackoff = () => {
+    teardown();
+    scheduleRetry(backoffDelay(attempt, settings), { reason: 'watchdog' });
+  };
+
+  const stopWatchdog = () => {
+    clearInterval(watchdogTimer);
+    watchdogTimer = null;
+  };
+
+  return {
+    /**
+     * Inicia a conexão e o watchdog
+     */
+    start() {
+      if (state !== 'idle') return;
+
+      watchdogTimer = setInterval(checkHealth, settings.watchdogIntervalMs);
+      if (watchdogTimer.unref) watchdogTimer.unref();
+      connect();
+    },
+
+    /**
+     * Derruba o socket atual e conecta de novo na hora
+     * (ex.: pedido do painel admin)
+     */
+    restart() {
+      if (isFinished()) return;
+      teardown();
+      attempt = 0;
+      connect();
+    },
+
+    /**
+     * Encerra o socket e não reconecta mais
+     */
+    stop() {
+      if (state === 'stopped') return;
+
+      setState('stopping');
+      clearTimeout(retryTimer);
+      stopWatchdog();
+      generation++;
+      teardown();
+      setState('stopped');
+    },
+
+    /**
+     * Socket atual (null enquanto não há conexão)
+     * @returns {Object|null} Socket
+     */
+    getSocket() {
+      return current ? current.sock : null;
+    },
+
+    /**
+     * Estado atual da máquina
+     * @returns {string} idle, connecting, open, waiting, stopping ou stopped
+     */
+    getState() {
+      return state;
+    }
+  };
+}
+
+/**
+ * Espera antes da próxima tentativa: exponencial, com teto, e entre
+ * 50% e 100% do valor calculado (jitter)
+ * @param {number} attempt - Tentativas já feitas desde a última conexão aberta
+ * @param {Object} settings - { backoffBaseMs, backoffMaxMs }
+ * @returns {number} Milissegundos
+ */
+function backoffDelay(attempt, settings = DEFAULT_SETTINGS) {
+  const exponential = Math.min(settings.backoffMaxMs, settings.backoffBaseMs * 2 ** attempt);
+  return Math.round(exponential * (0.5 + Math.random() / 2));
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+function endQuietly(sock) {
+  try {
+    sock.end(undefined);
+  } catch (error) {
+    // Socket já encerrado
+  }
+}
+
+// Exportar funções do módulo
+module.exports = {
+  createConnectionSupervisor,
+  backoffDelay
+};
@@ -0,0 +1,263 @@
+/**
+ * ═══════════════════════════════════════════════════════════
+ * MÓDULO: TRIAGEM DE SINAIS DE ALERTA
+ * Arquivo: triage.js
+ * Descrição: Regras fixas para situações urgentes, antes da IA
+ * ═══════════════════════════════════════════════════════════
+ *
+ * Responsabilidades:
+ * - Detectar relatos de urgência (sangramento intenso, sangramento
+ *   na gravidez, febre com dor pélvica, desmaio, violência sexual)
+ * - Devolver uma orientação fixa e revisada, independente da IA
+ * - Registrar no log qual regra foi acionada, com a usuária
+ *   identificada só por um hash com sal (o log fica fora da
+ *   criptografia) e apagar as linhas dela quando os dados são apagados
+ *
+ * As regras são propositalmente amplas: um alerta a mais é
+ * preferível a um alerta perdido. Alterações nas mensagens de
+ * orientação devem passar por revisão antes de entrar aqui.
+ *
+ * Exemplos que precisam (ou não podem) acionar cada regra ficam em
+ * test/triage.test.js: ao mudar uma regra, rode npm test.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { removeAccents } = require('./utils');
+
+const LOG_FILE = path.join(__dirname, '../logs/triage.log');
+
+// Sal do hash das usuárias no log: fica em data/, não junto com os logs
+const SALT_FILE = path.join(__dirname, '../data/keys/triage.salt');
+
+let salt = null;
+
+const EMERGENCY_FOOTER =
+  '📞 *SAMU: 192* (ligação gratuita, 24h)\n' +
+  '🏥 Ou procure agora a *UPA* ou o pronto-socorro mais próximo.\n\n' +
+  '_Eu sou uma assistente virtual e não substituo atendimento médico._ 💗';
+
+// Números por extenso aceitos na contagem de absorventes por hora
+const NUMBER_WORDS = { um: 1, uma: 1, dois: 2, duas: 2, tres: 3, quatro: 4, cinco: 5, seis: 6, meia: 0.5 };
+
+// "3 absorventes em 2 horas", "encharquei duas calcinhas em 1h"
+const PAD_RATE_PATTERN = /\b(\d+|um|uma|dois|duas|tres|quatro|cinco|seis) (absorventes?|coletor(?:es)?|calcinhas?) em (\d+|uma|duas|tres|quatro|cinco|seis|meia) ?(horas?|h|hrs?)\b/g;
+
+// Uma troca por hora é uso normal sem sinal de que o absorvente encharcou ou vazou
+const SOAKING_PATTERN = /\b(encharc\w*|vaz\w*|cheios?|cheias?)\b/;
+
+const PREGNANCY_PATTERN = /\b(gravida|gestante|gestacao|gravidez|semanas de gestacao)\b/;
+
+// "não estou grávida", "nao to gravida": a gravidez negada não conta
+const NEGATED_PREGNANCY_PATTERN = /\b(nao|n) (estou|esto|to|tou|fiquei|sou) gravida\b/g;
+
+const HEAVY_BLEEDING_PATTERN = /\bhemorragia\b|\b(encharc\w*|ench\w*|troc\w*|vaza\w*)\b.*\b(absorventes?|coletor|calcinhas?)\b.*\b(toda hora|a cada hora|de hora em hora|por hora|a cada \d+ ?min\w*)\b|\b(toda hora|a cada hora|de hora em hora)\b.*\b(encharc\w*|troc\w*)\b|\bsangr\w* (muito|demais)\b.*\b(tonta|fraca|tontura|desmai\w*)\b|\bcoagulos? (enormes?|grandes?|gigantes?)\b/;
+
+// Cada regra casa quando TODOS os padrões de "all" casam
+// (sobre o texto em minúsculas e sem acentos); um padrão é uma
+// expressão regular ou uma função (texto) => boolean
+const RED_FLAGS = [
+  {
+    id: 'violencia_sexual',
+    all: [/\b(estupr\w*|abusad[ao]|abuso sexual|violencia sexual|violentada|me forc(ou|aram)|forc(ou|aram) a transar|sem (o )?meu consentimento|nao consenti|contra a minha vontade|contra minha vontade)\b/],
+    message:
+      '💜 *Sinto muito pelo que você passou. A culpa não é sua.*\n\n' +
+      'Você não precisa passar por isso sozinha:\n\n' +
+      '📞 *Ligue 180* - Central de Atendimento à Mulher (gratuito, 24h, sigiloso)\n' +
+      '🚓 Em perigo agora? Ligue *190*\n' +
+      '🏥 Procure um hospital ou a *UPA* o quanto antes, de preferência em até *72 horas*: ' +
+      'existe atendimento para evitar gravidez e infecções, e você não é obrigada a registrar ocorrência para ser atendida.\n\n' +
+      '📞 Se estiver ferida ou passando mal: *SAMU 192*\n\n' +
+      '_Eu sou uma assistente virtual e não substituo atendimento profissional._ 💗'
+  },
+  {
+    id: 'sangramento_gravidez',
+    all: [
+      text => PREGNANCY_PATTERN.test(text.replace(NEGATED_PREGNANCY_PATTERN, '')),
+      /\b(sangr\w*|sangue|hemorragia|desceu|escape|borra)\b/
+    ],
+    message:
+      '🚨 *Sangramento na gravidez precisa de avaliação médica.*\n\n' +
+      'Procure atendimento ainda hoje, mesmo que o sangramento seja pouco, ' +
+      'e vá imediatamente se houver dor forte, cólica intensa, tontura ou sangramento aumentando.\n\n' +
+      EMERGENCY_FOOTER
+  },
+  {
+    id: 'sangramento_intenso',
+    all: [text => HEAVY_BLEEDING_PATTERN.test(text) || hasHighPadRate(text)],
+    message:
+      '🚨 *Sangramento muito intenso é sinal de alerta.*\n\n' +
+      'Encharcar um absorvente por hora, soltar coágulos grandes ou sentir tontura e fraqueza ' +
+      'precisam de avaliação médica *agora*.\n\n' +
+      'Enquanto isso, fique deitada, beba água e não vá sozinha se estiver tonta.\n\n' +
+      EMERGENCY_FOOTER
+  },
+  {
+    id: 'desmaio',
+    all: [/\b(desmai\w*|perdi os sentidos|perdi a consciencia|perdeu a consciencia)\b/],
+    message:
+      '🚨 *Desmaio é sinal de alerta.*\n\n' +
+      'Procure atendimento médico *agora*, principalmente se estiver sangrando, grávida ou com dor forte. ' +
+      'Evite ficar sozinha e não dirija.\n\n' +
+      EMERGENCY_FOOTER
+  },
+  {
+    id: 'febre_dor_pelvica',
+    all: [
+      /\b(febre|febril|3[89]([,.]\d)? ?(graus|°))/,
+      /\b(colica\w*|dor pelvica|dor (na|no|de) (pe da barriga|barriga|ventre|pelve|utero|ovario)|dor abdominal|barriga doendo)\b/
+    ],
+    message:
+      '🚨 *Febre junto com dor na região pélvica pode indicar uma infecção.*\n\n' +
+      'Isso precisa de avaliação médica *hoje*. Não espere passar sozinho ' +
+      'e evite tomar antibiótico por conta própria.\n\n' +
+      EMERGENCY_FOOTER
+  }
+];
+
+/**
+ * Verifica se a mensagem descreve uma situação urgente
+ * @param {string} message - Mensagem da usuária
+ * @returns {Object|null} Regra acionada ({ id, message }) ou null
+ */
+function detectRedFlag(message) {
+  const text = removeAccents(String(message || '').toLowerCase()).replace(/\s+/g, ' ');
+
+  const rule = RED_FLAGS.find(flag => flag.all.every(pattern =>
+    (typeof pattern === 'function' ? pattern(text) : pattern.test(text))
+  ));
+  return rule ? { id: rule.id, message: rule.message } : null;
+}
+
+/**
+ * Registra no log que uma regra de triagem foi acionada
+ * (nem o conteúdo da mensagem nem o número vão para o log)
+ * @param {string} userId - ID do usuário
+ * @param {string} ruleId - Regra acionada
+ */
+function logTrigger(userId, ruleId) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    user: hashUser(userId),
+    rule: ruleId
+  };
+
+  console.log(`🚨 Triagem acionada: ${ruleId}`);
+
+  try {
+    fs.mkdirSync(path.dirname(LOG_FILE), { recursive: true });
+    fs.appendFileSync(LOG_FILE, JSON.stringify(entry) + '\n', 'utf8');
+  } catch (error) {
+    console.error('❌ Erro ao gravar log de triagem:', error.message);
+  }
+}
+
+/**
+ * Apaga do log as linhas de uma usuária (/limpar e painel admin)
+ * @param {string} userId - ID do usuário
+ * @returns {number} Linhas apagadas
+ */
+function forgetTriageUser(userId) {
+  const hash = hashUser(userId);
+  return rewriteLog(entry => entry.user !== hash);
+}
+
+/**
+ * Troca pelo hash os números gravados por versões anteriores do log
+ * @returns {number} Linhas convertidas
+ */
+function anonymizeTriageLog() {
+  let converted = 0;
+  rewriteLog(() => true, () => converted++);
+  return converted;
+}
+
+// ═══════════════════════════════════════
+// FUNÇÕES AUXILIARES
+// ═══════════════════════════════════════
+
+/**
+ * Absorventes (ou calcinhas) trocados em N horas: alerta a partir
+ * de um por hora
+ * @param {string} text - Texto normalizado
+ * @returns {boolean} true se a contagem indica sangramento intenso
+ */
+function hasHighPadRate(text) {
+  return [...text.matchAll(PAD_RATE_PATTERN)].some(([, count, , hours]) =>
+    toNumber(count) >= toNumber(hours) &&
+    (toNumber(count) >= 2 || SOAKING_PATTERN.test(text))
+  );
+}
+
+function toNumber(word) {
+  return NUMBER_WORDS[word] ?? Number(word);
+}
+
+/**
+ * Identificador da usuária no log: HMAC do número com o sal local
+ * @param {string} userId - JID ou número
+ * @returns {string} 16 caracteres hexadecimais
+ */
+function hashUser(userId) {
+  const phone = String(userId).split('@')[0].replace(/[^0-9]/g, '');
+  return crypto.createHmac('sha256', getSalt()).update(phone).digest('hex').substring(0, 16);
+}
+
+function getSalt() {
+  if (salt) return salt;
+
+  if (fs.existsSync(SALT_FILE)) {
+    salt = fs.readFileSync(SALT_FILE, 'utf8').trim();
+  } else {
+    salt = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(SALT_FILE), { recursive: true });
+    fs.writeFileSync(SALT_FILE, salt, { encoding: 'utf8', mode: 0o600 });
+  }
+
+  return salt;
+}
+
+/**
+ * Regrava o log mantendo as linhas aceitas por keep
+ * Linhas antigas, com o número aberto, passam para o hash
+ * @param {Function} keep - (entry) => boolean
+ * @param {Function} onConvert - Chamada para cada linha convertida
+ * @returns {number} Linhas removidas
+ */
+function rewriteLog(keep, onConvert = () => {}) {
+  try {
+    if (!fs.existsSync(LOG_FILE)) return 0;
+
+    const lines = fs.readFileSync(LOG_FILE, 'utf8').split('\n').filter(line => line.trim());
+    const entries = lines.map(line => {
+      const entry = JSON.parse(line);
+      if (/^\d{8,15}$/.test(entry.user || '')) {
+        entry.user = hashUser(entry.user);
+        onConvert();
+      }
+      return entry;
+    });
+
+    const kept = entries.filter(keep);
+    const content = kept.map(entry => JSON.stringify(entry) + '\n').join('');
+
+    const tempPath = `${LOG_FILE}.tmp`;
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, LOG_FILE);
+
+    return entries.length - kept.length;
+  } catch (error) {
+    console.error('❌ Erro ao atualizar log de triagem:', error.message);
+    return 0;
+  }
+}
+
+// Exportar funções do módulo
+module.exports = {
+  RED_FLAGS,
+  detectRedFlag,
+  logTrigger,
+  forgetTriageUser,
+  anonymizeTriageLog
+};
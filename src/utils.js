@@ -7,7 +7,6 @@
  * 
  * Responsabilidades:
  * - Parsing e formatação de datas
- * - Validação de configurações
  * - Criação de diretórios
  * - Funções de formatação de texto
  * - Helpers diversos
@@ -16,55 +15,6 @@
 const fs = require('fs');
 const path = require('path');
 
-/**
- * Valida configurações obrigatórias
- * @param {Object} config - Objeto de configuração
- * @returns {boolean} true se configuração válida
- */
-function validateConfig(config) {
-  // Validar estrutura básica
-  if (!config || typeof config !== 'object') {
-    console.error('❌ Config deve ser um objeto');
-    return false;
-  }
-
-  // Validar seção Gemini
-  if (!config.gemini || !config.gemini.apiKey) {
-    console.error('❌ API Key do Gemini não configurada');
-    return false;
-  }
-
-  if (config.gemini.apiKey === 'SUA_API_KEY_AQUI') {
-    console.error('❌ Configure uma API Key válida do Gemini');
-    return false;
-  }
-
-  // Validar modelo
-  if (!config.gemini.model) {
-    config.gemini.model = 'gemini-1.5-flash';
-    console.log('ℹ️  Usando modelo padrão: gemini-1.5-flash');
-  }
-
-  // Validar seção de segurança (opcional)
-  if (!config.security) {
-    config.security = {
-      enableEncryption: true,
-      enablePIN: false,
-      sessionTimeout: 1800000
-    };
-  }
-
-  // Validar seção do bot (opcional)
-  if (!config.bot) {
-    config.bot = {
-      botName: 'Gina',
-      language: 'pt-BR'
-    };
-  }
-
-  return true;
-}
-
 /**
  * Garante que todos os diretórios necessários existem
  * Cria diretórios que não existem
@@ -74,6 +24,11 @@ function ensureDirectories() {
     path.join(__dirname, '../data'),
     path.join(__dirname, '../data/users'),
     path.join(__dirname, '../data/sessions'),
+    path.join(__dirname, '../data/reminders'),
+    path.join(__dirname, '../data/trash'),
+    path.join(__dirname, '../data/conversations'),
+    path.join(__dirname, '../data/tmp'),
+    path.join(__dirname, '../data/outbox'),
     path.join(__dirname, '../logs'),
     path.join(__dirname, '../config')
   ];
@@ -86,6 +41,20 @@ function ensureDirectories() {
   });
 }
 
+/**
+ * Grava um arquivo de uma vez: escreve em um temporário e renomeia,
+ * então uma queda no meio nunca deixa o arquivo cortado
+ * @param {string} filePath - Caminho do arquivo
+ * @param {string} content - Conteúdo
+ */
+function writeFileAtomic(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, content, 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
 /**
  * Interpreta expressões de data em linguagem natural
  * @param {string} dateExpression - Expressão de data (hoje, ontem, 02/08/25)
@@ -113,6 +82,11 @@ function parseDateFromMessage(dateExpression) {
     return formatDate(dayBefore);
   }
 
+  // Data já no formato YYYY-MM-DD
+  if (/^\d{4}-\d{2}-\d{2}$/.test(expr)) {
+    return expr;
+  }
+
   // Tentar parsear data específica (DD/MM/YY ou DD/MM/YYYY)
   const dateMatch = expr.match(/(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
   if (dateMatch) {
@@ -170,6 +144,18 @@ function daysBetween(date1, date2) {
   return diffDays;
 }
 
+/**
+ * Soma (ou subtrai) dias de uma data
+ * @param {string} dateStr - Data em formato YYYY-MM-DD
+ * @param {number} days - Quantidade de dias (negativo para subtrair)
+ * @returns {string} Data resultante em formato YYYY-MM-DD
+ */
+function addDays(dateStr, days) {
+  const date = new Date(`${dateStr}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
 /**
  * Retorna data de hoje no formato YYYY-MM-DD
  * @returns {string} Data de hoje
@@ -262,9 +248,10 @@ function sleep(ms) {
  * @param {Function} fn - Função a ser executada
  * @param {number} maxRetries - Número máximo de tentativas
  * @param {number} delayMs - Delay inicial em ms
+ * @param {Function} shouldRetry - Recebe o erro; false encerra sem nova tentativa
  * @returns {Promise} Resultado da função
  */
-async function retryWithBackoff(fn, maxRetries = 3, delayMs = 1000) {
+async function retryWithBackoff(fn, maxRetries = 3, delayMs = 1000, shouldRetry = () => true) {
   let lastError;
   
   for (let i = 0; i < maxRetries; i++) {
@@ -273,11 +260,13 @@ async function retryWithBackoff(fn, maxRetries = 3, delayMs = 1000) {
     } catch (error) {
       lastError = error;
       
-      if (i < maxRetries - 1) {
-        const waitTime = delayMs * Math.pow(2, i);
-        console.log(`⚠️  Tentativa ${i + 1} falhou. Aguardando ${waitTime}ms...`);
-        await sleep(waitTime);
+      if (i === maxRetries - 1 || !shouldRetry(error)) {
+        break;
       }
+
+      const waitTime = delayMs * Math.pow(2, i);
+      console.log(`⚠️  Tentativa ${i + 1} falhou. Aguardando ${waitTime}ms...`);
+      await sleep(waitTime);
     }
   }
   
@@ -360,12 +349,13 @@ function createBanner(text) {
 
 // Exportar funções do módulo
 module.exports = {
-  validateConfig,
   ensureDirectories,
+  writeFileAtomic,
   parseDateFromMessage,
   formatDate,
   formatDateBR,
   daysBetween,
+  addDays,
   getTodayDate,
   truncateText,
   capitalizeWords,
@@ -0,0 +1,34 @@
+/**
+ * Testes do classificador offline (src/offline.js)
+ * Rodar com: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { classifyOffline } = require('../src/offline');
+
+const NOW = new Date(2026, 9, 19);
+
+function painScaleOf(entries) {
+  const symptoms = entries.find(entry => entry.category === 'sintomas');
+  return symptoms ? symptoms.details.painScale : undefined;
+}
+
+test('"dia 3/10" é data, não escala de dor', () => {
+  const entries = classifyOffline('menstruação desceu dia 3/10', NOW);
+  assert.deepStrictEqual(entries.map(entry => entry.category), ['menstruacao']);
+  assert.strictEqual(entries[0].date, '03/10/2026');
+});
+
+test('"N/10" sem dor por perto não vira escala de dor', () => {
+  const entries = classifyOffline('tomei a pilula 8/10', NOW);
+  assert.strictEqual(painScaleOf(entries), undefined);
+});
+
+test('"dor N" continua sendo escala de dor', () => {
+  assert.strictEqual(painScaleOf(classifyOffline('dor 5 há 3 dias', NOW)), 5);
+});
+
+test('"N/10" perto de cólica é escala de dor', () => {
+  assert.strictEqual(painScaleOf(classifyOffline('cólica 7/10', NOW)), 7);
+});
@@ -0,0 +1,38 @@
+/**
+ * Testes do filtro de segurança das respostas (src/safety.js)
+ * Rodar com: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { checkOutput } = require('../src/safety');
+
+// Respostas que o filtro precisa bloquear, com a regra esperada
+const BLOCKED = {
+  'Tome 2 comprimidos de dipirona.': 'dose',
+  'Se a dor piorar; tome um comprimido.': 'dose',
+  'Você tem endometriose.': 'diagnostico',
+  'Pelo que você contou, isso indica uma infecção urinária.': 'diagnostico'
+};
+
+// Respostas normais de triagem que precisam passar
+const SAFE = [
+  'Você está grávida? Se houver chance, faça um teste.',
+  'Você tem anemia?',
+  'Você está grávida de quantas semanas?',
+  'Anote a intensidade da cólica e leve à sua consulta.'
+];
+
+Object.entries(BLOCKED).forEach(([text, ruleId]) => {
+  test(`"${text}" é bloqueada por ${ruleId}`, () => {
+    const result = checkOutput(text);
+    assert.strictEqual(result.safe, false);
+    assert.ok(result.rules.includes(ruleId));
+  });
+});
+
+SAFE.forEach(text => {
+  test(`"${text}" passa pelo filtro`, () => {
+    assert.deepStrictEqual(checkOutput(text), { safe: true, rules: [] });
+  });
+});
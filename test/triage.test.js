@@ -0,0 +1,65 @@
+/**
+ * Testes da triagem de sinais de alerta (src/triage.js)
+ * Rodar com: npm test
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { detectRedFlag } = require('../src/triage');
+
+// Mensagens que precisam acionar cada regra
+const RED_FLAG_EXAMPLES = {
+  violencia_sexual: [
+    'fui estuprada ontem',
+    'ele me forçou a transar',
+    'aconteceu sem meu consentimento'
+  ],
+  sangramento_gravidez: [
+    'estou grávida de 8 semanas e tive um sangramento',
+    'gestante com escape marrom',
+    'não sei se estou grávida e tive um sangramento'
+  ],
+  sangramento_intenso: [
+    'estou com hemorragia',
+    'encharco o absorvente a cada hora',
+    'encharquei 3 absorventes em 2 horas',
+    'troquei duas calcinhas em 1h',
+    'troquei 1 absorvente em 1 hora, estava encharcado',
+    'estou sangrando muito e tonta',
+    'saindo coágulos enormes'
+  ],
+  desmaio: [
+    'desmaiei no banheiro',
+    'perdi os sentidos por um minuto'
+  ],
+  febre_dor_pelvica: [
+    'estou com febre e cólica forte',
+    '38,5 graus e dor no pé da barriga'
+  ]
+};
+
+// Mensagens comuns que não podem acionar nenhuma regra
+const NOT_RED_FLAGS = [
+  'menstruação desceu hoje',
+  'troquei 2 absorventes em 8 horas',
+  'cólica leve desde ontem',
+  'tomei o anticoncepcional',
+  'dor 5 há 3 dias',
+  'não estou grávida, só um escape',
+  'tive sangramento, não estou gravida',
+  'troquei 1 absorvente em 1 hora'
+];
+
+Object.entries(RED_FLAG_EXAMPLES).forEach(([ruleId, examples]) => {
+  examples.forEach(example => {
+    test(`"${example}" aciona ${ruleId}`, () => {
+      assert.strictEqual(detectRedFlag(example)?.id, ruleId);
+    });
+  });
+});
+
+NOT_RED_FLAGS.forEach(example => {
+  test(`"${example}" não aciona nenhuma regra`, () => {
+    assert.strictEqual(detectRedFlag(example), null);
+  });
+});